@@ -1,35 +1,39 @@
 const { SlashCommandBuilder } = require('discord.js');
-const { getUserProject, addTeammate, updateProject } = require('../utils/projectManager');
+const { addProjectOption, autocompleteProjects, resolveProject } = require('../utils/projectOptions');
+const { sendProjectInvite } = require('../utils/projectInvites');
 
 module.exports = {
   data: new SlashCommandBuilder()
     .setName('add-teammate')
-    .setDescription('Add teammates to your project space')
+    .setDescription('Invite teammates to your project space')
     .addUserOption(option =>
       option.setName('user1')
-        .setDescription('First teammate to add')
+        .setDescription('First teammate to invite')
         .setRequired(true)
     )
     .addUserOption(option =>
       option.setName('user2')
-        .setDescription('Second teammate to add (optional)')
+        .setDescription('Second teammate to invite (optional)')
         .setRequired(false)
     )
     .addUserOption(option =>
       option.setName('user3')
-        .setDescription('Third teammate to add (optional)')
+        .setDescription('Third teammate to invite (optional)')
         .setRequired(false)
-    ),
+    )
+    .addStringOption(option => addProjectOption(option)),
+
+  async autocomplete(interaction) {
+    await autocompleteProjects(interaction, { ownedOnly: true });
+  },
 
   async execute(interaction) {
     await interaction.deferReply({ ephemeral: true });
 
-    const project = getUserProject(interaction.user.id);
+    const { project, error } = resolveProject(interaction, { ownedOnly: true });
 
     if (!project) {
-      await interaction.editReply({
-        content: '❌ You don\'t have an active project. Apply for one using the Apply button!'
-      });
+      await interaction.editReply({ content: error });
       return;
     }
 
@@ -40,58 +44,38 @@ module.exports = {
     ].filter(u => u !== null);
 
     try {
-      const category = await interaction.guild.channels.fetch(project.categoryId);
-      const chatChannel = await interaction.guild.channels.fetch(project.channelIds.chat);
-      const voiceChannel = await interaction.guild.channels.fetch(project.channelIds.voice);
+      const invited = [];
+      const skipped = [];
 
-      const addedUsers = [];
-      
       for (const user of users) {
         if (user.id === interaction.user.id) {
           continue;
         }
 
-        if (project.teammates.includes(user.id)) {
-          continue;
+        const result = await sendProjectInvite(project, interaction.user.id, user);
+        if (result.success) {
+          invited.push(user);
+        } else {
+          skipped.push(`<@${user.id}> ${result.error}`);
         }
-
-        await chatChannel.permissionOverwrites.create(user.id, {
-          ViewChannel: true,
-          SendMessages: true,
-          ReadMessageHistory: true
-        });
-
-        await voiceChannel.permissionOverwrites.create(user.id, {
-          ViewChannel: true,
-          Connect: true,
-          Speak: true
-        });
-
-        addTeammate(project.id, user.id);
-        addedUsers.push(user);
-      }
-
-      if (addedUsers.length === 0) {
-        await interaction.editReply({
-          content: '⚠️ No new teammates were added. They may already be in your project.'
-        });
-        return;
       }
 
-      const welcomeMessage = `🎉 Welcome to the team! ${addedUsers.map(u => `<@${u.id}>`).join(', ')}\n\n` +
-        `You've been added to **${project.name}**. Let's build something amazing together! 🚀`;
+      let content = invited.length > 0
+        ? `📨 Sent invites to ${invited.map(u => `<@${u.id}>`).join(', ')}. They'll get access to your project once they accept.`
+        : '⚠️ No invites were sent.';
 
-      await chatChannel.send(welcomeMessage);
+      if (skipped.length > 0) {
+        content += `\n\nSkipped:\n${skipped.map(line => `• ${line}`).join('\n')}`;
+      }
+      content += '\n\nUse `/invites list` to see pending invites.';
 
-      await interaction.editReply({
-        content: `✅ Successfully added ${addedUsers.length} teammate(s) to your project!`
-      });
+      await interaction.editReply({ content });
 
-      console.log(`✅ Added ${addedUsers.length} teammates to project ${project.name}`);
+      console.log(`📨 Sent ${invited.length} invites for project ${project.name}`);
     } catch (error) {
-      console.error('❌ Error adding teammates:', error);
+      console.error('❌ Error inviting teammates:', error);
       await interaction.editReply({
-        content: '❌ Failed to add teammates. Please try again or contact a moderator.'
+        content: '❌ Failed to invite teammates. Please try again or contact a moderator.'
       });
     }
   }
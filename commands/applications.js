@@ -0,0 +1,111 @@
+const { SlashCommandBuilder, EmbedBuilder } = require('discord.js');
+const { getApplications, getApplication, getApplicationRevisions } = require('../utils/projectManager');
+const { isModerator } = require('../utils/projectPermissions');
+const { APPLICATION_STATUS_LABELS } = require('../utils/projectEmbeds');
+
+function formatApplication(application) {
+  const submitted = `<t:${Math.floor(application.submittedAt / 1000)}:R>`;
+  let line = `**#${application.id} ${application.projectName}** by <@${application.userId}> • ${APPLICATION_STATUS_LABELS[application.status] || application.status} • submitted ${submitted}`;
+
+  if (application.decidedBy) {
+    line += `\n  ↳ by <@${application.decidedBy}> <t:${Math.floor(application.decidedAt / 1000)}:R>`;
+  }
+  if (application.status === 'pending' && application.reviewChannelId && application.reviewMessageId) {
+    line += `\n  ↳ [Review card](https://discord.com/channels/${application.guildId}/${application.reviewChannelId}/${application.reviewMessageId})`;
+  }
+  return line;
+}
+
+function formatRevision(revision) {
+  const lines = [
+    `**Revision ${revision.revision}** • submitted <t:${Math.floor(revision.submittedAt / 1000)}:R>`,
+    `🏷️ ${revision.projectName} • 🎯 ${revision.projectType}`,
+    `💡 ${revision.description}`
+  ];
+  if (revision.teammates.length > 0) {
+    lines.push(`👥 ${revision.teammates.map(id => `<@${id}>`).join(', ')}`);
+  }
+  lines.push(`✏️ <@${revision.feedbackBy}> <t:${Math.floor(revision.feedbackAt / 1000)}:R>: ${revision.feedback}`);
+  return lines.join('\n');
+}
+
+async function showHistory(interaction) {
+  const application = getApplication(interaction.guildId, interaction.options.getInteger('id'));
+  if (!application) {
+    await interaction.reply({ content: '❌ No application with that ID was found.', ephemeral: true });
+    return;
+  }
+
+  const revisions = getApplicationRevisions(application.id);
+  const current = `**Revision ${application.revision} (current)** • ${APPLICATION_STATUS_LABELS[application.status] || application.status}` +
+    (application.decisionReason ? `\n📝 ${application.decisionReason}` : '');
+
+  const embed = new EmbedBuilder()
+    .setTitle(`📜 Application #${application.id}: ${application.projectName}`)
+    .setDescription(`Submitted by <@${application.userId}>\n\n` + [...revisions.map(formatRevision), current].join('\n\n').slice(0, 3900))
+    .setColor(0x4A90E2)
+    .setFooter({ text: 'Verified by AI Learners India Bot 🤖' })
+    .setTimestamp();
+
+  await interaction.reply({ embeds: [embed], ephemeral: true });
+}
+
+module.exports = {
+  data: new SlashCommandBuilder()
+    .setName('applications')
+    .setDescription('Review project applications (Moderators only)')
+    .addSubcommand(subcommand =>
+      subcommand.setName('list')
+        .setDescription('List recent project applications')
+        .addStringOption(option =>
+          option.setName('status')
+            .setDescription('Only show applications with this status')
+            .setRequired(false)
+            .addChoices(
+              { name: '⏳ Pending', value: 'pending' },
+              { name: '✏️ Changes requested', value: 'changes_requested' },
+              { name: '✅ Approved', value: 'approved' },
+              { name: '❌ Rejected', value: 'rejected' }
+            )
+        )
+    )
+    .addSubcommand(subcommand =>
+      subcommand.setName('history')
+        .setDescription('Show every revision of an application with moderator feedback')
+        .addIntegerOption(option =>
+          option.setName('id')
+            .setDescription('Application ID (shown in /applications list)')
+            .setRequired(true)
+            .setMinValue(1)
+        )
+    ),
+
+  async execute(interaction) {
+    if (!isModerator(interaction.member)) {
+      await interaction.reply({
+        content: '❌ Only moderators can view project applications!',
+        ephemeral: true
+      });
+      return;
+    }
+
+    if (interaction.options.getSubcommand() === 'history') {
+      await showHistory(interaction);
+      return;
+    }
+
+    const status = interaction.options.getString('status');
+    const applications = getApplications(interaction.guildId, status, 15);
+
+    const embed = new EmbedBuilder()
+      .setTitle(`📋 Project Applications${status ? `: ${APPLICATION_STATUS_LABELS[status]}` : ''}`)
+      .setDescription(applications.length > 0
+        ? applications.map(formatApplication).join('\n\n').slice(0, 4000)
+        : 'No applications found.')
+      .setColor(0x4A90E2)
+      .setFooter({ text: 'Showing the 15 most recent • Verified by AI Learners India Bot 🤖' })
+      .setTimestamp();
+
+    await interaction.reply({ embeds: [embed], ephemeral: true });
+  }
+};
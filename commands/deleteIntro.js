@@ -21,7 +21,7 @@ module.exports = {
     console.log(`🗑️ /deleteintro command for ${targetUser.tag}`);
 
     try {
-      const existingProfile = await getUserProfile(userId);
+      const existingProfile = await getUserProfile(interaction.guildId, userId);
 
       if (!existingProfile) {
         await interaction.editReply({
@@ -40,7 +40,7 @@ module.exports = {
         console.log(`⚠️  Could not delete profile message (may have been manually deleted)`);
       }
 
-      await deleteUserProfile(userId);
+      await deleteUserProfile(interaction.guildId, userId);
 
       await interaction.editReply({
         content: `✅ Profile deleted for ${targetUser.tag}`
@@ -9,7 +9,7 @@ module.exports = {
 
   async execute(interaction) {
     try {
-      const userProfile = await getUserProfile(interaction.user.id);
+      const userProfile = await getUserProfile(interaction.guildId, interaction.user.id);
       
       let prefillData = {};
       
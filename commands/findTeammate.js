@@ -1,19 +1,32 @@
 const { SlashCommandBuilder, EmbedBuilder } = require('discord.js');
+const { generateJSON, isAIEnabled } = require('../utils/aiClient');
+const { findTeammateCandidates } = require('../utils/profileSearch');
+const { AVAILABILITY_OPTIONS } = require('../utils/updateProfile');
+
+const TEAMMATE_MATCH_SCHEMA = {
+  type: 'array',
+  items: {
+    type: 'object',
+    properties: {
+      user_id: { type: 'string' },
+      reason_for_match: { type: 'string' },
+      compatibility_score: { type: 'number' }
+    },
+    required: ['user_id', 'reason_for_match', 'compatibility_score']
+  }
+};
 
 async function analyzeTeammateMatches(profiles, roleOrInterest) {
-  const { GoogleGenAI } = require('@google/genai');
-  const genAI = new GoogleGenAI({ apiKey: process.env.GEMINI_API_KEY || '' });
-
-  if (!process.env.GEMINI_API_KEY) {
+  if (!isAIEnabled()) {
     return {
       success: false,
-      error: 'Gemini API key not configured'
+      error: 'AI provider not configured'
     };
   }
 
   try {
-    const profilesText = profiles.map((p, idx) => 
-      `Profile ${idx + 1}:\nUsername: ${p.username}\nName: ${p.name}\nRole: ${p.role}\nInstitution: ${p.institution}\nInterests: ${p.interests}\nSkills: ${p.skills}\nGoal: ${p.goal}`
+    const profilesText = profiles.map((p, idx) =>
+      `Profile ${idx + 1}:\nUser ID: ${p.userId}\nName: ${p.name}\nRole: ${p.role}\nInstitution: ${p.institution}\nExperience: ${p.experienceLevel}\nInterests: ${p.interests}\nSkills: ${p.skills}\nGoal: ${p.goal}`
     ).join('\n\n');
 
     const prompt = `You are an AI teammate matching assistant. Based on the following user profiles from an AI community, find the top 3 members who would be great teammates for someone looking for "${roleOrInterest}".
@@ -28,50 +41,27 @@ User Profiles:
 ${profilesText}
 
 Return a JSON array with exactly 3 matches (or fewer if less than 3 suitable candidates exist). Each match should have:
-- username: The person's username
+- user_id: The person's User ID, copied exactly from their profile
 - reason_for_match: A brief, specific reason why they're a good match (1-2 sentences)
 - compatibility_score: A number from 1-10 indicating match quality
 
 Format: Return ONLY valid JSON array, nothing else.`;
 
-    const response = await genAI.models.generateContent({
-      model: 'gemini-2.0-flash-exp',
-      contents: prompt,
-      generationConfig: {
-        responseMimeType: 'application/json',
-        responseSchema: {
-          type: 'array',
-          items: {
-            type: 'object',
-            properties: {
-              username: { type: 'string' },
-              reason_for_match: { type: 'string' },
-              compatibility_score: { type: 'number' }
-            },
-            required: ['username', 'reason_for_match', 'compatibility_score']
-          }
-        }
-      }
+    const matches = await generateJSON('teammateMatch', {
+      prompt,
+      schema: TEAMMATE_MATCH_SCHEMA
     });
 
-    let jsonText = response.text;
-    jsonText = jsonText.replace(/```json\n?/g, '').replace(/```\n?/g, '').trim();
-    
-    let firstBracket = jsonText.indexOf('[');
-    let lastBracket = jsonText.lastIndexOf(']');
-    if (firstBracket !== -1 && lastBracket !== -1 && lastBracket > firstBracket) {
-      jsonText = jsonText.substring(firstBracket, lastBracket + 1);
-    }
+    // Drop anything the model invented that isn't one of the candidates.
+    const candidateIds = new Set(profiles.map(p => p.userId));
 
-    const matches = JSON.parse(jsonText);
-    
     return {
       success: true,
-      data: matches
+      data: matches.filter(match => candidateIds.has(match.user_id))
     };
 
   } catch (error) {
-    console.error('❌ Gemini teammate matching error:', error.message);
+    console.error('❌ AI teammate matching error:', error.message);
     return {
       success: false,
       error: error.message
@@ -79,6 +69,18 @@ Format: Return ONLY valid JSON array, nothing else.`;
   }
 }
 
+function keywordMatches(candidates) {
+  const topScore = Math.max(...candidates.map(c => c.keywordScore), 1);
+  return candidates
+    .filter(c => c.keywordScore > 0)
+    .slice(0, 3)
+    .map(c => ({
+      user_id: c.userId,
+      reason_for_match: `Skills and interests mention your search: ${c.skills || c.interests}`.slice(0, 200),
+      compatibility_score: Math.max(1, Math.round((c.keywordScore / topScore) * 8))
+    }));
+}
+
 module.exports = {
   data: new SlashCommandBuilder()
     .setName('find_teammate')
@@ -87,92 +89,81 @@ module.exports = {
       option.setName('role_or_interest')
         .setDescription('What kind of teammate are you looking for? (e.g., "UI designer", "data scientist")')
         .setRequired(true)
+    )
+    .addStringOption(option =>
+      option.setName('experience_level')
+        .setDescription('Only show members at this experience level')
+        .setRequired(false)
+        .addChoices(
+          { name: '🟢 Beginner', value: 'Beginner' },
+          { name: '🟡 Builder', value: 'Builder' },
+          { name: '🔴 Pro', value: 'Pro' }
+        )
+    )
+    .addStringOption(option =>
+      option.setName('institution')
+        .setDescription('Only show members from this institution or organization')
+        .setRequired(false)
+    )
+    .addStringOption(option =>
+      option.setName('availability')
+        .setDescription('Only show members with this availability')
+        .setRequired(false)
+        .addChoices(
+          ...Object.entries(AVAILABILITY_OPTIONS).map(([value, name]) => ({ name, value }))
+        )
     ),
 
-  async execute(interaction, profileChannelId) {
+  async execute(interaction) {
     await interaction.deferReply();
 
     const roleOrInterest = interaction.options.getString('role_or_interest');
+    const experienceLevel = interaction.options.getString('experience_level');
+    const institution = interaction.options.getString('institution');
+    const availability = interaction.options.getString('availability');
     const username = interaction.user.username;
 
     console.log(`🔍 /find_teammate command from ${username} looking for: ${roleOrInterest}`);
 
     try {
-      const profileChannel = await interaction.client.channels.fetch(profileChannelId);
-      
-      const messages = await profileChannel.messages.fetch({ limit: 100 });
-      
-      const profiles = [];
-      messages.forEach(msg => {
-        if (msg.embeds.length > 0) {
-          const embed = msg.embeds[0];
-          
-          if (embed.title && embed.title.includes('Member Introduction')) {
-            const profile = {
-              username: '',
-              name: '',
-              role: '',
-              institution: '',
-              interests: '',
-              skills: '',
-              goal: '',
-              userId: null
-            };
-
-            const description = embed.description || '';
-            const mentionMatch = description.match(/<@(\d+)>/);
-            if (mentionMatch) {
-              profile.userId = mentionMatch[1];
-              const user = interaction.client.users.cache.get(mentionMatch[1]);
-              if (user) {
-                profile.username = user.username;
-              }
-            }
-
-            embed.fields.forEach(field => {
-              const fieldName = field.name.toLowerCase();
-              if (fieldName.includes('name')) {
-                profile.name = field.value;
-              } else if (fieldName.includes('role')) {
-                profile.role = field.value;
-              } else if (fieldName.includes('institution')) {
-                profile.institution = field.value;
-              } else if (fieldName.includes('interests')) {
-                profile.interests = field.value;
-              } else if (fieldName.includes('skills')) {
-                profile.skills = field.value;
-              } else if (fieldName.includes('goal')) {
-                profile.goal = field.value;
-              }
-            });
-
-            if (profile.name && profile.skills) {
-              profiles.push(profile);
-            }
-          }
+      const { candidates, totalProfiles, keywordMatches: keywordMatchCount } = await findTeammateCandidates(
+        interaction.guildId,
+        {
+          query: roleOrInterest,
+          experienceLevel,
+          institution,
+          availability,
+          excludeUserId: interaction.user.id
         }
-      });
+      );
 
-      if (profiles.length === 0) {
+      if (candidates.length === 0) {
+        const hasFilters = experienceLevel || institution || availability;
         await interaction.editReply({
-          content: '⚠️ No introductions found in the profiles channel.'
+          content: hasFilters
+            ? '⚠️ No member profiles match those filters. Try removing some of them.'
+            : '⚠️ No member profiles found yet. Members appear here once they post an introduction.'
         });
         return;
       }
 
-      console.log(`📊 Found ${profiles.length} profiles, analyzing with AI...`);
+      console.log(`📊 ${totalProfiles} profiles after filters, ${keywordMatchCount} keyword matches, ranking ${candidates.length} with AI...`);
 
-      const analysisResult = await analyzeTeammateMatches(profiles, roleOrInterest);
+      let matches = [];
+      const analysisResult = await analyzeTeammateMatches(candidates, roleOrInterest);
 
-      if (!analysisResult.success) {
+      if (analysisResult.success) {
+        matches = analysisResult.data;
+      } else if (keywordMatchCount > 0) {
+        console.log('⚠️ AI ranking unavailable, falling back to keyword matches');
+        matches = keywordMatches(candidates);
+      } else {
         await interaction.editReply({
           content: '⚠️ Sorry, there was an error analyzing teammate matches. Please try again.'
         });
         return;
       }
 
-      const matches = analysisResult.data;
-
       if (!matches || matches.length === 0) {
         await interaction.editReply({
           content: `😔 No suitable matches found for "${roleOrInterest}". Try broadening your search criteria.`
@@ -190,16 +181,10 @@ module.exports = {
         embedColor = 0x1E90FF;
       }
 
-      let description = `AI Learners Bot analyzed ${profiles.length} profiles and found your top teammate matches!\n\n`;
+      let description = `AI Learners Bot searched ${totalProfiles} profiles and found your top teammate matches!\n\n`;
 
       for (const match of matches.slice(0, 3)) {
-        const profile = profiles.find(p => {
-          if (!match.username || !p.name) return false;
-          const matchLower = match.username.toLowerCase();
-          const nameLower = p.name.toLowerCase();
-          const usernameLower = (p.username || '').toLowerCase();
-          return nameLower.includes(matchLower) || usernameLower.includes(matchLower);
-        });
+        const profile = candidates.find(c => c.userId === match.user_id);
 
         let colorEmoji;
         if (match.compatibility_score >= 8) {
@@ -210,24 +195,15 @@ module.exports = {
           colorEmoji = '🔴';
         }
 
-        if (profile && profile.userId) {
-          try {
-            const user = await interaction.client.users.fetch(profile.userId);
-            const userName = user.displayName || user.username || 'Unknown User';
-            description += `${colorEmoji} **${userName}** <@${profile.userId}>\n💬 ${match.reason_for_match}\n💯 Compatibility: **${match.compatibility_score}/10**\n\n`;
-          } catch (err) {
-            description += `${colorEmoji} **${match.username}**\n💬 ${match.reason_for_match}\n💯 Compatibility: **${match.compatibility_score}/10**\n\n`;
-          }
-        } else {
-          description += `${colorEmoji} **${match.username}**\n💬 ${match.reason_for_match}\n💯 Compatibility: **${match.compatibility_score}/10**\n\n`;
-        }
+        const availabilityText = profile.availability ? `\n${AVAILABILITY_OPTIONS[profile.availability]}` : '';
+        description += `${colorEmoji} **${profile.name}** <@${profile.userId}> • ${profile.experienceLevel}${availabilityText}\n💬 ${match.reason_for_match}\n💯 Compatibility: **${match.compatibility_score}/10**\n\n`;
       }
 
       const resultEmbed = new EmbedBuilder()
         .setTitle(`🤝 Best Teammate Matches for "${roleOrInterest}"`)
         .setDescription(description.trim())
         .setColor(embedColor)
-        .setFooter({ text: 'Verified by AI Learners Bot' })
+        .setFooter({ text: analysisResult.success ? 'Verified by AI Learners Bot' : 'Keyword matches • AI ranking unavailable' })
         .setTimestamp()
         .setThumbnail(interaction.user.displayAvatarURL());
 
@@ -0,0 +1,114 @@
+const { SlashCommandBuilder, EmbedBuilder, PermissionFlagsBits } = require('discord.js');
+const { loadConfig, updateConfig, getInactivityPolicy } = require('../utils/configManager');
+const { PROJECT_TYPES } = require('../utils/projectTemplates');
+
+function addTypeOption(subcommand, description) {
+  return subcommand.addStringOption(option =>
+    option.setName('type')
+      .setDescription(description)
+      .setRequired(false)
+      .addChoices(...PROJECT_TYPES.map(type => ({ name: type, value: type })))
+  );
+}
+
+module.exports = {
+  data: new SlashCommandBuilder()
+    .setName('inactivity-policy')
+    .setDescription('Configure when inactive projects are warned and archived (Admin only)')
+    .addSubcommand(subcommand =>
+      subcommand.setName('view')
+        .setDescription('Show the inactivity thresholds for every project type')
+    )
+    .addSubcommand(subcommand =>
+      addTypeOption(
+        subcommand.setName('set')
+          .setDescription('Set the inactivity thresholds for the server or one project type')
+          .addIntegerOption(option =>
+            option.setName('warning_days')
+              .setDescription('Days without activity before the team is warned')
+              .setRequired(true)
+              .setMinValue(1)
+              .setMaxValue(365)
+          )
+          .addIntegerOption(option =>
+            option.setName('grace_days')
+              .setDescription('Days after the warning before the project is archived')
+              .setRequired(true)
+              .setMinValue(1)
+              .setMaxValue(60)
+          ),
+        'Only apply to this project type (defaults to the whole server)'
+      )
+    )
+    .addSubcommand(subcommand =>
+      addTypeOption(
+        subcommand.setName('reset')
+          .setDescription('Go back to the server setting for a type, or the built-in defaults for the server'),
+        'Project type to reset (defaults to the server setting)'
+      )
+    )
+    .setDefaultMemberPermissions(PermissionFlagsBits.Administrator),
+
+  async execute(interaction) {
+    const subcommand = interaction.options.getSubcommand();
+    const projectType = interaction.options.getString('type');
+    const config = loadConfig(interaction.guildId);
+    const overrides = { ...config.inactivityTypeOverrides };
+
+    if (subcommand === 'set') {
+      const policy = {
+        warningDays: interaction.options.getInteger('warning_days'),
+        graceDays: interaction.options.getInteger('grace_days')
+      };
+
+      const saved = projectType
+        ? updateConfig(interaction.guildId, { inactivityTypeOverrides: { ...overrides, [projectType]: policy } })
+        : updateConfig(interaction.guildId, { inactivityWarningDays: policy.warningDays, inactivityGraceDays: policy.graceDays });
+
+      await interaction.reply({
+        content: saved
+          ? `✅ ${projectType ? `**${projectType}** projects` : 'Projects'} are now warned after **${policy.warningDays}** days without activity and archived **${policy.graceDays}** days later.`
+          : '❌ Failed to save the inactivity policy. Please try again.',
+        ephemeral: true
+      });
+      return;
+    }
+
+    if (subcommand === 'reset') {
+      if (projectType) {
+        delete overrides[projectType];
+      }
+      const saved = projectType
+        ? updateConfig(interaction.guildId, { inactivityTypeOverrides: overrides })
+        : updateConfig(interaction.guildId, { inactivityWarningDays: null, inactivityGraceDays: null });
+
+      await interaction.reply({
+        content: saved
+          ? `✅ ${projectType ? `**${projectType}** projects now follow the server setting.` : 'The server setting is back to the built-in defaults.'}`
+          : '❌ Failed to save the inactivity policy. Please try again.',
+        ephemeral: true
+      });
+      return;
+    }
+
+    const lines = PROJECT_TYPES.map(type => {
+      const { warningDays, graceDays } = getInactivityPolicy(interaction.guildId, type);
+      const source = config.inactivityTypeOverrides[type] ? ' *(custom)*' : '';
+      return `**${type}**${source}: warned after ${warningDays} days, archived ${graceDays} days later`;
+    });
+
+    const embed = new EmbedBuilder()
+      .setTitle('💤 Inactivity Policy')
+      .setDescription(lines.join('\n'))
+      .addFields({
+        name: 'What counts as activity',
+        value: 'Messages, thread replies and reactions in the project\'s channels, joining its voice channels, and meeting summaries.',
+        inline: false
+      })
+      .setColor(0xFF8C00)
+      .setFooter({ text: 'AI Learners India Bot' })
+      .setTimestamp();
+
+    await interaction.reply({ embeds: [embed], ephemeral: true });
+  }
+};
@@ -0,0 +1,76 @@
+const { SlashCommandBuilder, EmbedBuilder } = require('discord.js');
+const { resolveInvite } = require('../utils/projectManager');
+const { addProjectOption, autocompleteProjects, resolveProject } = require('../utils/projectOptions');
+const { getProjectColor } = require('../utils/projectEmbeds');
+
+module.exports = {
+  data: new SlashCommandBuilder()
+    .setName('invites')
+    .setDescription('Manage pending invites to your project')
+    .addSubcommand(subcommand =>
+      subcommand.setName('list')
+        .setDescription('Show invites that have not been answered yet')
+        .addStringOption(option => addProjectOption(option))
+    )
+    .addSubcommand(subcommand =>
+      subcommand.setName('cancel')
+        .setDescription('Cancel a pending invite')
+        .addUserOption(option =>
+          option.setName('user')
+            .setDescription('Member whose invite to cancel')
+            .setRequired(true)
+        )
+        .addStringOption(option => addProjectOption(option))
+    ),
+
+  async autocomplete(interaction) {
+    await autocompleteProjects(interaction, { ownedOnly: true });
+  },
+
+  async execute(interaction) {
+    const { project, error } = resolveProject(interaction, { ownedOnly: true });
+
+    if (!project) {
+      await interaction.reply({ content: error, ephemeral: true });
+      return;
+    }
+
+    const subcommand = interaction.options.getSubcommand();
+
+    if (subcommand === 'list') {
+      const description = project.pendingInvites.length > 0
+        ? project.pendingInvites
+          .map(invite => `• <@${invite.inviteeId}> — invited by <@${invite.inviterId}>, expires <t:${Math.floor(invite.expiresAt / 1000)}:R>`)
+          .join('\n')
+        : 'No pending invites.';
+
+      const embed = new EmbedBuilder()
+        .setTitle(`📨 Pending Invites: ${project.name}`)
+        .setDescription(description)
+        .setColor(getProjectColor(project.type))
+        .setFooter({ text: 'Verified by AI Learners India Bot 🤖' })
+        .setTimestamp();
+
+      await interaction.reply({ embeds: [embed], ephemeral: true });
+      return;
+    }
+
+    const user = interaction.options.getUser('user');
+    const invite = project.pendingInvites.find(i => i.inviteeId === user.id);
+
+    if (!invite || !resolveInvite(invite.id, 'cancelled')) {
+      await interaction.reply({
+        content: `⚠️ <@${user.id}> has no pending invite to **${project.name}**.`,
+        ephemeral: true
+      });
+      return;
+    }
+
+    await interaction.reply({
+      content: `🚫 Cancelled the invite for <@${user.id}>.`,
+      ephemeral: true
+    });
+
+    console.log(`🚫 Cancelled invite for ${user.tag} to project ${project.name}`);
+  }
+};
@@ -0,0 +1,95 @@
+const { SlashCommandBuilder, EmbedBuilder, PermissionFlagsBits } = require('discord.js');
+const { getJobs, getJob, cancelJob, getJobLabel } = require('../utils/jobScheduler');
+
+const JOB_STATUS_LABELS = {
+  pending: '⏳ Pending',
+  running: '⚙️ Running',
+  done: '✅ Done',
+  failed: '❌ Failed',
+  cancelled: '🚫 Cancelled'
+};
+
+function formatInterval(ms) {
+  const hours = ms / (60 * 60 * 1000);
+  if (hours >= 24 && hours % 24 === 0) return `${hours / 24} day(s)`;
+  if (hours >= 1) return `${Math.round(hours)} hour(s)`;
+  return `${Math.round(ms / 60000)} minute(s)`;
+}
+
+function formatJob(job) {
+  const when = `<t:${Math.floor(job.runAt / 1000)}:R>`;
+  let line = `**#${job.id} ${getJobLabel(job.type)}** • ${JOB_STATUS_LABELS[job.status] || job.status} • ${job.status === 'pending' ? 'runs' : 'scheduled'} ${when}`;
+
+  if (job.intervalMs) {
+    line += ` • every ${formatInterval(job.intervalMs)}`;
+  }
+  if (!job.guildId) {
+    line += ' • all servers';
+  }
+  if (job.lastError) {
+    line += `\n  ↳ Attempt ${job.attempts}/${job.maxAttempts} failed: ${job.lastError.slice(0, 150)}`;
+  }
+  return line;
+}
+
+module.exports = {
+  data: new SlashCommandBuilder()
+    .setName('jobs')
+    .setDescription('View and cancel scheduled bot jobs (Admin only)')
+    .addSubcommand(subcommand =>
+      subcommand.setName('list')
+        .setDescription('List scheduled jobs for this server')
+        .addStringOption(option =>
+          option.setName('status')
+            .setDescription('Only show jobs with this status')
+            .setRequired(false)
+            .addChoices(...Object.entries(JOB_STATUS_LABELS).map(([value, name]) => ({ name, value })))
+        )
+    )
+    .addSubcommand(subcommand =>
+      subcommand.setName('cancel')
+        .setDescription('Cancel a pending job')
+        .addIntegerOption(option =>
+          option.setName('id')
+            .setDescription('Job ID (shown in /jobs list)')
+            .setRequired(true)
+            .setMinValue(1)
+        )
+    )
+    .setDefaultMemberPermissions(PermissionFlagsBits.Administrator),
+
+  async execute(interaction) {
+    if (interaction.options.getSubcommand() === 'cancel') {
+      const jobId = interaction.options.getInteger('id');
+      const job = getJob(jobId);
+
+      if (job && !job.guildId) {
+        await interaction.reply({ content: `❌ Job #${jobId} runs for every server and can't be cancelled.`, ephemeral: true });
+        return;
+      }
+
+      if (!job || job.guildId !== interaction.guildId || !cancelJob(interaction.guildId, jobId)) {
+        await interaction.reply({ content: `❌ No pending job #${jobId} was found for this server.`, ephemeral: true });
+        return;
+      }
+
+      console.log(`🚫 ${interaction.user.tag} cancelled job #${jobId} (${job.type})`);
+      await interaction.reply({ content: `✅ Cancelled job #${jobId} (${getJobLabel(job.type)}).`, ephemeral: true });
+      return;
+    }
+
+    const status = interaction.options.getString('status');
+    const jobs = getJobs(interaction.guildId, status, 20);
+
+    const embed = new EmbedBuilder()
+      .setTitle(`⏰ Scheduled Jobs${status ? `: ${JOB_STATUS_LABELS[status]}` : ''}`)
+      .setDescription(jobs.length > 0
+        ? jobs.map(formatJob).join('\n\n').slice(0, 4000)
+        : 'No jobs found.')
+      .setColor(0x4A90E2)
+      .setFooter({ text: 'Showing up to 20 jobs • AI Learners India Bot' })
+      .setTimestamp();
+
+    await interaction.reply({ embeds: [embed], ephemeral: true });
+  }
+};
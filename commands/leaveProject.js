@@ -0,0 +1,52 @@
+const { SlashCommandBuilder } = require('discord.js');
+const { removeTeammate } = require('../utils/projectManager');
+const { addProjectOption, autocompleteProjects, resolveProject } = require('../utils/projectOptions');
+const { revokeAccess, postAuditLine } = require('../utils/projectPermissions');
+
+module.exports = {
+  data: new SlashCommandBuilder()
+    .setName('leave-project')
+    .setDescription('Leave a project you are a teammate on')
+    .addStringOption(option => addProjectOption(option)),
+
+  async autocomplete(interaction) {
+    await autocompleteProjects(interaction);
+  },
+
+  async execute(interaction) {
+    await interaction.deferReply({ ephemeral: true });
+
+    const userId = interaction.user.id;
+    const { project, error } = resolveProject(interaction);
+
+    if (!project) {
+      await interaction.editReply({ content: error });
+      return;
+    }
+
+    if (project.ownerId === userId) {
+      await interaction.editReply({
+        content: `⚠️ You own **${project.name}**. Use \`/transfer-ownership\` to hand it to a teammate before leaving.`
+      });
+      return;
+    }
+
+    try {
+      await revokeAccess(interaction.guild, project, userId);
+      removeTeammate(interaction.guildId, project.id, userId);
+
+      await postAuditLine(interaction.guild, project, `<@${userId}> left the project.`);
+
+      await interaction.editReply({
+        content: `👋 You left **${project.name}**.`
+      });
+
+      console.log(`👋 ${interaction.user.tag} left project ${project.name}`);
+    } catch (error) {
+      console.error('❌ Error leaving project:', error);
+      await interaction.editReply({
+        content: '❌ Failed to leave the project. Please try again or contact a moderator.'
+      });
+    }
+  }
+};
@@ -0,0 +1,338 @@
+const { SlashCommandBuilder, EmbedBuilder, ChannelType } = require('discord.js');
+const { getSession } = require('../utils/voiceSessionManager');
+const { getGuildProjects, getProject } = require('../utils/projectManager');
+const { getSessionTasks } = require('../utils/taskManager');
+const { createMeetingSummaryEmbed } = require('../utils/meetingEmbeds');
+const { searchMeetings } = require('../utils/meetingSearch');
+const { answerMeetingQuestion } = require('../utils/meetingQA');
+const { resolveSpeakerNames } = require('../utils/meetingSummarizer');
+const {
+  canViewSession,
+  findViewableSessions,
+  formatSessionDate,
+  respondWithSessions,
+  parseDateOption
+} = require('../utils/meetingHistory');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const SEARCH_SOURCE_LABELS = {
+  overview: '📝 Summary overview',
+  discussion: '💬 Key topic',
+  decision: '✅ Decision',
+  action_item: '📌 Action item',
+  next_step: '🚀 Next step'
+};
+
+function formatSession(session) {
+  const duration = session.endTime ? `${Math.round((session.endTime - session.startTime) / 60000)} min` : 'in progress';
+  const project = session.projectId ? getProject(session.guildId, session.projectId) : null;
+  const where = project ? `🏗️ ${project.name} (<#${session.channelId}>)` : `<#${session.channelId}>`;
+
+  return `**${formatSessionDate(session.startTime)}** • ${where} • ${duration} • 👥 ${session.participants.length}` +
+    `${session.hasSummary ? '' : ' • _no summary_'}\n  ↳ \`${session.sessionId}\``;
+}
+
+async function listMeetings(interaction) {
+  const filters = {
+    projectId: interaction.options.getString('project'),
+    channelId: interaction.options.getChannel('channel')?.id,
+    participantId: interaction.options.getUser('participant')?.id
+  };
+
+  for (const [option, key, offset] of [['from', 'from', 0], ['to', 'to', DAY_MS]]) {
+    const value = interaction.options.getString(option);
+    if (!value) continue;
+
+    const date = parseDateOption(value);
+    if (Number.isNaN(date)) {
+      await interaction.reply({ content: `❌ \`${option}\` must be a date like 2025-01-31.`, ephemeral: true });
+      return;
+    }
+    // "to" includes the whole day.
+    filters[key] = date + offset;
+  }
+
+  const sessions = findViewableSessions(interaction.guildId, interaction.user.id, filters, 15);
+
+  const embed = new EmbedBuilder()
+    .setTitle('🗂️ Meeting History')
+    .setDescription(sessions.length > 0
+      ? sessions.map(formatSession).join('\n\n').slice(0, 4000)
+      : 'No meetings found. You can only see meetings you joined, or meetings of projects you belong to.')
+    .setColor(0x4A90E2)
+    .setFooter({ text: 'Showing the 15 most recent • Use /meetings show or /minutes for details • AI Learners India Bot' })
+    .setTimestamp();
+
+  await interaction.reply({ embeds: [embed], ephemeral: true });
+}
+
+function formatOffset(timestamp, startTime) {
+  const totalSeconds = Math.max(0, Math.floor((timestamp - startTime) / 1000));
+  return `${String(Math.floor(totalSeconds / 60)).padStart(2, '0')}:${String(totalSeconds % 60).padStart(2, '0')}`;
+}
+
+function formatSearchResult(result) {
+  const meeting = `<t:${Math.floor(result.startTime / 1000)}:d> in <#${result.channelId}>`;
+  let source;
+  if (result.source === 'transcript') {
+    const speaker = result.userId ? `<@${result.userId}>` : 'Unknown speaker';
+    const offset = result.timestamp ? ` at ${formatOffset(result.timestamp, result.startTime)}` : '';
+    source = `🗣️ ${speaker}${offset}`;
+  } else {
+    source = SEARCH_SOURCE_LABELS[result.source] || result.source;
+  }
+
+  return `${source} • ${meeting}\n> ${result.snippet.replace(/\n/g, ' ')}\n  ↳ \`${result.sessionId}\``;
+}
+
+async function searchMeetingHistory(interaction) {
+  const query = interaction.options.getString('query');
+  const results = searchMeetings(interaction.guildId, interaction.user.id, query, 10);
+
+  if (results === null) {
+    await interaction.reply({ content: '❌ Please enter at least one word to search for.', ephemeral: true });
+    return;
+  }
+
+  const embed = new EmbedBuilder()
+    .setTitle(`🔎 Meetings matching "${query.slice(0, 200)}"`)
+    .setDescription(results.length > 0
+      ? results.map(formatSearchResult).join('\n\n').slice(0, 4000)
+      : 'No matches found. Search covers transcripts and summaries of meetings you joined, or meetings of projects you belong to.')
+    .setColor(0x4A90E2)
+    .setFooter({ text: 'Top 10 matches • Use /meetings show to open a meeting • AI Learners India Bot' })
+    .setTimestamp();
+
+  await interaction.reply({ embeds: [embed], ephemeral: true });
+}
+
+function formatCitation(citation) {
+  const speaker = citation.userId ? `**${citation.speaker}** (<@${citation.userId}>)` : `**${citation.speaker}**`;
+  const offset = citation.offset ? ` at ${citation.offset}` : '';
+  return `🗣️ ${speaker}${offset} • <t:${Math.floor(citation.startTime / 1000)}:d>\n> "${citation.quote.replace(/\n/g, ' ')}"`;
+}
+
+/**
+ * The meetings a question is about: the chosen session, the last N meetings of
+ * a project, or the member's most recent meeting. Oldest first, with transcripts.
+ */
+function getQuestionSessions(interaction) {
+  const sessionId = interaction.options.getString('session');
+  if (sessionId) {
+    const session = getSession(interaction.guildId, sessionId);
+    return session && canViewSession(interaction.user.id, session) ? [session] : [];
+  }
+
+  const projectId = interaction.options.getString('project');
+  const limit = projectId ? (interaction.options.getInteger('last') || 3) : 1;
+
+  return findViewableSessions(interaction.guildId, interaction.user.id, projectId ? { projectId } : {}, limit)
+    .map(session => getSession(interaction.guildId, session.sessionId))
+    .filter(Boolean)
+    .reverse();
+}
+
+async function askMeetings(interaction) {
+  await interaction.deferReply({ ephemeral: true });
+
+  try {
+    const question = interaction.options.getString('question');
+    const sessions = getQuestionSessions(interaction)
+      .filter(session => session.transcripts.length > 0 || session.lastSummary);
+
+    if (sessions.length === 0) {
+      await interaction.editReply({
+        content: '❌ No meeting with a transcript found. You can only ask about meetings you joined, or meetings of projects you belong to.'
+      });
+      return;
+    }
+
+    const speakerIds = sessions.flatMap(session => [...session.participants, ...session.transcripts.map(t => t.userId)]);
+    const speakerNames = await resolveSpeakerNames(interaction.guild, speakerIds);
+    const result = await answerMeetingQuestion(sessions, question, speakerNames);
+
+    if (!result.success) {
+      await interaction.editReply({ content: `❌ Could not answer the question: ${result.error}` });
+      return;
+    }
+
+    const scope = sessions.length === 1
+      ? `the meeting on ${formatSessionDate(sessions[0].startTime)}`
+      : `the last ${sessions.length} meetings`;
+
+    const embed = new EmbedBuilder()
+      .setTitle('💬 Ask the Meeting')
+      .setDescription(`**Q:** ${question}\n\n${result.answer}`.slice(0, 4000))
+      .setColor(result.answered ? 0x4A90E2 : 0xFF8C00)
+      .setFooter({ text: `Answered from ${scope} • AI Learners India Bot` })
+      .setTimestamp();
+
+    if (result.citations.length > 0) {
+      embed.addFields({
+        name: '📎 From the transcript',
+        value: result.citations.map(formatCitation).join('\n\n').slice(0, 1024)
+      });
+    }
+
+    await interaction.editReply({ embeds: [embed] });
+  } catch (error) {
+    console.error('❌ Error in /meetings ask:', error);
+    await interaction.editReply({ content: '❌ An error occurred while answering your question. Please try again.' });
+  }
+}
+
+async function showMeeting(interaction) {
+  const session = getSession(interaction.guildId, interaction.options.getString('session'));
+
+  if (!session || !canViewSession(interaction.user.id, session)) {
+    await interaction.reply({
+      content: '❌ Meeting not found. You can only view meetings you joined, or meetings of projects you belong to.',
+      ephemeral: true
+    });
+    return;
+  }
+
+  if (!session.lastSummary) {
+    await interaction.reply({ content: '❌ This meeting was never summarized.', ephemeral: true });
+    return;
+  }
+
+  const embed = createMeetingSummaryEmbed(session, session.lastSummary, {
+    tasks: getSessionTasks(session.sessionId),
+    project: session.projectId ? getProject(interaction.guildId, session.projectId) : null,
+    iconURL: interaction.client.user.displayAvatarURL()
+  });
+
+  await interaction.reply({
+    content: `📋 Meeting from **${formatSessionDate(session.startTime)}** in <#${session.channelId}>. Use \`/minutes\` to download the PDF.`,
+    embeds: [embed],
+    ephemeral: true
+  });
+}
+
+module.exports = {
+  data: new SlashCommandBuilder()
+    .setName('meetings')
+    .setDescription('Browse past VC meetings and their summaries')
+    .addSubcommand(subcommand =>
+      subcommand.setName('list')
+        .setDescription('List past meetings you joined or that belong to your projects')
+        .addStringOption(option =>
+          option.setName('project')
+            .setDescription('Only meetings of this project')
+            .setRequired(false)
+            .setAutocomplete(true)
+        )
+        .addChannelOption(option =>
+          option.setName('channel')
+            .setDescription('Only meetings in this voice channel')
+            .setRequired(false)
+            .addChannelTypes(ChannelType.GuildVoice, ChannelType.GuildStageVoice)
+        )
+        .addUserOption(option =>
+          option.setName('participant')
+            .setDescription('Only meetings this member joined')
+            .setRequired(false)
+        )
+        .addStringOption(option =>
+          option.setName('from')
+            .setDescription('Meetings on or after this date (YYYY-MM-DD)')
+            .setRequired(false)
+        )
+        .addStringOption(option =>
+          option.setName('to')
+            .setDescription('Meetings on or before this date (YYYY-MM-DD)')
+            .setRequired(false)
+        )
+    )
+    .addSubcommand(subcommand =>
+      subcommand.setName('search')
+        .setDescription('Search transcripts and summaries of past meetings')
+        .addStringOption(option =>
+          option.setName('query')
+            .setDescription('Words to look for')
+            .setRequired(true)
+            .setMaxLength(200)
+        )
+    )
+    .addSubcommand(subcommand =>
+      subcommand.setName('show')
+        .setDescription('Show the summary of a past meeting')
+        .addStringOption(option =>
+          option.setName('session')
+            .setDescription('The meeting to show')
+            .setRequired(true)
+            .setAutocomplete(true)
+        )
+    )
+    .addSubcommand(subcommand =>
+      subcommand.setName('ask')
+        .setDescription('Ask a question about a past meeting, answered from its transcript')
+        .addStringOption(option =>
+          option.setName('question')
+            .setDescription('What do you want to know?')
+            .setRequired(true)
+            .setMaxLength(500)
+        )
+        .addStringOption(option =>
+          option.setName('session')
+            .setDescription('The meeting to ask about (defaults to your most recent one)')
+            .setRequired(false)
+            .setAutocomplete(true)
+        )
+        .addStringOption(option =>
+          option.setName('project')
+            .setDescription('Ask about the recent meetings of this project instead')
+            .setRequired(false)
+            .setAutocomplete(true)
+        )
+        .addIntegerOption(option =>
+          option.setName('last')
+            .setDescription('How many of the project\'s recent meetings to include (default 3)')
+            .setRequired(false)
+            .setMinValue(1)
+            .setMaxValue(5)
+        )
+    ),
+
+  async autocomplete(interaction) {
+    const focused = interaction.options.getFocused(true);
+
+    if (focused.name === 'session') {
+      // Meetings without a summary can still be asked about if they have a transcript.
+      await respondWithSessions(interaction, { summarizedOnly: interaction.options.getSubcommand() !== 'ask' });
+      return;
+    }
+
+    const query = focused.value.toLowerCase();
+    const choices = getGuildProjects(interaction.guildId)
+      .filter(project => project.ownerId === interaction.user.id || project.teammates.includes(interaction.user.id))
+      .filter(project => project.name.toLowerCase().includes(query))
+      .slice(0, 25)
+      .map(project => ({ name: `${project.status === 'archived' ? '📦' : '🚀'} ${project.name}`, value: project.id }));
+
+    await interaction.respond(choices);
+  },
+
+  async execute(interaction) {
+    const subcommand = interaction.options.getSubcommand();
+
+    if (subcommand === 'show') {
+      await showMeeting(interaction);
+      return;
+    }
+
+    if (subcommand === 'ask') {
+      await askMeetings(interaction);
+      return;
+    }
+
+    if (subcommand === 'search') {
+      await searchMeetingHistory(interaction);
+      return;
+    }
+
+    await listMeetings(interaction);
+  }
+};
@@ -1,28 +1,52 @@
 const { SlashCommandBuilder, AttachmentBuilder } = require('discord.js');
-const { getLastSession } = require('../utils/voiceSessionManager');
+const { getSession } = require('../utils/voiceSessionManager');
 const { generateMeetingMinutesPDF } = require('../utils/pdfGenerator');
+const { canViewSession, findViewableSessions, respondWithSessions } = require('../utils/meetingHistory');
 
 module.exports = {
   data: new SlashCommandBuilder()
     .setName('minutes')
-    .setDescription('Download PDF meeting minutes from the last VC summary'),
+    .setDescription('Download PDF meeting minutes for a VC summary')
+    .addStringOption(option =>
+      option.setName('session')
+        .setDescription('The meeting to download (defaults to your most recent one)')
+        .setRequired(false)
+        .setAutocomplete(true)
+    ),
+
+  async autocomplete(interaction) {
+    await respondWithSessions(interaction);
+  },
 
   async execute(interaction) {
     await interaction.deferReply({ ephemeral: true });
 
     try {
-      const lastSession = getLastSession(interaction.guildId);
+      const sessionId = interaction.options.getString('session');
+      let session;
 
-      if (!lastSession) {
-        await interaction.editReply({
-          content: '❌ No meeting session found! Use `/join-vc-summary` and `/summarize-vc` first to create a meeting summary.'
-        });
-        return;
+      if (sessionId) {
+        session = getSession(interaction.guildId, sessionId);
+        if (!session || !canViewSession(interaction.user.id, session)) {
+          await interaction.editReply({
+            content: '❌ Meeting not found. You can only download minutes for meetings you joined, or meetings of projects you belong to.'
+          });
+          return;
+        }
+      } else {
+        const [latest] = findViewableSessions(interaction.guildId, interaction.user.id, { summarizedOnly: true }, 1);
+        session = latest ? getSession(interaction.guildId, latest.sessionId) : null;
+        if (!session) {
+          await interaction.editReply({
+            content: '❌ No meeting session found! Use `/join-vc-summary` and `/summarize-vc` first to create a meeting summary.'
+          });
+          return;
+        }
       }
 
-      if (!lastSession.lastSummary) {
+      if (!session.lastSummary) {
         await interaction.editReply({
-          content: '❌ No summary available for the last session. Please run `/summarize-vc` first.'
+          content: '❌ No summary available for this session. Please run `/summarize-vc` first.'
         });
         return;
       }
@@ -31,11 +55,11 @@ module.exports = {
         content: '⏳ Generating PDF meeting minutes... This will take a moment.'
       });
 
-      console.log(`📄 Generating PDF for session ${lastSession.sessionId}`);
-      const pdfPath = await generateMeetingMinutesPDF(lastSession.lastSummary, lastSession);
+      console.log(`📄 Generating PDF for session ${session.sessionId}`);
+      const pdfPath = await generateMeetingMinutesPDF(session.lastSummary, session);
 
       const attachment = new AttachmentBuilder(pdfPath, {
-        name: `meeting-minutes-${new Date(lastSession.startTime).toISOString().split('T')[0]}.pdf`,
+        name: `meeting-minutes-${new Date(session.startTime).toISOString().split('T')[0]}.pdf`,
         description: 'AI-generated meeting minutes'
       });
 
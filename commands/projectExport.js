@@ -0,0 +1,67 @@
+const { SlashCommandBuilder, AttachmentBuilder } = require('discord.js');
+const { getGuildProjects, getProject } = require('../utils/projectManager');
+const { isModerator } = require('../utils/projectPermissions');
+const { buildProjectExport } = require('../utils/projectExport');
+
+function canExport(member, project) {
+  return project.ownerId === member.id || project.teammates.includes(member.id) || isModerator(member);
+}
+
+module.exports = {
+  data: new SlashCommandBuilder()
+    .setName('project-export')
+    .setDescription('Download a project\'s chat history, members and meeting summaries as a zip')
+    .addStringOption(option =>
+      option.setName('project')
+        .setDescription('The project to export')
+        .setRequired(true)
+        .setAutocomplete(true)
+    ),
+
+  async autocomplete(interaction) {
+    const query = interaction.options.getFocused().toLowerCase();
+
+    const choices = getGuildProjects(interaction.guildId)
+      .filter(project => canExport(interaction.member, project))
+      .filter(project => project.name.toLowerCase().includes(query))
+      .slice(0, 25)
+      .map(project => ({
+        name: `${project.status === 'archived' ? '📦' : '🚀'} ${project.name}`,
+        value: project.id
+      }));
+
+    await interaction.respond(choices);
+  },
+
+  async execute(interaction) {
+    const project = getProject(interaction.guildId, interaction.options.getString('project'));
+
+    if (!project) {
+      await interaction.reply({ content: '❌ Project not found.', ephemeral: true });
+      return;
+    }
+
+    if (!canExport(interaction.member, project)) {
+      await interaction.reply({
+        content: '❌ Only the project team and moderators can export a project!',
+        ephemeral: true
+      });
+      return;
+    }
+
+    await interaction.deferReply({ ephemeral: true });
+
+    const result = await buildProjectExport(interaction.guild, project);
+
+    if (!result.success) {
+      await interaction.editReply({ content: `❌ Failed to export **${project.name}**: ${result.error}` });
+      return;
+    }
+
+    await interaction.editReply({
+      content: `📦 Export of **${project.name}**: ${result.messageCount} chat messages and ${result.sessionCount} VC sessions, as Markdown and JSON.`,
+      files: [new AttachmentBuilder(result.buffer, { name: result.fileName })]
+    });
+    console.log(`📦 ${interaction.user.tag} exported project ${project.name}`);
+  }
+};
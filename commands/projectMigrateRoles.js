@@ -0,0 +1,56 @@
+const { SlashCommandBuilder, PermissionFlagsBits } = require('discord.js');
+const { getGuildProjects, updateProject } = require('../utils/projectManager');
+const { createProjectRole } = require('../utils/projectTemplates');
+const { convertOverwritesToRole } = require('../utils/projectPermissions');
+
+module.exports = {
+  data: new SlashCommandBuilder()
+    .setName('project-migrate-roles')
+    .setDescription('Give older projects a project role in place of per-member permissions (Admin only)')
+    .setDefaultMemberPermissions(PermissionFlagsBits.Administrator),
+
+  async execute(interaction) {
+    await interaction.deferReply({ ephemeral: true });
+
+    const projects = getGuildProjects(interaction.guildId).filter(project => !project.roleId && project.categoryId);
+
+    if (projects.length === 0) {
+      await interaction.editReply({ content: 'ℹ️ Every project already has a project role.' });
+      return;
+    }
+
+    const migrated = [];
+    const failed = [];
+    const skippedMembers = [];
+
+    for (const project of projects) {
+      try {
+        const owner = await interaction.guild.members.fetch(project.ownerId).catch(() => null);
+        const role = await createProjectRole(interaction.guild, {
+          projectName: project.name,
+          projectType: project.type,
+          ownerName: owner ? owner.displayName : 'Owner'
+        });
+        updateProject(interaction.guildId, project.id, { roleId: role.id });
+
+        const skipped = await convertOverwritesToRole(interaction.guild, { ...project, roleId: role.id }, role.id);
+        skippedMembers.push(...skipped.map(userId => `<@${userId}> (${project.name})`));
+        migrated.push(project.name);
+        console.log(`🏷️ Migrated project ${project.name} to role ${role.name}`);
+      } catch (error) {
+        console.error(`❌ Error migrating project ${project.name} to a role:`, error);
+        failed.push(project.name);
+      }
+    }
+
+    let content = `✅ Migrated ${migrated.length} of ${projects.length} project(s) to project roles.`;
+    if (failed.length > 0) {
+      content += `\n\n❌ Failed: ${failed.join(', ')}. Check that the bot can manage roles and channels, then run the command again.`;
+    }
+    if (skippedMembers.length > 0) {
+      content += `\n\n⚠️ Could not give the role to members who left the server: ${skippedMembers.join(', ')}`;
+    }
+
+    await interaction.editReply({ content: content.slice(0, 2000) });
+  }
+};
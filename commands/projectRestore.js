@@ -0,0 +1,71 @@
+const { SlashCommandBuilder } = require('discord.js');
+const { getArchivedProjects, getProject } = require('../utils/projectManager');
+const { isModerator } = require('../utils/projectPermissions');
+const { restoreProjectSpace } = require('../utils/projectCleanup');
+
+module.exports = {
+  data: new SlashCommandBuilder()
+    .setName('project-restore')
+    .setDescription('Reactivate an archived project (Moderators only)')
+    .addStringOption(option =>
+      option.setName('project')
+        .setDescription('The archived project to restore')
+        .setRequired(true)
+        .setAutocomplete(true)
+    ),
+
+  async autocomplete(interaction) {
+    const query = interaction.options.getFocused().toLowerCase();
+
+    const choices = getArchivedProjects(interaction.guildId)
+      .filter(project => project.name.toLowerCase().includes(query))
+      .slice(0, 25)
+      .map(project => ({ name: `📦 ${project.name}`, value: project.id }));
+
+    await interaction.respond(choices);
+  },
+
+  async execute(interaction) {
+    if (!isModerator(interaction.member)) {
+      await interaction.reply({
+        content: '❌ Only moderators can restore archived projects!',
+        ephemeral: true
+      });
+      return;
+    }
+
+    const project = getProject(interaction.guildId, interaction.options.getString('project'));
+
+    if (!project) {
+      await interaction.reply({ content: '❌ Project not found.', ephemeral: true });
+      return;
+    }
+
+    if (project.status !== 'archived') {
+      await interaction.reply({ content: `ℹ️ **${project.name}** is not archived.`, ephemeral: true });
+      return;
+    }
+
+    await interaction.deferReply({ ephemeral: true });
+
+    try {
+      await restoreProjectSpace(interaction.guild, project, interaction.user.id);
+
+      await interaction.editReply({
+        content: `✅ **${project.name}** has been restored. The team can use <#${project.channelIds.chat}> again.`
+      });
+
+      try {
+        const owner = await interaction.client.users.fetch(project.ownerId);
+        await owner.send(`♻️ Your project **${project.name}** has been reactivated by a moderator. Welcome back! 🚀`);
+      } catch (err) {
+        console.log('⚠️  Could not DM project owner about reactivation');
+      }
+    } catch (error) {
+      console.error('❌ Error restoring project:', error);
+      await interaction.editReply({
+        content: '❌ Failed to restore the project. Check that the bot can manage its channels and roles, then try again.'
+      });
+    }
+  }
+};
@@ -1,5 +1,5 @@
 const { SlashCommandBuilder, PermissionFlagsBits } = require('discord.js');
-const { loadProjectData } = require('../utils/projectManager');
+const { addProjectOption, autocompleteProjects, resolveProject } = require('../utils/projectOptions');
 const { createShowcaseEmbed } = require('../utils/projectEmbeds');
 
 module.exports = {
@@ -16,8 +16,18 @@ module.exports = {
         .setDescription('Channel to post the showcase')
         .setRequired(true)
     )
+    .addStringOption(option => addProjectOption(option, 'Which of the owner\'s projects (required if they own several)'))
     .setDefaultMemberPermissions(PermissionFlagsBits.ManageChannels),
 
+  async autocomplete(interaction) {
+    const ownerId = interaction.options.get('owner')?.value;
+    if (!ownerId) {
+      await interaction.respond([]);
+      return;
+    }
+    await autocompleteProjects(interaction, { ownedOnly: true, userId: ownerId });
+  },
+
   async execute(interaction) {
     await interaction.deferReply({ ephemeral: true });
 
@@ -31,12 +41,11 @@ module.exports = {
       return;
     }
 
-    const projectData = loadProjectData();
-    const project = Object.values(projectData.projects).find(p => p.ownerId === owner.id);
+    const { project } = resolveProject(interaction, { ownedOnly: true, userId: owner.id });
 
     if (!project) {
       await interaction.editReply({
-        content: `❌ No active project found for ${owner.tag}`
+        content: `❌ No matching active project found for ${owner.tag}. If they own several, pick one with the \`project\` option.`
       });
       return;
     }
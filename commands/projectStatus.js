@@ -1,20 +1,22 @@
 const { SlashCommandBuilder, EmbedBuilder } = require('discord.js');
-const { getUserProject } = require('../utils/projectManager');
+const { addProjectOption, autocompleteProjects, resolveProject } = require('../utils/projectOptions');
 const { getProjectColor } = require('../utils/projectEmbeds');
 
 module.exports = {
   data: new SlashCommandBuilder()
     .setName('project-status')
-    .setDescription('View your project information'),
+    .setDescription('View your project information')
+    .addStringOption(option => addProjectOption(option)),
+
+  async autocomplete(interaction) {
+    await autocompleteProjects(interaction);
+  },
 
   async execute(interaction) {
-    const project = getUserProject(interaction.user.id);
+    const { project, error } = resolveProject(interaction);
 
     if (!project) {
-      await interaction.reply({
-        content: '❌ You don\'t have an active project. Apply for one using the Apply button!',
-        ephemeral: true
-      });
+      await interaction.reply({ content: error, ephemeral: true });
       return;
     }
 
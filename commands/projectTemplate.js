@@ -0,0 +1,120 @@
+const {
+  SlashCommandBuilder,
+  EmbedBuilder,
+  ModalBuilder,
+  TextInputBuilder,
+  TextInputStyle,
+  ActionRowBuilder,
+  PermissionFlagsBits
+} = require('discord.js');
+const {
+  PROJECT_TYPES,
+  DEFAULT_TEMPLATES,
+  getTemplate,
+  resetTemplate,
+  getProjectTypeSlug
+} = require('../utils/projectTemplates');
+const { getProjectColor } = require('../utils/projectEmbeds');
+
+const CHANNEL_TYPE_ICONS = {
+  text: '💬',
+  voice: '🎙️',
+  forum: '🗂️',
+  announcement: '📣'
+};
+
+function addTypeOption(subcommand) {
+  return subcommand.addStringOption(option =>
+    option.setName('type')
+      .setDescription('Project type the template applies to')
+      .setRequired(true)
+      .addChoices(...PROJECT_TYPES.map(type => ({ name: type, value: type })))
+  );
+}
+
+function describeTemplate(template) {
+  const lines = template.channels.map(channel => {
+    let line = `${CHANNEL_TYPE_ICONS[channel.type]} **${channel.name}** (${channel.type})`;
+    if (channel.topic) line += `\n  ↳ Topic: ${channel.topic}`;
+    if (channel.pinnedMessage) line += '\n  ↳ 📌 Pinned starter message';
+    return line;
+  });
+  lines.push(`\n🏷️ Project role: **${(template.role || DEFAULT_TEMPLATES.Other.role).name}**`);
+  return lines.join('\n');
+}
+
+module.exports = {
+  data: new SlashCommandBuilder()
+    .setName('project-template')
+    .setDescription('Configure the workspace created for approved projects (Admin only)')
+    .addSubcommand(subcommand =>
+      addTypeOption(subcommand.setName('view').setDescription('Show the workspace template for a project type'))
+    )
+    .addSubcommand(subcommand =>
+      addTypeOption(subcommand.setName('edit').setDescription('Edit the workspace template for a project type as JSON'))
+    )
+    .addSubcommand(subcommand =>
+      addTypeOption(subcommand.setName('reset').setDescription('Go back to the built-in template for a project type'))
+    )
+    .setDefaultMemberPermissions(PermissionFlagsBits.Administrator),
+
+  async execute(interaction) {
+    const subcommand = interaction.options.getSubcommand();
+    const projectType = interaction.options.getString('type');
+
+    if (subcommand === 'view') {
+      const { template, custom, updatedBy, updatedAt } = getTemplate(interaction.guildId, projectType);
+
+      const embed = new EmbedBuilder()
+        .setTitle(`🧩 ${projectType} Workspace Template`)
+        .setDescription(describeTemplate(template).slice(0, 4000))
+        .setColor(getProjectColor(projectType))
+        .setFooter({ text: 'Verified by AI Learners India Bot 🤖' })
+        .setTimestamp();
+
+      embed.addFields({
+        name: 'Source',
+        value: custom
+          ? `Customized by <@${updatedBy}> <t:${Math.floor(updatedAt / 1000)}:R>`
+          : 'Built-in default. Use `/project-template edit` to customize it.',
+        inline: false
+      });
+
+      await interaction.reply({ embeds: [embed], ephemeral: true });
+      return;
+    }
+
+    if (subcommand === 'edit') {
+      const { template } = getTemplate(interaction.guildId, projectType);
+      let json = JSON.stringify(template, null, 2);
+      if (json.length > 4000) json = JSON.stringify(template);
+
+      const modal = new ModalBuilder()
+        .setCustomId(`project_template_modal_${getProjectTypeSlug(projectType)}`)
+        .setTitle(`${projectType} Template`);
+
+      modal.addComponents(
+        new ActionRowBuilder().addComponents(
+          new TextInputBuilder()
+            .setCustomId('template_json')
+            .setLabel('Template JSON')
+            .setStyle(TextInputStyle.Paragraph)
+            .setValue(json.slice(0, 4000))
+            .setRequired(true)
+            .setMaxLength(4000)
+        )
+      );
+
+      await interaction.showModal(modal);
+      return;
+    }
+
+    const removed = resetTemplate(interaction.guildId, projectType);
+    await interaction.reply({
+      content: removed
+        ? `✅ The **${projectType}** workspace template was reset to the built-in default.`
+        : `ℹ️ The **${projectType}** workspace template already uses the built-in default.`,
+      ephemeral: true
+    });
+  }
+};
@@ -0,0 +1,78 @@
+const { SlashCommandBuilder } = require('discord.js');
+const {
+  setRecordingPreference,
+  getRecordingPreference,
+  getActiveSession,
+  setSessionConsent,
+  stopRecordingUser
+} = require('../utils/voiceSessionManager');
+
+const PREFERENCE_DISPLAY = {
+  always: '✅ Always record me',
+  never: '🚫 Never record me',
+  ask: '❓ Ask me in each meeting'
+};
+
+module.exports = {
+  data: new SlashCommandBuilder()
+    .setName('recording-consent')
+    .setDescription('Choose whether VC summaries may record you')
+    .addStringOption(option =>
+      option.setName('choice')
+        .setDescription('Your recording preference (leave empty to see the current one)')
+        .setRequired(false)
+        .addChoices(
+          { name: 'Always record me', value: 'always' },
+          { name: 'Never record me', value: 'never' },
+          { name: 'Ask me in each meeting', value: 'ask' }
+        )
+    ),
+
+  async execute(interaction) {
+    await interaction.deferReply({ ephemeral: true });
+
+    try {
+      const choice = interaction.options.getString('choice');
+
+      if (!choice) {
+        const current = getRecordingPreference(interaction.guildId, interaction.user.id);
+        await interaction.editReply({
+          content: `🔒 **Your recording preference:** ${PREFERENCE_DISPLAY[current]}\n\n` +
+                   'Use `/recording-consent choice:<...>` to change it.'
+        });
+        return;
+      }
+
+      setRecordingPreference(interaction.guildId, interaction.user.id, choice === 'ask' ? null : choice);
+
+      // Apply the new choice right away if the member is in a channel being recorded.
+      const channelId = interaction.member.voice?.channelId;
+      const session = channelId ? getActiveSession(channelId) : null;
+      if (session && choice !== 'ask') {
+        setSessionConsent(channelId, interaction.user.id, choice === 'always' ? 'granted' : 'declined');
+        if (choice === 'never') {
+          stopRecordingUser(channelId, interaction.user.id);
+        }
+      }
+
+      const note = {
+        always: 'You\'ll be recorded in VC summaries without being asked.',
+        never: 'VC summaries will never record you.',
+        ask: 'Use the buttons on the recording notice to opt in for each meeting. Until you do, you are not recorded.'
+      }[choice];
+
+      await interaction.editReply({
+        content: `✅ **Recording preference updated!**\n\n${PREFERENCE_DISPLAY[choice]}\n${note}` +
+                 (session && choice !== 'ask' ? `\n\nThis also applies to the recording in <#${channelId}>.` : '')
+      });
+
+      console.log(`🔒 ${interaction.user.tag} set recording preference to: ${choice}`);
+
+    } catch (error) {
+      console.error('❌ Error in /recording-consent:', error);
+      await interaction.editReply({
+        content: '🛠️ Something went wrong while updating your preference. Please retry.'
+      });
+    }
+  }
+};
@@ -0,0 +1,58 @@
+const { SlashCommandBuilder } = require('discord.js');
+const { removeTeammate } = require('../utils/projectManager');
+const { addProjectOption, autocompleteProjects, resolveProject } = require('../utils/projectOptions');
+const { revokeAccess, postAuditLine } = require('../utils/projectPermissions');
+
+module.exports = {
+  data: new SlashCommandBuilder()
+    .setName('remove-teammate')
+    .setDescription('Remove a teammate from your project space')
+    .addUserOption(option =>
+      option.setName('user')
+        .setDescription('Teammate to remove')
+        .setRequired(true)
+    )
+    .addStringOption(option => addProjectOption(option)),
+
+  async autocomplete(interaction) {
+    await autocompleteProjects(interaction, { ownedOnly: true });
+  },
+
+  async execute(interaction) {
+    await interaction.deferReply({ ephemeral: true });
+
+    const { project, error } = resolveProject(interaction, { ownedOnly: true });
+
+    if (!project) {
+      await interaction.editReply({ content: error });
+      return;
+    }
+
+    const user = interaction.options.getUser('user');
+
+    if (!project.teammates.includes(user.id)) {
+      await interaction.editReply({
+        content: `⚠️ <@${user.id}> is not a teammate on **${project.name}**.`
+      });
+      return;
+    }
+
+    try {
+      await revokeAccess(interaction.guild, project, user.id);
+      removeTeammate(interaction.guildId, project.id, user.id);
+
+      await postAuditLine(interaction.guild, project, `<@${interaction.user.id}> removed <@${user.id}> from the project.`);
+
+      await interaction.editReply({
+        content: `✅ Removed <@${user.id}> from **${project.name}**.`
+      });
+
+      console.log(`➖ Removed ${user.tag} from project ${project.name}`);
+    } catch (error) {
+      console.error('❌ Error removing teammate:', error);
+      await interaction.editReply({
+        content: '❌ Failed to remove teammate. Please try again or contact a moderator.'
+      });
+    }
+  }
+};
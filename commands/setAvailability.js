@@ -0,0 +1,45 @@
+const { SlashCommandBuilder } = require('discord.js');
+const { setAvailability, AVAILABILITY_OPTIONS } = require('../utils/updateProfile');
+
+module.exports = {
+  data: new SlashCommandBuilder()
+    .setName('set-availability')
+    .setDescription('Let others know if you are open to joining a team (used by /find_teammate)')
+    .addStringOption(option =>
+      option.setName('status')
+        .setDescription('Your availability')
+        .setRequired(true)
+        .addChoices(
+          ...Object.entries(AVAILABILITY_OPTIONS).map(([value, name]) => ({ name, value }))
+        )
+    ),
+
+  async execute(interaction) {
+    const status = interaction.options.getString('status');
+
+    try {
+      const updated = await setAvailability(interaction.guildId, interaction.user.id, status);
+
+      if (!updated) {
+        await interaction.reply({
+          content: '⚠️ You need to post an introduction before setting your availability.',
+          ephemeral: true
+        });
+        return;
+      }
+
+      await interaction.reply({
+        content: `✅ Availability set to **${AVAILABILITY_OPTIONS[status]}**`,
+        ephemeral: true
+      });
+
+      console.log(`📅 ${interaction.user.tag} set availability to ${status}`);
+    } catch (error) {
+      console.error('❌ Error setting availability:', error);
+      await interaction.reply({
+        content: '❌ Failed to update your availability. Please try again.',
+        ephemeral: true
+      });
+    }
+  }
+};
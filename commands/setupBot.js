@@ -97,7 +97,7 @@ module.exports = {
         return;
       }
 
-      const config = loadConfig();
+      const config = loadConfig(guild.id);
       const setupData = {
         setupBy: interaction.user.id,
         setupTimestamp: Date.now(),
@@ -157,7 +157,7 @@ module.exports = {
 
           if (setupData.introChannelId && setupData.profileChannelId) {
             setupData.setupComplete = true;
-            const savedConfig = updateConfig(setupData);
+            const savedConfig = updateConfig(guild.id, setupData);
             
             if (savedConfig) {
               const successEmbed = new EmbedBuilder()
@@ -21,12 +21,12 @@ module.exports = {
     }
 
     try {
-      if (!isSetupComplete()) {
+      if (!isSetupComplete(interaction.guildId)) {
         await safeReply(interaction, '❌ Bot is not configured yet! Please run `/setup-bot` first.');
         return;
       }
 
-      const config = loadConfig();
+      const config = loadConfig(interaction.guildId);
       const targetChannel = interaction.options.getChannel('channel') || 
                            interaction.guild.channels.cache.get(config.introChannelId);
 
@@ -11,7 +11,7 @@ module.exports = {
     await interaction.deferReply({ ephemeral: true });
 
     try {
-      const currentConfig = loadConfig();
+      const currentConfig = loadConfig(interaction.guildId);
       
       if (!currentConfig.setupComplete) {
         await interaction.editReply({
@@ -66,7 +66,7 @@ module.exports = {
         });
 
         if (buttonInteraction.customId === 'confirm_reset') {
-          const success = resetConfig();
+          const success = resetConfig(interaction.guildId);
           
           if (success) {
             await buttonInteraction.update({
@@ -1,39 +1,62 @@
-const { SlashCommandBuilder } = require('discord.js');
-const { getVoiceConnection } = require('@discordjs/voice');
-const { getActiveSession, endSession } = require('../utils/voiceSessionManager');
+const { SlashCommandBuilder, ChannelType } = require('discord.js');
+const { getActiveSession, removeQueuedRecording } = require('../utils/voiceSessionManager');
+const { finishRecording, resolveTargetChannel, canManageRecording } = require('../utils/vcRecording');
 
 module.exports = {
   data: new SlashCommandBuilder()
     .setName('stop-summary')
-    .setDescription('Stop the voice recording without generating a summary'),
+    .setDescription('Stop the voice recording without generating a summary')
+    .addChannelOption(option =>
+      option.setName('channel')
+        .setDescription('Voice channel to stop (defaults to the one you are in)')
+        .setRequired(false)
+        .addChannelTypes(ChannelType.GuildVoice, ChannelType.GuildStageVoice)
+    ),
 
   async execute(interaction) {
     await interaction.deferReply({ ephemeral: true });
 
     try {
-      const session = getActiveSession(interaction.guildId);
+      const channelId = resolveTargetChannel(interaction);
 
-      if (!session) {
+      if (channelId && !canManageRecording(interaction.member, channelId)) {
         await interaction.editReply({
-          content: '❌ No active recording session found! Use `/join-vc-summary` first to start recording.'
+          content: `❌ Only the member who started the recording of <#${channelId}>, people in that channel or moderators can stop it.`
         });
         return;
       }
 
-      const connection = getVoiceConnection(interaction.guildId);
-      if (connection) {
-        connection.destroy();
-        console.log('🛑 Voice connection destroyed (stopped without summary)');
+      if (channelId && !getActiveSession(channelId) && removeQueuedRecording(interaction.guildId, channelId)) {
+        await interaction.editReply({
+          content: `✅ **Removed <#${channelId}> from the recording queue.**`
+        });
+        console.log(`✅ Queued recording for ${channelId} cancelled by ${interaction.user.tag}`);
+        return;
       }
 
-      endSession(interaction.guildId);
+      const session = channelId ? getActiveSession(channelId) : null;
+
+      if (!session) {
+        await interaction.editReply({
+          content: '❌ No active recording session found in that voice channel! Join the channel being recorded or pick it with the `channel` option.'
+        });
+        return;
+      }
+
+      const endedSession = await finishRecording(interaction.guild, channelId);
+      if (!endedSession) {
+        await interaction.editReply({
+          content: '⚠️ This recording is already being stopped.'
+        });
+        return;
+      }
 
       await interaction.editReply({
         content: '✅ **Recording stopped successfully!**\n\nThe session has been ended without generating a summary.'
       });
 
       await interaction.channel.send({
-        content: `🛑 **Recording Stopped**\n\nInitiated by: <@${interaction.user.id}>\n\nThe recording has been stopped without generating a summary.`
+        content: `🛑 **Recording Stopped**\n\nVoice Channel: <#${channelId}>\nInitiated by: <@${interaction.user.id}>\n\nThe recording has been stopped without generating a summary.`
       });
 
       console.log(`✅ Recording stopped by ${interaction.user.tag} without summary`);
@@ -1,8 +1,11 @@
-const { SlashCommandBuilder, EmbedBuilder } = require('discord.js');
-const { getVoiceConnection } = require('@discordjs/voice');
-const { getActiveSession, endSession, saveSummaryToSession, waitForRecordings } = require('../utils/voiceSessionManager');
-const { summarizeMeeting } = require('../utils/meetingSummarizer');
-const { loadProjectData } = require('../utils/projectManager');
+const { SlashCommandBuilder, ChannelType } = require('discord.js');
+const { getActiveSession, getQueuePosition, saveSummaryToSession } = require('../utils/voiceSessionManager');
+const { finishRecording, resolveTargetChannel, canManageRecording } = require('../utils/vcRecording');
+const { summarizeMeeting, resolveSpeakerNames } = require('../utils/meetingSummarizer');
+const { createMeetingSummaryEmbed } = require('../utils/meetingEmbeds');
+const { getProject, updateLastActivity } = require('../utils/projectManager');
+const { createTasksFromSummary, getOpenTasksForSession } = require('../utils/taskManager');
+const { scheduleTaskReminder } = require('../utils/taskReminders');
 
 module.exports = {
   data: new SlashCommandBuilder()
@@ -12,47 +15,68 @@ module.exports = {
       option.setName('summary_channel')
         .setDescription('Channel to post summary (defaults to #meeting-summaries)')
         .setRequired(false)
+    )
+    .addChannelOption(option =>
+      option.setName('channel')
+        .setDescription('Voice channel to summarize (defaults to the one you are in)')
+        .setRequired(false)
+        .addChannelTypes(ChannelType.GuildVoice, ChannelType.GuildStageVoice)
     ),
 
   async execute(interaction) {
     await interaction.deferReply();
 
     try {
-      const session = getActiveSession(interaction.guildId);
+      const channelId = resolveTargetChannel(interaction);
 
-      if (!session) {
+      if (channelId && !canManageRecording(interaction.member, channelId)) {
         await interaction.editReply({
-          content: '❌ No active recording session found! Use `/join-vc-summary` first to start recording.'
+          content: `❌ Only the member who started the recording of <#${channelId}>, people in that channel or moderators can summarize it.`
         });
         return;
       }
+      const session = channelId ? getActiveSession(channelId) : null;
 
-      const connection = getVoiceConnection(interaction.guildId);
-      if (connection) {
-        connection.destroy();
-        console.log('🛑 Voice connection destroyed');
+      if (!session) {
+        const queuePosition = channelId ? getQueuePosition(interaction.guildId, channelId) : 0;
+        await interaction.editReply({
+          content: queuePosition > 0
+            ? `⏳ <#${channelId}> hasn't started recording yet; it is number ${queuePosition} in the queue.`
+            : '❌ No active recording session found in that voice channel! Use `/join-vc-summary` first, or pick the channel being recorded with the `channel` option.'
+        });
+        return;
       }
 
       await interaction.editReply({
         content: '⏳ **Processing meeting...**\n\nWaiting for all recordings and transcriptions to complete. This may take a moment...'
       });
 
-      await waitForRecordings(interaction.guildId);
-
-      const endedSession = endSession(interaction.guildId);
+      const endedSession = await finishRecording(interaction.guild, channelId);
+      if (!endedSession) {
+        await interaction.editReply({
+          content: '⚠️ This recording is already being stopped.'
+        });
+        return;
+      }
 
       const transcripts = endedSession.transcripts || [];
       
       if (transcripts.length === 0) {
         transcripts.push({
-          text: '[Placeholder: Voice transcription would appear here. Gemini Audio API integration ready for real audio processing.]',
+          text: '[Placeholder: No speech was transcribed. Check that a transcription provider is configured (GEMINI_API_KEY, or TRANSCRIPTION_PROVIDER=whisper with WHISPER_URL or WHISPER_BINARY/WHISPER_MODEL).]',
           userId: endedSession.initiatorId
         });
       }
 
       console.log('🤖 Generating meeting summary...');
       const languageMode = endedSession.languageMode || 'auto';
-      const summaryResult = await summarizeMeeting(transcripts, endedSession, languageMode);
+      const speakerNames = await resolveSpeakerNames(
+        interaction.guild,
+        [...endedSession.participants, ...Object.keys(endedSession.consent), ...transcripts.map(t => t.userId)]
+      );
+      const openTasks = getOpenTasksForSession(endedSession);
+      const taskAssigneeNames = await resolveSpeakerNames(interaction.guild, openTasks.map(task => task.assigneeId));
+      const summaryResult = await summarizeMeeting(transcripts, endedSession, languageMode, speakerNames, openTasks, taskAssigneeNames);
 
       if (!summaryResult.success) {
         await interaction.editReply({
@@ -62,79 +86,26 @@ module.exports = {
       }
 
       const summary = summaryResult.summary;
-      const language = summaryResult.language || 'English';
-      const tone = summaryResult.tone || 'brainstorming';
-      
-      saveSummaryToSession(endedSession.sessionId, summary);
-
-      const duration = Math.round((endedSession.endTime - endedSession.startTime) / 60000);
-      
-      const embedColor = {
-        'productive': '#00FF00',
-        'brainstorming': '#FFA500',
-        'blockers': '#FF0000'
-      }[tone] || '#4A90E2';
-      
-      const toneEmoji = {
-        'productive': '🟢',
-        'brainstorming': '🟠',
-        'blockers': '🔴'
-      }[tone] || '🔵';
-      
-      const embed = new EmbedBuilder()
-        .setColor(embedColor)
-        .setTitle('🧠 Meeting Summary (Auto-generated by AI Learners Bot)')
-        .setDescription(summary.overview || 'No overview available')
-        .addFields(
-          { 
-            name: '📊 Meeting Info', 
-            value: `**Duration:** ${duration} minutes\n**Participants:** ${endedSession.participants.length} people\n**Language:** ${language}\n**Tone:** ${toneEmoji} ${tone.charAt(0).toUpperCase() + tone.slice(1)}`, 
-            inline: false 
-          },
-          { 
-            name: '💬 Key Topics', 
-            value: formatList(summary.discussion_points) || 'None', 
-            inline: false 
-          },
-          { 
-            name: '✅ Decisions Made', 
-            value: formatList(summary.decisions) || 'None', 
-            inline: false 
-          },
-          { 
-            name: '📝 Action Items', 
-            value: formatList(summary.action_items) || 'None', 
-            inline: false 
-          },
-          { 
-            name: '🚀 Next Steps', 
-            value: formatList(summary.next_steps) || 'None', 
-            inline: false 
-          }
-        )
-        .setFooter({ 
-          text: `Session ID: ${endedSession.sessionId} • AI Learners India Bot`, 
-          iconURL: interaction.client.user.displayAvatarURL() 
-        })
-        .setTimestamp();
-
-      let participantTags = endedSession.participants.map(id => `<@${id}>`).join(' ');
       
+      saveSummaryToSession(interaction.guildId, endedSession.sessionId, summary);
       if (endedSession.projectId) {
-        const projectData = loadProjectData();
-        const project = projectData.projects[endedSession.projectId];
-        if (project) {
-          const allTeamMembers = [project.ownerId, ...project.teammates];
-          participantTags = allTeamMembers.map(id => `<@${id}>`).join(' ');
-          
-          embed.addFields({
-            name: '🏗️ Project Team',
-            value: `**${project.name}**\n${participantTags}`,
-            inline: false
-          });
-        }
+        updateLastActivity(interaction.guildId, endedSession.projectId);
       }
 
+      const tasks = createTasksFromSummary(endedSession, summary.action_items);
+      tasks.forEach(scheduleTaskReminder);
+
+      const project = endedSession.projectId ? getProject(interaction.guildId, endedSession.projectId) : null;
+      const embed = createMeetingSummaryEmbed(endedSession, summary, {
+        tasks,
+        project,
+        iconURL: interaction.client.user.displayAvatarURL()
+      });
+
+      const participantTags = (project ? [project.ownerId, ...project.teammates] : endedSession.participants)
+        .map(id => `<@${id}>`)
+        .join(' ');
+
       const summaryChannel = interaction.options.getChannel('summary_channel') || 
                              interaction.guild.channels.cache.find(ch => ch.name === 'meeting-summaries') ||
                              interaction.channel;
@@ -226,15 +197,3 @@ module.exports = {
     }
   }
 };
-
-function formatList(items) {
-  if (!items || items.length === 0) {
-    return 'None';
-  }
-  
-  if (items.length === 1 && items[0].toLowerCase().includes('none')) {
-    return 'None';
-  }
-  
-  return items.map((item, index) => `${index + 1}. ${item}`).join('\n');
-}
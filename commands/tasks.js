@@ -0,0 +1,209 @@
+const { SlashCommandBuilder, EmbedBuilder } = require('discord.js');
+const { getTasks, getTask, completeTask, assignTask } = require('../utils/taskManager');
+const { scheduleTaskReminder, cancelTaskReminder } = require('../utils/taskReminders');
+const { getProject } = require('../utils/projectManager');
+const { isModerator } = require('../utils/projectPermissions');
+const { getSession } = require('../utils/voiceSessionManager');
+const { getMemberProjectIds, canViewSession } = require('../utils/meetingHistory');
+
+function isProjectTeam(member, task) {
+  const project = task.projectId ? getProject(task.guildId, task.projectId) : null;
+  return !!project && (project.ownerId === member.id || project.teammates.includes(member.id));
+}
+
+/**
+ * The same members who see the task in /tasks list: its assignee, moderators, the project's team
+ * and whoever can view the meeting it came from.
+ */
+function canViewTask(member, task) {
+  if (task.assigneeId === member.id || isModerator(member) || isProjectTeam(member, task)) return true;
+
+  const session = task.sessionId ? getSession(task.guildId, task.sessionId) : null;
+  return !!session && canViewSession(member.id, session);
+}
+
+/**
+ * Assignees, the project's team and moderators can manage a task; anyone who can see an unassigned one can pick it up.
+ */
+function canManageTask(member, task) {
+  if (task.assigneeId === member.id || isModerator(member) || isProjectTeam(member, task)) return true;
+  return !task.assigneeId && canViewTask(member, task);
+}
+
+function formatTask(task) {
+  const assignee = task.assigneeId ? `<@${task.assigneeId}>` : 'Unassigned';
+  let line = `**#${task.id}** ${task.status === 'done' ? '✅' : '⬜'} ${task.task} • ${assignee}`;
+
+  if (task.dueAt) {
+    line += ` • due <t:${Math.floor(task.dueAt / 1000)}:R>`;
+  } else if (task.due) {
+    line += ` • due ${task.due}`;
+  }
+  if (task.projectId) {
+    const project = getProject(task.guildId, task.projectId);
+    if (project) line += ` • 🏗️ ${project.name}`;
+  }
+  if (task.status === 'done' && task.completedBy) {
+    line += `\n  ↳ done by <@${task.completedBy}> <t:${Math.floor(task.completedAt / 1000)}:R>`;
+  }
+  return line;
+}
+
+async function listTasks(interaction) {
+  const member = interaction.options.getUser('member');
+  const show = interaction.options.getString('show') || 'mine';
+  const status = interaction.options.getString('status') || 'open';
+
+  // Tasks from meetings the caller couldn't view in /meetings stay hidden here too.
+  const filters = {
+    status,
+    viewerId: interaction.user.id,
+    viewerProjectIds: getMemberProjectIds(interaction.guildId, interaction.user.id)
+  };
+  let title = 'Your Tasks';
+  if (member) {
+    filters.assigneeId = member.id;
+    title = `Tasks for ${member.username}`;
+  } else if (show === 'mine') {
+    filters.assigneeId = interaction.user.id;
+  } else if (show === 'unassigned') {
+    filters.unassigned = true;
+    title = 'Unassigned Tasks';
+  } else {
+    title = 'All Tasks';
+  }
+
+  const tasks = getTasks(interaction.guildId, filters, 20);
+
+  const embed = new EmbedBuilder()
+    .setTitle(`📝 ${title} (${status === 'done' ? 'done' : 'open'})`)
+    .setDescription(tasks.length > 0
+      ? tasks.map(formatTask).join('\n').slice(0, 4000)
+      : 'No tasks found. Action items from `/summarize-vc` meetings show up here.')
+    .setColor(0x4A90E2)
+    .setFooter({ text: 'Showing up to 20 tasks • AI Learners India Bot' })
+    .setTimestamp();
+
+  await interaction.reply({ embeds: [embed], ephemeral: true });
+}
+
+module.exports = {
+  data: new SlashCommandBuilder()
+    .setName('tasks')
+    .setDescription('Track action items from meeting summaries')
+    .addSubcommand(subcommand =>
+      subcommand.setName('list')
+        .setDescription('List tasks from meeting summaries')
+        .addStringOption(option =>
+          option.setName('show')
+            .setDescription('Whose tasks to show (defaults to yours)')
+            .setRequired(false)
+            .addChoices(
+              { name: 'Mine', value: 'mine' },
+              { name: 'Unassigned', value: 'unassigned' },
+              { name: 'Everyone', value: 'all' }
+            )
+        )
+        .addUserOption(option =>
+          option.setName('member')
+            .setDescription('Show tasks assigned to this member')
+            .setRequired(false)
+        )
+        .addStringOption(option =>
+          option.setName('status')
+            .setDescription('Open or done tasks (defaults to open)')
+            .setRequired(false)
+            .addChoices(
+              { name: '⬜ Open', value: 'open' },
+              { name: '✅ Done', value: 'done' }
+            )
+        )
+    )
+    .addSubcommand(subcommand =>
+      subcommand.setName('done')
+        .setDescription('Mark a task as done')
+        .addIntegerOption(option =>
+          option.setName('id')
+            .setDescription('Task ID (shown in /tasks list and meeting summaries)')
+            .setRequired(true)
+            .setMinValue(1)
+        )
+    )
+    .addSubcommand(subcommand =>
+      subcommand.setName('assign')
+        .setDescription('Assign a task to a member')
+        .addIntegerOption(option =>
+          option.setName('id')
+            .setDescription('Task ID (shown in /tasks list and meeting summaries)')
+            .setRequired(true)
+            .setMinValue(1)
+        )
+        .addUserOption(option =>
+          option.setName('member')
+            .setDescription('Member who will do the task')
+            .setRequired(true)
+        )
+    ),
+
+  async execute(interaction) {
+    const subcommand = interaction.options.getSubcommand();
+
+    if (subcommand === 'list') {
+      await listTasks(interaction);
+      return;
+    }
+
+    const task = getTask(interaction.guildId, interaction.options.getInteger('id'));
+
+    // Tasks the caller can't see get the same reply as a missing ID.
+    if (!task || !canViewTask(interaction.member, task)) {
+      await interaction.reply({ content: '❌ No task with that ID was found.', ephemeral: true });
+      return;
+    }
+
+    if (task.status !== 'open') {
+      await interaction.reply({ content: `ℹ️ Task #${task.id} is already done.`, ephemeral: true });
+      return;
+    }
+
+    if (!canManageTask(interaction.member, task)) {
+      await interaction.reply({
+        content: '❌ Only the assignee, the project team or a moderator can update this task!',
+        ephemeral: true
+      });
+      return;
+    }
+
+    if (subcommand === 'done') {
+      completeTask(interaction.guildId, task.id, interaction.user.id);
+      cancelTaskReminder(task.id);
+
+      await interaction.reply({ content: `✅ Task #${task.id} marked as done: ${task.task}`, ephemeral: true });
+      console.log(`✅ ${interaction.user.tag} completed task #${task.id}`);
+      return;
+    }
+
+    const assignee = interaction.options.getUser('member');
+    if (assignee.bot) {
+      await interaction.reply({ content: '❌ Tasks can\'t be assigned to bots.', ephemeral: true });
+      return;
+    }
+
+    assignTask(interaction.guildId, task.id, assignee.id);
+    scheduleTaskReminder({ ...task, assigneeId: assignee.id });
+
+    await interaction.reply({ content: `✅ Task #${task.id} assigned to <@${assignee.id}>: ${task.task}`, ephemeral: true });
+    console.log(`📝 ${interaction.user.tag} assigned task #${task.id} to ${assignee.tag}`);
+
+    if (assignee.id !== interaction.user.id) {
+      try {
+        await assignee.send(
+          `📝 <@${interaction.user.id}> assigned you task **#${task.id}** in **${interaction.guild.name}**: ${task.task}` +
+          `${task.due ? ` (due: ${task.due})` : ''}\n\nUse \`/tasks done id:${task.id}\` when it's finished.`
+        );
+      } catch (err) {
+        console.log(`⚠️  Could not DM ${assignee.tag} about their new task`);
+      }
+    }
+  }
+};
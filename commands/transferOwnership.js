@@ -0,0 +1,75 @@
+const { SlashCommandBuilder } = require('discord.js');
+const { transferOwnership, getProject, getOwnedProjects } = require('../utils/projectManager');
+const { addProjectOption, autocompleteProjects, resolveProject, getMaxOwnedProjects } = require('../utils/projectOptions');
+const { grantOwnerAccess, revokeOwnerAccess, grantTeammateAccess, postAuditLine } = require('../utils/projectPermissions');
+
+module.exports = {
+  data: new SlashCommandBuilder()
+    .setName('transfer-ownership')
+    .setDescription('Hand ownership of your project to a teammate')
+    .addUserOption(option =>
+      option.setName('user')
+        .setDescription('Teammate who will become the new owner')
+        .setRequired(true)
+    )
+    .addStringOption(option => addProjectOption(option)),
+
+  async autocomplete(interaction) {
+    await autocompleteProjects(interaction, { ownedOnly: true });
+  },
+
+  async execute(interaction) {
+    await interaction.deferReply({ ephemeral: true });
+
+    const { project, error } = resolveProject(interaction, { ownedOnly: true });
+
+    if (!project) {
+      await interaction.editReply({ content: error });
+      return;
+    }
+
+    const newOwner = interaction.options.getUser('user');
+
+    if (!project.teammates.includes(newOwner.id)) {
+      await interaction.editReply({
+        content: `⚠️ <@${newOwner.id}> must be a teammate on **${project.name}** first. Add them with \`/add-teammate\`.`
+      });
+      return;
+    }
+
+    if (getOwnedProjects(interaction.guildId, newOwner.id).length >= getMaxOwnedProjects()) {
+      await interaction.editReply({
+        content: `⚠️ <@${newOwner.id}> already owns the maximum of ${getMaxOwnedProjects()} projects.`
+      });
+      return;
+    }
+
+    try {
+      if (!transferOwnership(interaction.guildId, project.id, newOwner.id)) {
+        throw new Error('Ownership transfer was not applied');
+      }
+
+      const updatedProject = getProject(interaction.guildId, project.id);
+      await grantOwnerAccess(interaction.guild, updatedProject, newOwner.id);
+      await revokeOwnerAccess(interaction.guild, updatedProject, interaction.user.id);
+      await grantTeammateAccess(interaction.guild, updatedProject, interaction.user.id);
+
+      await postAuditLine(
+        interaction.guild,
+        updatedProject,
+        `<@${interaction.user.id}> transferred ownership of the project to <@${newOwner.id}>.`
+      );
+
+      await interaction.editReply({
+        content: `✅ <@${newOwner.id}> now owns **${project.name}**. You remain on the team as a teammate.`
+      });
+
+      console.log(`👑 Ownership of ${project.name} transferred from ${interaction.user.tag} to ${newOwner.tag}`);
+    } catch (error) {
+      console.error('❌ Error transferring ownership:', error);
+      await interaction.editReply({
+        content: '❌ Failed to transfer ownership. Please try again or contact a moderator.'
+      });
+    }
+  }
+};
@@ -43,7 +43,7 @@ module.exports = {
     try {
       const profileChannel = await interaction.client.channels.fetch(profileChannelId);
       
-      const existingProfile = await getUserProfile(userId);
+      const existingProfile = await getUserProfile(interaction.guildId, userId);
       if (existingProfile) {
         try {
           const oldMessage = await profileChannel.messages.fetch(existingProfile.messageId);
@@ -54,7 +54,7 @@ module.exports = {
         }
       }
 
-      console.log('🤖 Analyzing intro with Gemini AI...');
+      console.log('🤖 Analyzing intro with AI...');
       const geminiResult = await analyzeIntro(introText);
 
       if (!geminiResult.success) {
@@ -76,7 +76,21 @@ module.exports = {
       const profileMessage = await profileChannel.send({ 
         embeds: [profileEmbed] 
       });
-      await saveUserProfile(userId, profileMessage.id);
+      const analysis = geminiResult.data;
+      await saveUserProfile(interaction.guildId, userId, profileMessage.id, {
+        introData: {
+          name: analysis.name,
+          role: analysis.role,
+          institution: analysis.institution,
+          interests: analysis.interests,
+          goal: analysis.goal,
+          portfolio: analysis.portfolio,
+          details: introText.slice(0, 1000)
+        },
+        summary: analysis.refined_intro,
+        experienceLevel: analysis.experience_level,
+        skills: analysis.skills
+      });
 
       await interaction.editReply({
         content: `✅ Your profile has been updated successfully! Check <#${profileChannelId}>`
@@ -34,7 +34,7 @@ async function handleIntroModal(interaction) {
 
     console.log(`📝 Processing introduction from ${interaction.user.tag}`);
 
-    const config = loadConfig();
+    const config = loadConfig(interaction.guildId);
     const profileChannelId = config.profileChannelId || process.env.PROFILE_CHANNEL_ID;
     
     if (!profileChannelId) {
@@ -74,7 +74,7 @@ async function handleIntroModal(interaction) {
       skills = aiResult.fallback.skills;
     }
 
-    const existingProfile = await getUserProfile(interaction.user.id);
+    const existingProfile = await getUserProfile(interaction.guildId, interaction.user.id);
     if (existingProfile && existingProfile.messageId) {
       try {
         const oldMessage = await profileChannel.messages.fetch(existingProfile.messageId);
@@ -142,7 +142,7 @@ async function handleIntroModal(interaction) {
       return;
     }
 
-    await saveUserProfile(interaction.user.id, profileMessage.id, {
+    await saveUserProfile(interaction.guildId, interaction.user.id, profileMessage.id, {
       introData,
       summary,
       experienceLevel,
@@ -176,7 +176,7 @@ async function handleUpdateIntroButton(interaction) {
   }
 
   try {
-    const userProfile = await getUserProfile(userId);
+    const userProfile = await getUserProfile(interaction.guildId, userId);
     
     const modal = createIntroModal(userProfile?.introData);
     await interaction.showModal(modal);
@@ -229,7 +229,7 @@ async function handleConfirmDeleteIntro(interaction) {
   }
 
   try {
-    const userProfile = await getUserProfile(userId);
+    const userProfile = await getUserProfile(interaction.guildId, userId);
     
     if (!userProfile || !userProfile.messageId) {
       await interaction.update({
@@ -239,7 +239,7 @@ async function handleConfirmDeleteIntro(interaction) {
       return;
     }
 
-    const config = loadConfig();
+    const config = loadConfig(interaction.guildId);
     const profileChannelId = config.profileChannelId || process.env.PROFILE_CHANNEL_ID;
     
     try {
@@ -251,7 +251,7 @@ async function handleConfirmDeleteIntro(interaction) {
       console.warn('⚠️ Could not delete message:', error.message);
     }
 
-    await deleteUserProfile(userId);
+    await deleteUserProfile(interaction.guildId, userId);
 
     await interaction.update({
       content: '✅ Your introduction has been deleted.',
@@ -4,38 +4,61 @@ const {
   TextInputStyle,
   ActionRowBuilder,
   ButtonBuilder,
-  ButtonStyle,
-  ChannelType,
-  PermissionFlagsBits
+  ButtonStyle
 } = require('discord.js');
+const { loadConfig, getModeratorRoleId } = require('../utils/configManager');
 const {
-  getUserProject,
+  getOwnedProjects,
   createProject,
   updateProject,
+  getProject,
+  addTeammate,
+  getInvite,
+  resolveInvite,
+  cancelAcceptedInvite,
   savePendingApplication,
+  discardUnpostedApplication,
   getPendingApplication,
-  deletePendingApplication
+  getApplication,
+  getApplicationById,
+  getOpenApplication,
+  setApplicationReviewMessage,
+  decideApplication,
+  requestApplicationChanges,
+  reviseApplication,
+  undoApplicationRevision,
+  setProjectChannels,
+  getProjectById,
+  updateLastActivity,
+  snoozeProject
 } = require('../utils/projectManager');
+const { grantTeammateAccess, revokeAccess, postAuditLine, isModerator } = require('../utils/projectPermissions');
+const { sendProjectInvite } = require('../utils/projectInvites');
+const { getMaxOwnedProjects } = require('../utils/projectOptions');
 const {
   createVerificationEmbed,
   createWelcomeEmbed,
-  createShowcaseEmbed
+  createShowcaseEmbed,
+  markApplicationEmbed,
+  addScreeningToEmbed
 } = require('../utils/projectEmbeds');
+const { screenApplication } = require('../utils/applicationScreening');
+const { archiveProjectSpace, SNOOZE_DAYS } = require('../utils/projectCleanup');
+const {
+  PROJECT_TYPES,
+  buildProjectWorkspace,
+  getProjectTypeFromSlug,
+  validateTemplate,
+  saveTemplate
+} = require('../utils/projectTemplates');
 
-async function handleApplyButton(interaction) {
-  const existingProject = getUserProject(interaction.user.id);
-  
-  if (existingProject) {
-    await interaction.reply({
-      content: '⚠️ You already have an active project! Use `/project-status` to view it.',
-      ephemeral: true
-    });
-    return;
-  }
+// Application IDs being approved or rejected right now, so a double click can't create two workspaces.
+const reviewsInProgress = new Set();
 
+function createApplicationModal(customId = 'project_application_modal', prefill = null) {
   const modal = new ModalBuilder()
-    .setCustomId('project_application_modal')
-    .setTitle('Project Application');
+    .setCustomId(customId)
+    .setTitle(prefill ? 'Revise Project Application' : 'Project Application');
 
   const projectNameInput = new TextInputBuilder()
     .setCustomId('project_name')
@@ -69,6 +92,15 @@ async function handleApplyButton(interaction) {
     .setRequired(false)
     .setMaxLength(100);
 
+  if (prefill) {
+    projectNameInput.setValue(prefill.projectName);
+    if (prefill.description) descriptionInput.setValue(prefill.description);
+    if (prefill.projectType) projectTypeInput.setValue(prefill.projectType);
+    if (prefill.teammates.length > 0) {
+      teammatesInput.setValue(prefill.teammates.map(id => `<@${id}>`).join(' ').slice(0, 100));
+    }
+  }
+
   modal.addComponents(
     new ActionRowBuilder().addComponents(projectNameInput),
     new ActionRowBuilder().addComponents(descriptionInput),
@@ -76,25 +108,19 @@ async function handleApplyButton(interaction) {
     new ActionRowBuilder().addComponents(teammatesInput)
   );
 
-  await interaction.showModal(modal);
-  console.log(`📝 Showed application modal to ${interaction.user.tag}`);
+  return modal;
 }
 
-async function handleModalSubmit(interaction) {
-  if (interaction.customId !== 'project_application_modal') return;
-
-  await interaction.deferReply({ ephemeral: true });
-
+function parseApplicationFields(interaction) {
   const projectName = interaction.fields.getTextInputValue('project_name');
   const description = interaction.fields.getTextInputValue('project_description');
   let projectType = interaction.fields.getTextInputValue('project_type');
   const teammatesInput = interaction.fields.getTextInputValue('initial_teammates');
 
-  const validTypes = ['AI Research', 'Automation', 'Startup', 'Study Group', 'Other'];
-  if (!validTypes.some(type => projectType.toLowerCase().includes(type.toLowerCase()))) {
+  if (!PROJECT_TYPES.some(type => projectType.toLowerCase().includes(type.toLowerCase()))) {
     projectType = 'Other';
   } else {
-    projectType = validTypes.find(type => projectType.toLowerCase().includes(type.toLowerCase()));
+    projectType = PROJECT_TYPES.find(type => projectType.toLowerCase().includes(type.toLowerCase()));
   }
 
   const teammateIds = [];
@@ -103,96 +129,251 @@ async function handleModalSubmit(interaction) {
     if (mentions) {
       mentions.forEach(mention => {
         const id = mention.replace(/<@!?(\d+)>/, '$1');
-        if (id !== interaction.user.id) {
+        if (id !== interaction.user.id && !teammateIds.includes(id)) {
           teammateIds.push(id);
         }
       });
     }
   }
 
-  const applicationData = {
+  return {
     projectName,
     description,
     projectType,
     teammates: teammateIds
   };
+}
+
+/**
+ * Lists what the applicant changed since the version moderators last reviewed.
+ */
+function describeApplicationChanges(previous, current) {
+  const changes = [];
+  if (previous.projectName !== current.projectName) {
+    changes.push(`**Name:** ${previous.projectName} → ${current.projectName}`);
+  }
+  if (previous.projectType !== current.projectType) {
+    changes.push(`**Type:** ${previous.projectType} → ${current.projectType}`);
+  }
+  if (previous.description !== current.description) {
+    changes.push('**Description** was rewritten');
+  }
+  const added = current.teammates.filter(id => !previous.teammates.includes(id));
+  const removed = previous.teammates.filter(id => !current.teammates.includes(id));
+  if (added.length > 0) changes.push(`**Teammates added:** ${added.map(id => `<@${id}>`).join(', ')}`);
+  if (removed.length > 0) changes.push(`**Teammates removed:** ${removed.map(id => `<@${id}>`).join(', ')}`);
+  return changes;
+}
+
+/**
+ * Posts an application to the guild's verification channel as a review card.
+ */
+async function postReviewCard(client, application, applicant, revisionInfo = null) {
+  const config = loadConfig(application.guildId);
+  const modRoleId = getModeratorRoleId(application.guildId);
+  const verificationChannel = await client.channels.fetch(config.verificationChannelId);
+
+  const verificationEmbed = createVerificationEmbed(applicant, application, revisionInfo);
+
+  const buttons = new ActionRowBuilder()
+    .addComponents(
+      new ButtonBuilder()
+        .setCustomId(`approve_project_${application.id}`)
+        .setLabel('Approve')
+        .setStyle(ButtonStyle.Success)
+        .setEmoji('✅'),
+      new ButtonBuilder()
+        .setCustomId(`changes_project_${application.id}`)
+        .setLabel('Request Changes')
+        .setStyle(ButtonStyle.Secondary)
+        .setEmoji('✏️'),
+      new ButtonBuilder()
+        .setCustomId(`reject_project_${application.id}`)
+        .setLabel('Reject')
+        .setStyle(ButtonStyle.Danger)
+        .setEmoji('❌')
+    );
+
+  const label = revisionInfo ? 'Revised project application' : 'New project application';
+  const reviewCard = await verificationChannel.send({
+    content: modRoleId ? `<@&${modRoleId}> ${label} for review!` : `📋 ${label} for review!`,
+    embeds: [verificationEmbed],
+    components: [buttons]
+  });
+
+  setApplicationReviewMessage(application.guildId, application.id, verificationChannel.id, reviewCard.id);
+
+  // Screening can take a while, so the card goes up first and is edited once the review is in.
+  attachScreening(reviewCard, application).catch(error => {
+    console.error('❌ Error attaching pre-screening to review card:', error);
+  });
+
+  return reviewCard;
+}
+
+async function attachScreening(reviewCard, application) {
+  const result = await screenApplication(application);
+  if (!result.success) return;
+
+  // Skip cards a moderator already decided on, or that a revision has replaced.
+  const current = getApplicationById(application.id);
+  if (!current || current.status !== 'pending' || current.reviewMessageId !== reviewCard.id) return;
+
+  const message = await reviewCard.fetch();
+  await message.edit({ embeds: [addScreeningToEmbed(message.embeds[0], result.data)] });
+}
+
+async function handleApplyButton(interaction) {
+  const ownedProjects = getOwnedProjects(interaction.guildId, interaction.user.id);
+  const maxOwnedProjects = getMaxOwnedProjects();
+
+  if (ownedProjects.length >= maxOwnedProjects) {
+    await interaction.reply({
+      content: `⚠️ You already own ${ownedProjects.length} active project(s), the maximum is ${maxOwnedProjects}. Use \`/project-status\` to view them.`,
+      ephemeral: true
+    });
+    return;
+  }
+
+  if (!loadConfig(interaction.guildId).verificationChannelId) {
+    await interaction.reply({
+      content: '❌ Project applications are not set up yet. Ask an admin to choose a verification channel in `/setup-bot`.',
+      ephemeral: true
+    });
+    return;
+  }
+
+  const openApplication = getOpenApplication(interaction.guildId, interaction.user.id);
+  if (openApplication) {
+    await interaction.reply({
+      content: openApplication.status === 'pending'
+        ? '⏳ You already have an application waiting for review. You\'ll get a DM once a moderator decides.'
+        : '✏️ Moderators asked for changes to your application. Use the **Revise** button in your DMs to update it.',
+      ephemeral: true
+    });
+    return;
+  }
+
+  await interaction.showModal(createApplicationModal());
+  console.log(`📝 Showed application modal to ${interaction.user.tag}`);
+}
+
+async function handleModalSubmit(interaction) {
+  if (interaction.customId !== 'project_application_modal') return;
+
+  await interaction.deferReply({ ephemeral: true });
+
+  const applicationData = parseApplicationFields(interaction);
+
+  if (!loadConfig(interaction.guildId).verificationChannelId) {
+    await interaction.editReply({
+      content: '❌ Project applications are not set up yet. Ask an admin to choose a verification channel in `/setup-bot`.'
+    });
+    return;
+  }
 
-  savePendingApplication(interaction.user.id, applicationData);
+  const application = savePendingApplication(interaction.guildId, interaction.user.id, applicationData);
 
   try {
-    const modRoleId = process.env.MOD_ROLE_ID;
-    const guild = interaction.guild;
+    await postReviewCard(interaction.client, application, interaction.user);
 
-    const verificationChannel = await guild.channels.create({
-      name: `verify-${interaction.user.username}-${Date.now().toString().slice(-4)}`,
-      type: ChannelType.GuildText,
-      parent: null,
-      permissionOverwrites: [
-        {
-          id: guild.id,
-          deny: [PermissionFlagsBits.ViewChannel]
-        },
-        {
-          id: interaction.user.id,
-          allow: [PermissionFlagsBits.ViewChannel, PermissionFlagsBits.SendMessages]
-        },
-        {
-          id: interaction.client.user.id,
-          allow: [PermissionFlagsBits.ViewChannel, PermissionFlagsBits.SendMessages, PermissionFlagsBits.ManageChannels]
-        }
-      ]
+    await interaction.editReply({
+      content: '✅ Application submitted! Moderators will review it soon and you\'ll get a DM with their decision.'
     });
 
-    if (modRoleId) {
-      await verificationChannel.permissionOverwrites.create(modRoleId, {
-        ViewChannel: true,
-        SendMessages: true,
-        ManageMessages: true
-      });
-    }
+    console.log(`✅ Posted application #${application.id} from ${interaction.user.tag} for review`);
+  } catch (error) {
+    console.error('❌ Error posting application for review:', error);
+    discardUnpostedApplication(interaction.guildId, application.id);
+    await interaction.editReply({
+      content: '❌ Failed to submit your application for review. Please contact a moderator.'
+    });
+  }
+}
 
-    const verificationEmbed = createVerificationEmbed(interaction.user, applicationData);
-
-    const buttons = new ActionRowBuilder()
-      .addComponents(
-        new ButtonBuilder()
-          .setCustomId(`approve_project_${interaction.user.id}`)
-          .setLabel('Approve')
-          .setStyle(ButtonStyle.Success)
-          .setEmoji('✅'),
-        new ButtonBuilder()
-          .setCustomId(`reject_project_${interaction.user.id}`)
-          .setLabel('Reject')
-          .setStyle(ButtonStyle.Danger)
-          .setEmoji('❌')
-      );
+async function handleReviseButton(interaction) {
+  const applicationId = Number(interaction.customId.split('_')[2]);
+  const application = getApplicationById(applicationId);
+
+  if (!application || application.userId !== interaction.user.id) {
+    await interaction.reply({ content: '❌ This application could not be found.', ephemeral: true });
+    return;
+  }
 
-    await verificationChannel.send({
-      content: modRoleId ? `<@&${modRoleId}> New project application for review!` : '@here New project application!',
-      embeds: [verificationEmbed],
-      components: [buttons]
+  if (application.status !== 'changes_requested') {
+    await interaction.reply({ content: '⚠️ This application is no longer waiting for changes.', ephemeral: true });
+    return;
+  }
+
+  await interaction.showModal(createApplicationModal(`revise_application_modal_${application.id}`, application));
+}
+
+async function handleReviseModal(interaction) {
+  const applicationId = Number(interaction.customId.split('_')[3]);
+  const previous = getApplicationById(applicationId);
+
+  if (!previous || previous.userId !== interaction.user.id) {
+    await interaction.reply({ content: '❌ This application could not be found.', ephemeral: true });
+    return;
+  }
+
+  await interaction.deferReply({ ephemeral: true });
+
+  const applicationData = parseApplicationFields(interaction);
+  const application = reviseApplication(applicationId, applicationData);
+
+  if (!application) {
+    await interaction.editReply({ content: '⚠️ This application is no longer waiting for changes.' });
+    return;
+  }
+
+  try {
+    await postReviewCard(interaction.client, application, interaction.user, {
+      revision: application.revision,
+      feedback: previous.decisionReason,
+      changes: describeApplicationChanges(previous, application)
     });
 
+    if (interaction.message) {
+      await interaction.message.edit({ components: [] }).catch(() => {});
+    }
+
     await interaction.editReply({
-      content: `✅ Application submitted! Please wait in <#${verificationChannel.id}> for moderator review.`
+      content: '✅ Revised application submitted! Moderators will review it again and you\'ll get a DM with their decision.'
     });
 
-    console.log(`✅ Created verification channel for ${interaction.user.tag}`);
+    console.log(`🔁 Application #${application.id} revised (revision ${application.revision})`);
   } catch (error) {
-    console.error('❌ Error creating verification channel:', error);
+    console.error('❌ Error posting revised application:', error);
+    undoApplicationRevision(previous);
     await interaction.editReply({
-      content: '❌ Failed to create verification channel. Please contact a moderator.'
+      content: '❌ Failed to submit your revised application. Please try again, or contact a moderator if it keeps failing.'
+    });
+  }
+}
+
+/**
+ * Finds the application a review button belongs to. Cards posted before the
+ * review queue carried the applicant's user ID instead of the application ID.
+ */
+function findReviewedApplication(guildId, id) {
+  return getApplication(guildId, Number(id)) || getPendingApplication(guildId, id);
+}
+
+async function markReviewCard(message, status, moderatorId, note) {
+  if (!message || message.embeds.length === 0) return;
+  try {
+    await message.edit({
+      embeds: [markApplicationEmbed(message.embeds[0], status, moderatorId, note)],
+      components: []
     });
+  } catch (error) {
+    console.log('⚠️  Could not update review card');
   }
 }
 
 async function handleApproveButton(interaction) {
-  const userId = interaction.customId.split('_')[2];
-  
-  const member = interaction.member;
-  const modRoleId = process.env.MOD_ROLE_ID;
-  
-  if (modRoleId && !member.roles.cache.has(modRoleId) && !member.permissions.has(PermissionFlagsBits.ManageChannels)) {
+  if (!isModerator(interaction.member)) {
     await interaction.reply({
       content: '❌ Only moderators can approve applications!',
       ephemeral: true
@@ -200,90 +381,50 @@ async function handleApproveButton(interaction) {
     return;
   }
 
-  await interaction.deferReply();
+  const applicationData = findReviewedApplication(interaction.guildId, interaction.customId.split('_')[2]);
 
-  const applicationData = getPendingApplication(userId);
-  
-  if (!applicationData) {
-    await interaction.editReply({
-      content: '❌ Application data not found. It may have already been processed.'
+  if (!applicationData || applicationData.status !== 'pending' || reviewsInProgress.has(applicationData.id)) {
+    await interaction.reply({
+      content: '❌ This application has already been processed.',
+      ephemeral: true
     });
     return;
   }
 
+  reviewsInProgress.add(applicationData.id);
+  await interaction.deferReply({ ephemeral: true });
+
+  const userId = applicationData.userId;
+  const modRoleId = getModeratorRoleId(interaction.guildId);
+
   try {
     const guild = interaction.guild;
     const applicant = await guild.members.fetch(userId);
 
-    const categoryName = `🚀｜${applicationData.projectName}`;
-    const category = await guild.channels.create({
-      name: categoryName,
-      type: ChannelType.GuildCategory,
-      permissionOverwrites: [
-        {
-          id: guild.id,
-          deny: [PermissionFlagsBits.ViewChannel]
-        },
-        {
-          id: userId,
-          allow: [PermissionFlagsBits.ViewChannel, PermissionFlagsBits.SendMessages, PermissionFlagsBits.Connect, PermissionFlagsBits.Speak]
-        },
-        {
-          id: interaction.client.user.id,
-          allow: [PermissionFlagsBits.ViewChannel, PermissionFlagsBits.SendMessages, PermissionFlagsBits.ManageChannels]
-        }
-      ]
-    });
-
-    if (modRoleId) {
-      await category.permissionOverwrites.create(modRoleId, {
-        ViewChannel: true,
-        SendMessages: true
-      });
-    }
-
-    const chatChannel = await guild.channels.create({
-      name: 'team-chat',
-      type: ChannelType.GuildText,
-      parent: category.id
-    });
-
-    const voiceChannel = await guild.channels.create({
-      name: 'team-vc',
-      type: ChannelType.GuildVoice,
-      parent: category.id
+    const workspace = await buildProjectWorkspace(guild, {
+      projectName: applicationData.projectName,
+      projectType: applicationData.projectType,
+      ownerId: userId,
+      modRoleId
     });
+    const { category, chatChannel, voiceChannel } = workspace;
 
-    for (const teammateId of applicationData.teammates) {
-      try {
-        await chatChannel.permissionOverwrites.create(teammateId, {
-          ViewChannel: true,
-          SendMessages: true
-        });
-        await voiceChannel.permissionOverwrites.create(teammateId, {
-          ViewChannel: true,
-          Connect: true,
-          Speak: true
-        });
-      } catch (err) {
-        console.log(`⚠️  Could not add permissions for teammate ${teammateId}`);
-      }
-    }
-
-    const projectId = createProject(userId, {
+    const projectId = createProject(interaction.guildId, userId, {
       name: applicationData.projectName,
       description: applicationData.description,
       type: applicationData.projectType,
-      teammates: applicationData.teammates
+      teammates: []
     });
 
-    updateProject(projectId, {
+    updateProject(interaction.guildId, projectId, {
       categoryId: category.id,
+      roleId: workspace.role.id,
       channelIds: {
         chat: chatChannel.id,
-        voice: voiceChannel.id
+        voice: voiceChannel?.id || null
       }
     });
+    setProjectChannels(projectId, workspace.channels.map(({ channel, kind }) => ({ id: channel.id, kind })));
 
     const welcomeEmbed = createWelcomeEmbed(
       applicationData.projectName,
@@ -293,18 +434,30 @@ async function handleApproveButton(interaction) {
 
     await chatChannel.send({ embeds: [welcomeEmbed] });
 
-    if (applicationData.teammates.length > 0) {
-      await chatChannel.send(`👥 Initial team members: ${applicationData.teammates.map(id => `<@${id}>`).join(', ')}`);
+    // Teammates named in the application join once they accept an invite.
+    const project = getProject(interaction.guildId, projectId);
+    const invited = [];
+    for (const teammateId of applicationData.teammates) {
+      try {
+        const teammate = await interaction.client.users.fetch(teammateId);
+        const result = await sendProjectInvite(project, userId, teammate);
+        if (result.success) invited.push(teammateId);
+      } catch (err) {
+        console.log(`⚠️  Could not invite teammate ${teammateId}`);
+      }
+    }
+
+    if (invited.length > 0) {
+      await chatChannel.send(`📨 Invites sent to: ${invited.map(id => `<@${id}>`).join(', ')}. They'll get access once they accept.`);
     }
 
-    deletePendingApplication(userId);
+    decideApplication(interaction.guildId, applicationData.id, 'approved', interaction.user.id, projectId);
+    await markReviewCard(interaction.message, 'approved', interaction.user.id, `Workspace: <#${chatChannel.id}>`);
 
     await interaction.editReply({
       content: `✅ Project approved! Created workspace at <#${chatChannel.id}>`
     });
 
-    await interaction.channel.delete();
-
     try {
       await applicant.send(
         `🎉 Your project **${applicationData.projectName}** has been approved!\n\n` +
@@ -320,68 +473,351 @@ async function handleApproveButton(interaction) {
     await interaction.editReply({
       content: '❌ Failed to create project workspace. Please try again or contact an admin.'
     });
+  } finally {
+    reviewsInProgress.delete(applicationData.id);
   }
 }
 
-async function handleRejectButton(interaction) {
-  const userId = interaction.customId.split('_')[2];
-  
-  const member = interaction.member;
-  const modRoleId = process.env.MOD_ROLE_ID;
-  
-  if (modRoleId && !member.roles.cache.has(modRoleId) && !member.permissions.has(PermissionFlagsBits.ManageChannels)) {
+const REVIEW_FEEDBACK_ACTIONS = {
+  reject: {
+    title: 'Reject Application',
+    label: 'Reason (shared with the applicant)',
+    placeholder: 'Why is this project not a fit right now?'
+  },
+  changes: {
+    title: 'Request Changes',
+    label: 'What should the applicant change?',
+    placeholder: 'e.g., Narrow the scope and describe the first milestone.'
+  }
+};
+
+/**
+ * Reject and Request Changes both ask the moderator for a reason first;
+ * the decision is recorded when the reason modal is submitted.
+ */
+async function handleReviewFeedbackButton(interaction) {
+  const [action, , id] = interaction.customId.split('_');
+
+  if (!isModerator(interaction.member)) {
     await interaction.reply({
-      content: '❌ Only moderators can reject applications!',
+      content: '❌ Only moderators can review applications!',
       ephemeral: true
     });
     return;
   }
 
-  await interaction.deferReply();
+  const applicationData = findReviewedApplication(interaction.guildId, id);
 
-  const applicationData = getPendingApplication(userId);
-  
-  if (applicationData) {
-    deletePendingApplication(userId);
+  if (!applicationData || applicationData.status !== 'pending' || reviewsInProgress.has(applicationData.id)) {
+    await interaction.reply({
+      content: '❌ This application has already been processed.',
+      ephemeral: true
+    });
+    return;
   }
 
-  try {
-    const guild = interaction.guild;
-    const applicant = await guild.members.fetch(userId);
+  const feedback = REVIEW_FEEDBACK_ACTIONS[action];
+  const modal = new ModalBuilder()
+    .setCustomId(`review_reason_${action}_${applicationData.id}`)
+    .setTitle(feedback.title);
 
-    await interaction.editReply({
-      content: `❌ Project application rejected by ${interaction.user.tag}.`
+  modal.addComponents(
+    new ActionRowBuilder().addComponents(
+      new TextInputBuilder()
+        .setCustomId('review_reason')
+        .setLabel(feedback.label)
+        .setStyle(TextInputStyle.Paragraph)
+        .setPlaceholder(feedback.placeholder)
+        .setRequired(true)
+        .setMaxLength(1000)
+    )
+  );
+
+  await interaction.showModal(modal);
+}
+
+async function handleReviewReasonModal(interaction) {
+  const [, , action, id] = interaction.customId.split('_');
+  const reason = interaction.fields.getTextInputValue('review_reason').trim();
+  const applicationData = getApplication(interaction.guildId, Number(id));
+
+  if (!isModerator(interaction.member)) {
+    await interaction.reply({
+      content: '❌ Only moderators can review applications!',
+      ephemeral: true
     });
+    return;
+  }
 
-    try {
-      await applicant.send(
-        `❌ Your project application for **${applicationData?.projectName || 'your project'}** was not approved.\n\n` +
-        `You can reapply with a revised proposal. Feel free to reach out to moderators if you have questions.`
-      );
-    } catch (err) {
-      console.log('⚠️  Could not DM applicant');
+  if (!applicationData || applicationData.status !== 'pending' || reviewsInProgress.has(applicationData.id)) {
+    await interaction.reply({
+      content: '❌ This application has already been processed.',
+      ephemeral: true
+    });
+    return;
+  }
+
+  await interaction.deferReply({ ephemeral: true });
+
+  try {
+    const applicant = await interaction.client.users.fetch(applicationData.userId).catch(() => null);
+
+    if (action === 'changes') {
+      requestApplicationChanges(interaction.guildId, applicationData.id, interaction.user.id, reason);
+      await markReviewCard(interaction.message, 'changes_requested', interaction.user.id, reason);
+
+      let dmSent = false;
+      if (applicant) {
+        try {
+          await applicant.send({
+            content:
+              `✏️ Moderators asked for changes to your project application **${applicationData.projectName}**.\n\n` +
+              `**Feedback:** ${reason}\n\n` +
+              `Click **Revise** to update your application and send it back for review.`,
+            components: [
+              new ActionRowBuilder().addComponents(
+                new ButtonBuilder()
+                  .setCustomId(`revise_application_${applicationData.id}`)
+                  .setLabel('Revise')
+                  .setStyle(ButtonStyle.Primary)
+                  .setEmoji('✏️')
+              )
+            ]
+          });
+          dmSent = true;
+        } catch (err) {
+          console.log('⚠️  Could not DM applicant');
+        }
+      }
+
+      await interaction.editReply({
+        content: dmSent
+          ? `✏️ Changes requested for **${applicationData.projectName}**. The applicant has been sent your feedback.`
+          : `✏️ Changes requested for **${applicationData.projectName}**, but the applicant has DMs closed. Please pass on your feedback manually.`
+      });
+
+      console.log(`✏️ Requested changes to application #${applicationData.id} from ${applicationData.userId}`);
+      return;
     }
 
-    setTimeout(async () => {
+    decideApplication(interaction.guildId, applicationData.id, 'rejected', interaction.user.id, null, reason);
+    await markReviewCard(interaction.message, 'rejected', interaction.user.id, reason);
+
+    await interaction.editReply({
+      content: `❌ Project application **${applicationData.projectName}** rejected.`
+    });
+
+    if (applicant) {
       try {
-        await interaction.channel.delete();
+        await applicant.send(
+          `❌ Your project application for **${applicationData.projectName}** was not approved.\n\n` +
+          `**Reason:** ${reason}\n\n` +
+          `You can reapply with a revised proposal. Feel free to reach out to moderators if you have questions.`
+        );
       } catch (err) {
-        console.log('⚠️  Could not delete verification channel');
+        console.log('⚠️  Could not DM applicant');
       }
-    }, 5000);
+    }
+
+    console.log(`❌ Rejected project application #${applicationData.id} from ${applicationData.userId}`);
+  } catch (error) {
+    console.error('❌ Error recording review decision:', error);
+    await interaction.editReply({
+      content: '❌ Failed to process the review. Please contact an admin.'
+    });
+  }
+}
+
+async function handleTemplateModal(interaction) {
+  const projectType = getProjectTypeFromSlug(interaction.customId.replace('project_template_modal_', ''));
+  const input = interaction.fields.getTextInputValue('template_json');
+
+  if (!projectType) {
+    await interaction.reply({ content: '❌ Unknown project type.', ephemeral: true });
+    return;
+  }
+
+  let template;
+  try {
+    template = JSON.parse(input);
+  } catch (error) {
+    await interaction.reply({ content: `❌ The template is not valid JSON: ${error.message}`, ephemeral: true });
+    return;
+  }
+
+  const problems = validateTemplate(template);
+  if (problems.length > 0) {
+    await interaction.reply({
+      content: `❌ The template was not saved:\n${problems.map(problem => `• ${problem}`).join('\n')}`.slice(0, 2000),
+      ephemeral: true
+    });
+    return;
+  }
+
+  saveTemplate(interaction.guildId, projectType, template, interaction.user.id);
+
+  await interaction.reply({
+    content: `✅ Saved the **${projectType}** workspace template (${template.channels.length} channel(s)). It applies to projects approved from now on.`,
+    ephemeral: true
+  });
+
+  console.log(`🧩 ${interaction.user.tag} updated the ${projectType} workspace template in guild ${interaction.guildId}`);
+}
+
+/**
+ * Keep active / Snooze / Archive now buttons on the inactivity warning, posted
+ * in the team chat and DMed to the owner. Anyone on the team can keep or
+ * snooze; only the owner or a moderator can archive.
+ */
+async function handleInactivityButton(interaction) {
+  const [, action, projectId] = interaction.customId.split('_');
+  const project = getProjectById(projectId);
+
+  if (!project || project.status !== 'active') {
+    await interaction.update({ components: [] });
+    await interaction.followUp({ content: '⚠️ This project is no longer active.', ephemeral: true });
+    return;
+  }
+
+  const userId = interaction.user.id;
+  const onTeam = project.ownerId === userId || project.teammates.includes(userId);
+  const canArchive = project.ownerId === userId || isModerator(interaction.member);
+
+  if (action === 'archive' ? !canArchive : !onTeam) {
+    await interaction.reply({
+      content: action === 'archive'
+        ? '❌ Only the project owner or a moderator can archive this project.'
+        : '❌ Only members of this project can respond to this notice.',
+      ephemeral: true
+    });
+    return;
+  }
+
+  if (action === 'keep') {
+    updateLastActivity(project.guildId, project.id);
+    await interaction.update({
+      content: `✅ <@${userId}> kept **${project.name}** active.`,
+      components: [],
+      allowedMentions: { parse: [] }
+    });
+    console.log(`✅ ${interaction.user.tag} kept project ${project.name} active`);
+    return;
+  }
+
+  if (action === 'snooze') {
+    const until = Date.now() + SNOOZE_DAYS * 24 * 60 * 60 * 1000;
+    snoozeProject(project.guildId, project.id, until);
+    await interaction.update({
+      content: `💤 <@${userId}> snoozed inactivity checks for **${project.name}** until <t:${Math.floor(until / 1000)}:D>.`,
+      components: [],
+      allowedMentions: { parse: [] }
+    });
+    console.log(`💤 ${interaction.user.tag} snoozed project ${project.name} for ${SNOOZE_DAYS} days`);
+    return;
+  }
+
+  await interaction.update({
+    content: `📦 <@${userId}> archived **${project.name}**.`,
+    components: [],
+    allowedMentions: { parse: [] }
+  });
+  await archiveProjectSpace(interaction.client, project, userId);
+}
 
-    console.log(`❌ Rejected project application from ${applicant.user.tag}`);
+const INVITE_CLOSED_MESSAGES = {
+  accepted: '✅ You already accepted this invite.',
+  declined: '❌ You already declined this invite.',
+  cancelled: '🚫 This invite was cancelled by the project owner.',
+  expired: '⌛ This invite has expired. Ask the project owner to invite you again.'
+};
+
+async function handleInviteResponse(interaction) {
+  const [, action, inviteId] = interaction.customId.split('_');
+  const invite = getInvite(Number(inviteId));
+
+  if (!invite || invite.inviteeId !== interaction.user.id) {
+    await interaction.reply({ content: '❌ This invite could not be found.', ephemeral: true });
+    return;
+  }
+
+  if (invite.status !== 'pending') {
+    await interaction.update({ content: INVITE_CLOSED_MESSAGES[invite.status], components: [] });
+    return;
+  }
+
+  const project = getProject(invite.guildId, invite.projectId);
+  if (!project || project.status !== 'active') {
+    resolveInvite(invite.id, 'cancelled');
+    await interaction.update({ content: '🚫 This project is no longer active.', embeds: [], components: [] });
+    return;
+  }
+
+  const guild = await interaction.client.guilds.fetch(invite.guildId);
+
+  if (action === 'decline') {
+    resolveInvite(invite.id, 'declined');
+    await interaction.update({ content: `❌ You declined the invite to **${project.name}**.`, components: [] });
+    await postAuditLine(guild, project, `<@${interaction.user.id}> declined the invite from <@${invite.inviterId}>.`);
+    console.log(`❌ ${interaction.user.tag} declined invite to project ${project.name}`);
+    return;
+  }
+
+  await interaction.deferUpdate();
+
+  try {
+    await guild.members.fetch(interaction.user.id);
+  } catch (error) {
+    await interaction.editReply({ content: '❌ You need to be a member of the server to join this project.', components: [] });
+    return;
+  }
+
+  if (!resolveInvite(invite.id, 'accepted')) {
+    await interaction.editReply({ content: '⌛ This invite is no longer valid.', components: [] });
+    return;
+  }
+
+  // The invite is claimed first so a double click can't add the teammate twice; undo it if access fails.
+  try {
+    await grantTeammateAccess(guild, project, interaction.user.id);
+    addTeammate(invite.guildId, project.id, interaction.user.id);
   } catch (error) {
-    console.error('❌ Error rejecting project:', error);
+    console.error(`❌ Could not add ${interaction.user.tag} to project ${project.name}:`, error);
+    cancelAcceptedInvite(invite.id);
+    await revokeAccess(guild, project, interaction.user.id).catch(() => {});
+    await postAuditLine(guild, project,
+      `⚠️ <@${interaction.user.id}> accepted the invite from <@${invite.inviterId}>, but the bot couldn't give them access. Check the bot's permissions and invite them again.`);
     await interaction.editReply({
-      content: '❌ Failed to process rejection. Please contact an admin.'
+      content: `❌ Couldn't give you access to **${project.name}**. The team has been told and can invite you again.`,
+      components: []
     });
+    return;
+  }
+
+  const chatChannel = await guild.channels.fetch(project.channelIds.chat).catch(() => null);
+  if (chatChannel) {
+    await chatChannel.send(
+      `🎉 Welcome to the team! <@${interaction.user.id}>\n\n` +
+      `You've joined **${project.name}** (invited by <@${invite.inviterId}>). Let's build something amazing together! 🚀`
+    );
   }
+
+  await interaction.editReply({
+    content: `✅ You joined **${project.name}**!${chatChannel ? ` Head over to <#${chatChannel.id}>.` : ''}`,
+    components: []
+  });
+
+  console.log(`✅ ${interaction.user.tag} accepted invite to project ${project.name}`);
 }
 
 module.exports = {
   handleApplyButton,
   handleModalSubmit,
   handleApproveButton,
-  handleRejectButton
+  handleReviewFeedbackButton,
+  handleReviewReasonModal,
+  handleReviseButton,
+  handleReviseModal,
+  handleTemplateModal,
+  handleInactivityButton,
+  handleInviteResponse
 };
@@ -0,0 +1,42 @@
+const { getActiveSessionById, setSessionConsent, addParticipant, stopRecordingUser } = require('../utils/voiceSessionManager');
+
+/**
+ * "Record me" / "Don't record me" on the notice posted when a recording starts.
+ * Only members in the recorded voice channel (or who already took part) can answer.
+ */
+async function handleRecordingConsentButton(interaction) {
+  const [, , choice, ...rest] = interaction.customId.split('_');
+  const session = getActiveSessionById(rest.join('_'));
+
+  if (!session) {
+    await interaction.reply({ content: 'ℹ️ This recording has already ended.', ephemeral: true });
+    return;
+  }
+
+  const inChannel = interaction.member?.voice?.channelId === session.channelId;
+  if (!inChannel && !session.participants.includes(interaction.user.id)) {
+    await interaction.reply({
+      content: `❌ This prompt is for members of <#${session.channelId}>. Join the voice channel first.`,
+      ephemeral: true
+    });
+    return;
+  }
+
+  const status = choice === 'yes' ? 'granted' : 'declined';
+  addParticipant(session.channelId, interaction.user.id);
+  setSessionConsent(session.channelId, interaction.user.id, status);
+  if (status === 'declined') {
+    stopRecordingUser(session.channelId, interaction.user.id);
+  }
+
+  await interaction.reply({
+    content: status === 'granted'
+      ? '✅ **You\'ll be recorded** in this meeting and included in its transcript and summary.'
+      : '🚫 **You won\'t be recorded** in this meeting from now on. Use `/recording-consent` to remember this for future meetings.',
+    ephemeral: true
+  });
+}
+
+module.exports = {
+  handleRecordingConsentButton
+};
@@ -0,0 +1,28 @@
+const { getTaskById, completeTask } = require('../utils/taskManager');
+const { cancelTaskReminder } = require('../utils/taskReminders');
+
+/**
+ * "Mark done" on a task reminder DM. Only the assignee gets the DM, so only they can use it.
+ */
+async function handleTaskDoneButton(interaction) {
+  const taskId = Number(interaction.customId.replace('task_done_', ''));
+  const task = getTaskById(taskId);
+
+  if (!task || task.assigneeId !== interaction.user.id) {
+    await interaction.reply({ content: '❌ This task could not be found or is no longer assigned to you.', ephemeral: true });
+    return;
+  }
+
+  if (!completeTask(task.guildId, task.id, interaction.user.id)) {
+    await interaction.update({ content: `ℹ️ Task #${task.id} is already done.`, components: [] });
+    return;
+  }
+
+  cancelTaskReminder(task.id);
+  await interaction.update({ content: `✅ Task #${task.id} marked as done. Nice work!`, components: [] });
+  console.log(`✅ ${interaction.user.tag} completed task #${task.id}`);
+}
+
+module.exports = {
+  handleTaskDoneButton
+};
@@ -6,14 +6,19 @@ const sodium = require('libsodium-wrappers');
   console.log('🔐 Libsodium initialized for voice encoding');
 })();
 
-const { Client, GatewayIntentBits, Collection, REST, Routes } = require('discord.js');
-const { getUserProfile, saveUserProfile, deleteUserProfile } = require('./utils/updateProfile');
-const { loadProjectData, updateLastActivity } = require('./utils/projectManager');
+const { Client, GatewayIntentBits, Partials, Collection, REST, Routes } = require('discord.js');
+const { recordChannelActivity } = require('./utils/projectActivity');
 const {
   handleApplyButton,
   handleModalSubmit,
   handleApproveButton,
-  handleRejectButton
+  handleReviewFeedbackButton,
+  handleReviewReasonModal,
+  handleReviseButton,
+  handleReviseModal,
+  handleTemplateModal,
+  handleInactivityButton,
+  handleInviteResponse
 } = require('./handlers/projectInteractions');
 const {
   handleIntroButton,
@@ -24,9 +29,15 @@ const {
   handleConfirmDeleteIntro,
   handleCancelDeleteIntro
 } = require('./handlers/introInteractions');
+const { handleTaskDoneButton } = require('./handlers/taskInteractions');
+const { handleRecordingConsentButton } = require('./handlers/recordingInteractions');
 const { loadConfig, isSetupComplete } = require('./utils/configManager');
 const { startCleanupScheduler } = require('./utils/projectCleanup');
+const { startJobScheduler } = require('./utils/jobScheduler');
+const { endInterruptedSessions } = require('./utils/voiceSessionManager');
+const { migrateJsonStores } = require('./utils/migrateJsonStores');
 const { safeReply, safeError } = require('./utils/safeReply');
+const { describeProvider } = require('./utils/aiClient');
 const fs = require('fs');
 const path = require('path');
 
@@ -44,7 +55,10 @@ const client = new Client({
     GatewayIntentBits.GuildMessages,
     GatewayIntentBits.MessageContent,
     GatewayIntentBits.GuildVoiceStates,
+    GatewayIntentBits.GuildMessageReactions,
   ],
+  // Reactions on messages sent before the bot started arrive as partials.
+  partials: [Partials.Message, Partials.Reaction],
 });
 
 client.commands = new Collection();
@@ -63,26 +77,27 @@ for (const file of commandFiles) {
 
 const INTRO_CHANNEL_ID = process.env.INTRO_CHANNEL_ID;
 const PROFILE_CHANNEL_ID = process.env.PROFILE_CHANNEL_ID;
-const GEMINI_ENABLED = !!process.env.GEMINI_API_KEY;
 
 client.once('clientReady', async () => {
   console.log('✅ Bot is online!');
   console.log(`📝 Logged in as ${client.user.tag}`);
   
-  const config = loadConfig();
-  const setupComplete = isSetupComplete();
-  
-  if (setupComplete) {
-    console.log('🛠️ Bot Configuration: Complete ✅');
-    console.log(`📝 Intro Channel: ${config.introChannelId}`);
-    console.log(`📋 Profile Channel: ${config.profileChannelId}`);
-    console.log(`👮 Moderator Role: ${config.moderatorRoleId || 'Not set'}`);
-  } else {
-    console.log('⚠️ Bot Configuration: Incomplete');
-    console.log('👉 Run /setup-bot to configure the bot');
+  for (const guild of client.guilds.cache.values()) {
+    const config = loadConfig(guild.id);
+    
+    if (isSetupComplete(guild.id)) {
+      console.log(`🛠️ Bot Configuration for ${guild.name}: Complete ✅`);
+      console.log(`📝 Intro Channel: ${config.introChannelId}`);
+      console.log(`📋 Profile Channel: ${config.profileChannelId}`);
+      console.log(`👮 Moderator Role: ${config.moderatorRoleId || 'Not set'}`);
+    } else {
+      console.log(`⚠️ Bot Configuration for ${guild.name}: Incomplete`);
+      console.log('👉 Run /setup-bot in that server to configure the bot');
+    }
   }
   
-  console.log(`🤖 Gemini AI: ${GEMINI_ENABLED ? 'Enabled ✅' : 'Disabled ⚠️'}`);
+  const aiProvider = describeProvider();
+  console.log(`🤖 AI: ${aiProvider ? `${aiProvider} ✅` : 'Disabled ⚠️'}`);
   console.log(`🎙️ Voice Summarizer: Enabled ✅`);
   console.log(`🪪 Modern Intro System: Enabled ✅`);
   
@@ -104,21 +119,30 @@ client.once('clientReady', async () => {
     console.error('❌ Error registering commands:', error);
   }
   
-  startCleanupScheduler(client);
+  endInterruptedSessions();
+  startCleanupScheduler();
+  startJobScheduler(client);
   
   console.log('-----------------------------------');
 });
 
+// Messages, threads, reactions and voice joins anywhere in a project's category keep it active.
 client.on('messageCreate', async (message) => {
-  if (message.author.bot) return;
-  
-  const projectData = loadProjectData();
-  for (const project of Object.values(projectData.projects)) {
-    if (project.channelIds.chat === message.channel.id) {
-      updateLastActivity(project.id);
-      break;
-    }
-  }
+  if (message.author.bot || !message.guild) return;
+
+  recordChannelActivity(message.channel);
+});
+
+client.on('messageReactionAdd', async (reaction, user) => {
+  if (user.bot || !reaction.message.guildId) return;
+
+  recordChannelActivity(reaction.message.channel);
+});
+
+client.on('voiceStateUpdate', async (oldState, newState) => {
+  if (!newState.channelId || newState.channelId === oldState.channelId || newState.member?.user.bot) return;
+
+  recordChannelActivity(newState.channel);
 });
 
 client.on('interactionCreate', async interaction => {
@@ -138,8 +162,18 @@ client.on('interactionCreate', async interaction => {
         await handleApplyButton(interaction);
       } else if (interaction.customId.startsWith('approve_project_')) {
         await handleApproveButton(interaction);
-      } else if (interaction.customId.startsWith('reject_project_')) {
-        await handleRejectButton(interaction);
+      } else if (interaction.customId.startsWith('reject_project_') || interaction.customId.startsWith('changes_project_')) {
+        await handleReviewFeedbackButton(interaction);
+      } else if (interaction.customId.startsWith('revise_application_')) {
+        await handleReviseButton(interaction);
+      } else if (interaction.customId.startsWith('invite_accept_') || interaction.customId.startsWith('invite_decline_')) {
+        await handleInviteResponse(interaction);
+      } else if (interaction.customId.startsWith('inactivity_')) {
+        await handleInactivityButton(interaction);
+      } else if (interaction.customId.startsWith('task_done_')) {
+        await handleTaskDoneButton(interaction);
+      } else if (interaction.customId.startsWith('recording_consent_')) {
+        await handleRecordingConsentButton(interaction);
       }
     } catch (error) {
       console.error('❌ Error handling button interaction:', error);
@@ -154,6 +188,12 @@ client.on('interactionCreate', async interaction => {
         await handleIntroModal(interaction);
       } else if (interaction.customId === 'edit_profile_modal') {
         await handleEditProfileModal(interaction);
+      } else if (interaction.customId.startsWith('review_reason_')) {
+        await handleReviewReasonModal(interaction);
+      } else if (interaction.customId.startsWith('revise_application_modal_')) {
+        await handleReviseModal(interaction);
+      } else if (interaction.customId.startsWith('project_template_modal_')) {
+        await handleTemplateModal(interaction);
       } else {
         await handleModalSubmit(interaction);
       }
@@ -164,6 +204,18 @@ client.on('interactionCreate', async interaction => {
     return;
   }
   
+  if (interaction.isAutocomplete()) {
+    const command = client.commands.get(interaction.commandName);
+    if (!command || !command.autocomplete) return;
+
+    try {
+      await command.autocomplete(interaction);
+    } catch (error) {
+      console.error('❌ Error handling autocomplete:', error);
+    }
+    return;
+  }
+
   if (!interaction.isChatInputCommand()) return;
 
   const command = client.commands.get(interaction.commandName);
@@ -174,7 +226,8 @@ client.on('interactionCreate', async interaction => {
   }
 
   try {
-    await command.execute(interaction, PROFILE_CHANNEL_ID);
+    const guildConfig = loadConfig(interaction.guildId);
+    await command.execute(interaction, guildConfig.profileChannelId || PROFILE_CHANNEL_ID);
   } catch (error) {
     console.error('❌ Error executing command:', error);
     await safeError(interaction, '❌ There was an error executing this command!', error);
@@ -195,6 +248,13 @@ if (!INTRO_CHANNEL_ID || !PROFILE_CHANNEL_ID) {
   process.exit(1);
 }
 
+try {
+  migrateJsonStores();
+} catch (error) {
+  console.error('❌ Failed to migrate JSON data to SQLite:', error);
+  process.exit(1);
+}
+
 client.login(token).catch(error => {
   console.error('❌ Failed to login to Discord:', error.message);
   process.exit(1);
@@ -0,0 +1,338 @@
+/**
+ * Single entry point for every LLM call the bot makes.
+ *
+ * AI_PROVIDER selects the backend:
+ *   - "gemini" Google Gemini (needs GEMINI_API_KEY)
+ *   - "openai" any OpenAI-compatible chat completions endpoint at AI_BASE_URL
+ *              (OpenAI, Ollama, llama.cpp server, LM Studio, vLLM, ...)
+ *   - "auto"   (default) Gemini when a key is set, otherwise the OpenAI-compatible endpoint
+ *
+ * Models are picked per task: AI_MODEL_<TASK> (e.g. AI_MODEL_MEETING_SUMMARY),
+ * then AI_MODEL, then the provider default.
+ */
+
+const { GoogleGenAI } = require('@google/genai');
+
+const TASKS = {
+  introAnalysis: 'INTRO_ANALYSIS',
+  introSummary: 'INTRO_SUMMARY',
+  meetingSummary: 'MEETING_SUMMARY',
+  transcription: 'TRANSCRIPTION',
+  teammateMatch: 'TEAMMATE_MATCH',
+  applicationScreening: 'APPLICATION_SCREENING',
+  meetingQA: 'MEETING_QA'
+};
+
+const DEFAULT_MODELS = {
+  gemini: 'gemini-2.0-flash',
+  openai: 'gpt-4o-mini'
+};
+
+// USD per million tokens; models not listed are logged without a cost estimate.
+const MODEL_PRICING = {
+  'gemini-2.0-flash': { input: 0.10, output: 0.40 },
+  'gemini-2.0-flash-lite': { input: 0.075, output: 0.30 },
+  'gemini-2.5-flash': { input: 0.30, output: 2.50 },
+  'gemini-2.5-pro': { input: 1.25, output: 10.00 },
+  'gpt-4o-mini': { input: 0.15, output: 0.60 },
+  'gpt-4o': { input: 2.50, output: 10.00 }
+};
+
+const DEFAULT_TIMEOUT_MS = 60 * 1000;
+const DEFAULT_MAX_RETRIES = 2;
+const RETRYABLE_STATUS = new Set([408, 429, 500, 502, 503, 504]);
+
+const usageTotals = new Map();
+
+let geminiClient = null;
+
+function getGeminiClient() {
+  if (!geminiClient) {
+    geminiClient = new GoogleGenAI({ apiKey: process.env.GEMINI_API_KEY });
+  }
+  return geminiClient;
+}
+
+function getProviderName() {
+  const selected = (process.env.AI_PROVIDER || 'auto').toLowerCase();
+  if (selected === 'gemini' || selected === 'openai') return selected;
+  if (process.env.GEMINI_API_KEY) return 'gemini';
+  if (process.env.AI_BASE_URL) return 'openai';
+  return 'gemini';
+}
+
+function isAIEnabled(provider = getProviderName()) {
+  return provider === 'openai' ? !!process.env.AI_BASE_URL : !!process.env.GEMINI_API_KEY;
+}
+
+function getModel(task, provider = getProviderName()) {
+  // AI_MODEL names a model of the configured provider, so skip it when a call forces the other one.
+  const sharedModel = provider === getProviderName() ? process.env.AI_MODEL : null;
+  return process.env[`AI_MODEL_${TASKS[task] || ''}`] || sharedModel || DEFAULT_MODELS[provider];
+}
+
+function describeProvider() {
+  const provider = getProviderName();
+  if (!isAIEnabled(provider)) return null;
+  return provider === 'openai' ? `OpenAI-compatible (${process.env.AI_BASE_URL})` : 'Google Gemini';
+}
+
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+function withTimeout(promise, ms, controller) {
+  let timer;
+  const timeout = new Promise((_, reject) => {
+    timer = setTimeout(() => {
+      controller.abort();
+      const error = new Error(`AI request timed out after ${ms}ms`);
+      error.retryable = true;
+      reject(error);
+    }, ms);
+  });
+  return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+}
+
+function isRetryable(error) {
+  if (error.retryable) return true;
+  if (RETRYABLE_STATUS.has(error.status)) return true;
+  return error.name === 'TypeError' && /fetch failed/i.test(error.message);
+}
+
+function recordUsage(task, model, usage) {
+  const totals = usageTotals.get(task) || { calls: 0, inputTokens: 0, outputTokens: 0, cost: 0 };
+  const pricing = MODEL_PRICING[model];
+  const cost = pricing
+    ? (usage.inputTokens * pricing.input + usage.outputTokens * pricing.output) / 1e6
+    : null;
+
+  totals.calls++;
+  totals.inputTokens += usage.inputTokens;
+  totals.outputTokens += usage.outputTokens;
+  if (cost !== null) totals.cost += cost;
+  usageTotals.set(task, totals);
+
+  const costText = cost !== null ? ` (~$${cost.toFixed(5)})` : '';
+  console.log(`📊 AI usage [${task}] ${model}: ${usage.inputTokens} in / ${usage.outputTokens} out tokens${costText}`);
+}
+
+function getUsageStats() {
+  return Object.fromEntries(usageTotals);
+}
+
+async function callGemini({ model, prompt, audio, schema, signal }) {
+  const parts = [{ text: prompt }];
+  if (audio) {
+    parts.push({ inlineData: { mimeType: audio.mimeType, data: audio.data } });
+  }
+
+  const config = { abortSignal: signal };
+  if (schema) {
+    config.responseMimeType = 'application/json';
+    config.responseJsonSchema = schema;
+  }
+
+  const response = await getGeminiClient().models.generateContent({
+    model,
+    contents: [{ role: 'user', parts }],
+    config
+  });
+
+  return {
+    text: response.text || '',
+    usage: {
+      inputTokens: response.usageMetadata?.promptTokenCount || 0,
+      outputTokens: response.usageMetadata?.candidatesTokenCount || 0
+    }
+  };
+}
+
+async function callOpenAI({ model, prompt, audio, schema, task, signal }) {
+  const content = [{ type: 'text', text: prompt }];
+  if (audio) {
+    content.push({
+      type: 'input_audio',
+      input_audio: { data: audio.data, format: audio.mimeType.split('/')[1] }
+    });
+  }
+
+  const body = {
+    model,
+    messages: [{ role: 'user', content: audio ? content : prompt }]
+  };
+  if (schema) {
+    body.response_format = {
+      type: 'json_schema',
+      json_schema: { name: task, schema }
+    };
+  }
+
+  const headers = { 'Content-Type': 'application/json' };
+  if (process.env.AI_API_KEY) {
+    headers.Authorization = `Bearer ${process.env.AI_API_KEY}`;
+  }
+
+  const response = await fetch(`${process.env.AI_BASE_URL.replace(/\/+$/, '')}/chat/completions`, {
+    method: 'POST',
+    headers,
+    body: JSON.stringify(body),
+    signal
+  });
+
+  if (!response.ok) {
+    const error = new Error(`AI endpoint responded ${response.status}: ${(await response.text()).slice(0, 200)}`);
+    error.status = response.status;
+    throw error;
+  }
+
+  const data = await response.json();
+  return {
+    text: data.choices?.[0]?.message?.content || '',
+    usage: {
+      inputTokens: data.usage?.prompt_tokens || 0,
+      outputTokens: data.usage?.completion_tokens || 0
+    }
+  };
+}
+
+/**
+ * Pulls the JSON payload out of a model reply, tolerating markdown fences
+ * and chatter around it.
+ */
+function extractJSON(text) {
+  const cleaned = text.replace(/```(?:json)?\n?/gi, '').trim();
+
+  const firstBrace = cleaned.search(/[[{]/);
+  const closing = cleaned[firstBrace] === '[' ? ']' : '}';
+  const lastBrace = cleaned.lastIndexOf(closing);
+  const jsonText = firstBrace !== -1 && lastBrace > firstBrace
+    ? cleaned.substring(firstBrace, lastBrace + 1)
+    : cleaned;
+
+  return JSON.parse(jsonText);
+}
+
+/**
+ * Checks a value against the JSON Schema subset used by the bot's prompts
+ * (type, properties, required, items, enum). Returns a list of problems.
+ */
+function validateSchema(value, schema, path = '$') {
+  const errors = [];
+  const actualType = Array.isArray(value) ? 'array' : value === null ? 'null' : typeof value;
+
+  if (schema.type) {
+    const typeMatches = schema.type === 'integer'
+      ? Number.isInteger(value)
+      : actualType === schema.type;
+    if (!typeMatches) {
+      return [`${path} should be ${schema.type}, got ${actualType}`];
+    }
+  }
+
+  if (schema.enum && !schema.enum.includes(value)) {
+    errors.push(`${path} should be one of ${schema.enum.join(', ')}`);
+  }
+
+  if (actualType === 'object' && schema.properties) {
+    for (const key of schema.required || []) {
+      if (!(key in value)) errors.push(`${path}.${key} is required`);
+    }
+    for (const [key, propertySchema] of Object.entries(schema.properties)) {
+      if (key in value) errors.push(...validateSchema(value[key], propertySchema, `${path}.${key}`));
+    }
+  }
+
+  if (actualType === 'array' && schema.items) {
+    value.forEach((item, index) => errors.push(...validateSchema(item, schema.items, `${path}[${index}]`)));
+  }
+
+  return errors;
+}
+
+async function request(task, options, parse) {
+  const provider = options.provider || getProviderName();
+  if (!isAIEnabled(provider)) {
+    throw new Error(provider === 'openai' ? 'AI_BASE_URL not configured' : 'Gemini API key not configured');
+  }
+
+  const model = options.model || getModel(task, provider);
+  const timeoutMs = options.timeoutMs || Number(process.env.AI_TIMEOUT_MS) || DEFAULT_TIMEOUT_MS;
+  const maxRetries = options.maxRetries ?? (process.env.AI_MAX_RETRIES ? Number(process.env.AI_MAX_RETRIES) : DEFAULT_MAX_RETRIES);
+  const call = provider === 'openai' ? callOpenAI : callGemini;
+
+  for (let attempt = 0; ; attempt++) {
+    const controller = new AbortController();
+    try {
+      const result = await withTimeout(
+        call({ ...options, model, task, signal: controller.signal }),
+        timeoutMs,
+        controller
+      );
+      recordUsage(task, model, result.usage);
+      return parse(result.text);
+    } catch (error) {
+      if (attempt >= maxRetries || !isRetryable(error)) {
+        throw error;
+      }
+      const delay = 1000 * 2 ** attempt + Math.floor(Math.random() * 250);
+      console.warn(`⚠️ AI request [${task}] failed (${error.message}), retrying in ${delay}ms...`);
+      await sleep(delay);
+    }
+  }
+}
+
+/**
+ * Runs a prompt and resolves to the reply text.
+ * @param {string} task - Key of TASKS, used for model selection and usage logging
+ * @param {Object} options
+ * @param {string} options.prompt
+ * @param {{data: string, mimeType: string}} [options.audio] - Base64 audio attached to the prompt
+ * @param {string} [options.provider] - Force "gemini" or "openai"
+ */
+async function generateText(task, options) {
+  return request(task, options, text => {
+    if (!text.trim()) {
+      const error = new Error('Empty response from AI');
+      error.retryable = true;
+      throw error;
+    }
+    return text.trim();
+  });
+}
+
+/**
+ * Runs a prompt that must answer with JSON matching `options.schema`.
+ * Malformed or off-schema replies are retried like transient failures.
+ */
+async function generateJSON(task, options) {
+  return request(task, options, text => {
+    let data;
+    try {
+      data = extractJSON(text);
+    } catch (parseError) {
+      const error = new Error(`AI returned invalid JSON: ${parseError.message}`);
+      error.retryable = true;
+      throw error;
+    }
+
+    const problems = validateSchema(data, options.schema);
+    if (problems.length > 0) {
+      const error = new Error(`AI response failed schema validation: ${problems.slice(0, 3).join('; ')}`);
+      error.retryable = true;
+      throw error;
+    }
+    return data;
+  });
+}
+
+module.exports = {
+  generateText,
+  generateJSON,
+  isAIEnabled,
+  getProviderName,
+  getModel,
+  describeProvider,
+  getUsageStats,
+  validateSchema
+};
@@ -1,24 +1,21 @@
-const { GoogleGenerativeAI } = require('@google/genai');
-
-let genAI = null;
-
-function initializeAI() {
-  if (!genAI && process.env.GEMINI_API_KEY) {
-    try {
-      genAI = new GoogleGenerativeAI(process.env.GEMINI_API_KEY);
-      console.log('✅ Google Gemini AI initialized');
-    } catch (error) {
-      console.error('❌ Failed to initialize Gemini:', error.message);
-    }
-  }
-  return genAI;
-}
+const { generateJSON, isAIEnabled } = require('./aiClient');
+
+const INTRO_SUMMARY_SCHEMA = {
+  type: 'object',
+  properties: {
+    summary: { type: 'string' },
+    experienceLevel: {
+      type: 'string',
+      enum: ['Beginner', 'Builder', 'Pro']
+    },
+    skills: { type: 'string' }
+  },
+  required: ['summary', 'experienceLevel', 'skills']
+};
 
 async function generateIntroSummary(introData) {
-  const ai = initializeAI();
-  
-  if (!ai) {
-    console.error('❌ Gemini AI not initialized');
+  if (!isAIEnabled()) {
+    console.error('❌ AI provider not configured');
     return {
       success: false,
       error: 'AI service not available',
@@ -52,42 +49,10 @@ Return ONLY valid JSON (no markdown):
   "skills": "Extracted skills or Not specified"
 }`;
 
-    const model = ai.getGenerativeModel({ model: 'gemini-1.5-flash' });
-    
-    const result = await model.generateContent(prompt);
-    
-    let responseText = '';
-    
-    if (result.response && typeof result.response.text === 'function') {
-      responseText = await result.response.text();
-    } else if (result.response?.candidates?.[0]?.content?.parts?.[0]?.text) {
-      responseText = result.response.candidates[0].content.parts[0].text;
-    } else {
-      throw new Error('Unable to extract response from Gemini');
-    }
-
-    if (!responseText || responseText.trim() === '') {
-      throw new Error('Empty response from Gemini');
-    }
-
-    const cleaned = responseText
-      .replace(/```json\n?/gi, '')
-      .replace(/```\n?/g, '')
-      .replace(/^[^{]*({)/s, '$1')
-      .replace(/(})[^}]*$/s, '$1')
-      .trim();
-
-    let parsed;
-    try {
-      parsed = JSON.parse(cleaned);
-    } catch (parseError) {
-      console.warn('⚠️ JSON parse failed, using text as summary');
-      parsed = {
-        summary: responseText.slice(0, 400),
-        experienceLevel: 'Beginner',
-        skills: 'Not specified'
-      };
-    }
+    const parsed = await generateJSON('introSummary', {
+      prompt,
+      schema: INTRO_SUMMARY_SCHEMA
+    });
 
     const validLevels = ['Beginner', 'Builder', 'Pro'];
     const experienceLevel = validLevels.includes(parsed.experienceLevel) 
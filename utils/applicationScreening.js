@@ -0,0 +1,101 @@
+const { generateJSON, isAIEnabled } = require('./aiClient');
+const { getGuildProjects } = require('./projectManager');
+
+const PROJECT_TYPES = ['AI Research', 'Automation', 'Startup', 'Study Group', 'Other'];
+const MAX_COMPARED_PROJECTS = 50;
+
+const APPLICATION_SCREENING_SCHEMA = {
+  type: 'object',
+  properties: {
+    clarity_score: { type: 'integer' },
+    feasibility_score: { type: 'integer' },
+    suggested_type: { type: 'string', enum: PROJECT_TYPES },
+    summary: { type: 'string' },
+    duplicate_projects: { type: 'array', items: { type: 'integer' } },
+    policy_flags: { type: 'array', items: { type: 'string' } }
+  },
+  required: ['clarity_score', 'feasibility_score', 'suggested_type', 'summary', 'duplicate_projects', 'policy_flags']
+};
+
+function clampScore(score) {
+  return Math.min(10, Math.max(1, Math.round(score)));
+}
+
+/**
+ * Advisory LLM review of a project application for the verification card.
+ * Moderators still approve or reject by hand.
+ */
+async function screenApplication(application) {
+  if (!isAIEnabled()) {
+    return {
+      success: false,
+      error: 'AI provider not configured'
+    };
+  }
+
+  const activeProjects = getGuildProjects(application.guildId)
+    .filter(project => project.status === 'active')
+    .slice(-MAX_COMPARED_PROJECTS);
+
+  const projectList = activeProjects.length > 0
+    ? activeProjects
+      .map((project, index) => `- [${index + 1}] ${project.name} (${project.type}): ${(project.description || '').slice(0, 200)}`)
+      .join('\n')
+    : '(none)';
+
+  try {
+    console.log(`🤖 Pre-screening application #${application.id}...`);
+
+    const prompt = `You help moderators of an AI learning community review project applications.
+Your review is advisory only; a moderator makes the final decision.
+
+Application:
+- Name: ${application.projectName}
+- Type chosen by applicant: ${application.projectType}
+- Description: ${application.description}
+
+Active projects in the community (number in brackets):
+${projectList}
+
+Assess:
+1. clarity_score (1-10): how clearly the description explains what will be built and why
+2. feasibility_score (1-10): how realistic the project is for a small volunteer team
+3. suggested_type: the best fitting type, one of ${PROJECT_TYPES.join(', ')}
+4. summary: one or two sentences for the moderator explaining the scores
+5. duplicate_projects: numbers of active projects that cover substantially the same idea (empty if none)
+6. policy_flags: short notes on anything against typical community guidelines, such as spam, self-promotion, harassment, NSFW, academic dishonesty or illegal activity (empty if none)
+
+Respond with JSON only.`;
+
+    const screening = await generateJSON('applicationScreening', {
+      prompt,
+      schema: APPLICATION_SCREENING_SCHEMA
+    });
+
+    const duplicates = activeProjects.filter((project, index) => screening.duplicate_projects.includes(index + 1));
+
+    console.log(`✅ Application #${application.id} pre-screened`);
+
+    return {
+      success: true,
+      data: {
+        clarityScore: clampScore(screening.clarity_score),
+        feasibilityScore: clampScore(screening.feasibility_score),
+        suggestedType: screening.suggested_type,
+        summary: screening.summary,
+        duplicates,
+        policyFlags: screening.policy_flags.filter(flag => flag.trim())
+      }
+    };
+  } catch (error) {
+    console.error('❌ Application pre-screening error:', error.message);
+    return {
+      success: false,
+      error: error.message
+    };
+  }
+}
+
+module.exports = {
+  screenApplication
+};
@@ -1,6 +1,7 @@
 const { EndBehaviorType } = require('@discordjs/voice');
 const prism = require('prism-media');
 const fs = require('fs');
+const { pipeline } = require('stream');
 const path = require('path');
 const { exec } = require('child_process');
 const ffmpegPath = require('ffmpeg-static');
@@ -11,15 +12,46 @@ if (!fs.existsSync(RECORDINGS_DIR)) {
   fs.mkdirSync(RECORDINGS_DIR, { recursive: true });
 }
 
-function recordUser(connection, userId, guildId) {
-  return new Promise((resolve, reject) => {
-    try {
-      const receiver = connection.receiver;
+const SILENCE_END_MS = 1000;
+const MAX_SEGMENT_MS = 60000;
+// 48 kHz * 2 channels * 2 bytes; anything shorter than ~0.5 s is a cough or a click.
+const PCM_BYTES_PER_SECOND = 192000;
+const MIN_SEGMENT_BYTES = PCM_BYTES_PER_SECOND / 2;
+
+/**
+ * Records every member of a voice connection for as long as it is alive.
+ * Each time a user starts speaking a new subscription is opened; it ends after
+ * SILENCE_END_MS of silence (or MAX_SEGMENT_MS), producing one timestamped segment.
+ *
+ * @param {VoiceConnection} connection - Ready voice connection
+ * @param {Object} options
+ * @param {string} options.guildId - Guild the connection belongs to
+ * @param {Function} options.onSegment - Called with { userId, filePath, startedAt, endedAt } once a segment is saved as MP3
+ * @param {Function} [options.shouldRecord] - Return false to skip a user (bots, opted-out members)
+ * @returns {{ stop: Function, stopUser: Function }} Handle whose stop() ends in-progress segments and resolves
+ *   once they are processed; stopUser(userId) ends just that user's segment
+ */
+function startLiveRecorder(connection, { guildId, onSegment, shouldRecord = () => true }) {
+  const receiver = connection.receiver;
+  const activeStreams = new Map();
+  const pendingSegments = new Set();
+  let stopped = false;
+
+  const onSpeakingStart = (userId) => {
+    if (stopped || activeStreams.has(userId) || !shouldRecord(userId)) return;
+
+    const segment = recordSegment(userId);
+    pendingSegments.add(segment);
+    segment.finally(() => pendingSegments.delete(segment));
+  };
 
+  function recordSegment(userId) {
+    return new Promise((resolve) => {
+      const startedAt = Date.now();
       const audioStream = receiver.subscribe(userId, {
         end: {
           behavior: EndBehaviorType.AfterSilence,
-          duration: 500,
+          duration: SILENCE_END_MS,
         },
       });
 
@@ -29,40 +61,71 @@ function recordUser(connection, userId, guildId) {
         rate: 48000,
       });
 
-      const pcmFilename = path.join(RECORDINGS_DIR, `${userId}-${Date.now()}.pcm`);
+      const pcmFilename = path.join(RECORDINGS_DIR, `${guildId}-${userId}-${startedAt}.pcm`);
       const writeStream = fs.createWriteStream(pcmFilename);
+      activeStreams.set(userId, audioStream);
 
-      audioStream
-        .pipe(decoder)
-        .pipe(writeStream);
+      const maxDurationTimer = setTimeout(() => audioStream.push(null), MAX_SEGMENT_MS);
+
+      // 'close' also fires when the pipeline tears the streams down after an error.
+      // A segment cut at MAX_SEGMENT_MS gets no new 'start' event while the user keeps talking.
+      audioStream.once('close', () => {
+        clearTimeout(maxDurationTimer);
+        activeStreams.delete(userId);
+        if (receiver.speaking.users.has(userId)) {
+          onSpeakingStart(userId);
+        }
+      });
 
-      writeStream.on('finish', async () => {
-        console.log(`📼 Recording saved: ${pcmFilename}`);
+      // pipeline() forwards a decoder or receive error to the callback, so a bad
+      // packet can't leave the segment (and stop()) waiting forever.
+      pipeline(audioStream, decoder, writeStream, async (error) => {
+        const endedAt = Date.now();
         try {
+          if (error) {
+            console.warn(`⚠️ Recording error for user ${userId}:`, error.message);
+            fs.rmSync(pcmFilename, { force: true });
+            return;
+          }
+
+          const { size } = fs.statSync(pcmFilename);
+          if (size < MIN_SEGMENT_BYTES) {
+            fs.unlinkSync(pcmFilename);
+            return;
+          }
+
           const mp3File = await convertPCMtoMP3(pcmFilename);
-          resolve(mp3File);
-        } catch (error) {
-          reject(error);
+          await onSegment({ userId, filePath: mp3File, startedAt, endedAt });
+        } catch (processError) {
+          console.error(`❌ Failed to process segment for user ${userId}:`, processError);
+        } finally {
+          resolve();
         }
       });
+    });
+  }
 
-      writeStream.on('error', (error) => {
-        console.error(`❌ Recording error for user ${userId}:`, error);
-        reject(error);
-      });
+  receiver.speaking.on('start', onSpeakingStart);
+  console.log(`🎙️ Live recorder started for guild ${guildId}`);
 
-      setTimeout(() => {
-        if (!writeStream.closed) {
-          audioStream.destroy();
-          console.log(`⏱️ Recording timeout for user ${userId} (max duration reached)`);
+  return {
+    async stop() {
+      if (!stopped) {
+        stopped = true;
+        receiver.speaking.off('start', onSpeakingStart);
+        for (const audioStream of activeStreams.values()) {
+          audioStream.push(null);
         }
-      }, 300000);
+        console.log(`🛑 Live recorder stopped for guild ${guildId}`);
+      }
+      await Promise.allSettled([...pendingSegments]);
+    },
 
-    } catch (error) {
-      console.error(`❌ Error setting up recording for ${userId}:`, error);
-      reject(error);
+    stopUser(userId) {
+      const audioStream = activeStreams.get(userId);
+      if (audioStream) audioStream.push(null);
     }
-  });
+  };
 }
 
 function convertPCMtoMP3(pcmFile) {
@@ -91,6 +154,26 @@ function convertPCMtoMP3(pcmFile) {
   });
 }
 
+/**
+ * Converts an audio file to 16 kHz mono WAV, the input format whisper.cpp expects.
+ */
+function convertToWav16k(inputFile) {
+  return new Promise((resolve, reject) => {
+    const wavFile = inputFile.replace(/\.[^.]+$/, '.16k.wav');
+
+    const command = `"${ffmpegPath}" -y -i "${inputFile}" -ar 16000 -ac 1 -c:a pcm_s16le "${wavFile}"`;
+
+    exec(command, (error) => {
+      if (error) {
+        console.error(`❌ FFmpeg error: ${error.message}`);
+        reject(error);
+        return;
+      }
+      resolve(wavFile);
+    });
+  });
+}
+
 function cleanupRecordings(olderThanDays = 7) {
   try {
     const files = fs.readdirSync(RECORDINGS_DIR);
@@ -118,8 +201,9 @@ function cleanupRecordings(olderThanDays = 7) {
 }
 
 module.exports = {
-  recordUser,
+  startLiveRecorder,
   convertPCMtoMP3,
+  convertToWav16k,
   cleanupRecordings,
   RECORDINGS_DIR
 };
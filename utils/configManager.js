@@ -1,18 +1,11 @@
-const fs = require('fs');
-const path = require('path');
+const { getDb, parseJSON } = require('./storage');
 
-const CONFIG_FILE = path.join(__dirname, '..', 'botConfig.json');
+const UNASSIGNED_GUILD_KEY = 'unassigned';
 
-function loadConfig() {
-  try {
-    if (fs.existsSync(CONFIG_FILE)) {
-      const data = fs.readFileSync(CONFIG_FILE, 'utf8');
-      return JSON.parse(data);
-    }
-  } catch (error) {
-    console.error('❌ Error loading bot config:', error);
-  }
-  
+const DEFAULT_INACTIVITY_WARNING_DAYS = 15;
+const DEFAULT_INACTIVITY_GRACE_DAYS = 3;
+
+function getDefaultConfig() {
   return {
     introChannelId: null,
     profileChannelId: null,
@@ -20,14 +13,75 @@ function loadConfig() {
     verificationChannelId: null,
     setupComplete: false,
     setupBy: null,
-    setupTimestamp: null
+    setupTimestamp: null,
+    inactivityWarningDays: null,
+    inactivityGraceDays: null,
+    inactivityTypeOverrides: {}
   };
 }
 
-function saveConfig(config) {
+function rowToConfig(row) {
+  return {
+    introChannelId: row.intro_channel_id,
+    profileChannelId: row.profile_channel_id,
+    moderatorRoleId: row.moderator_role_id,
+    verificationChannelId: row.verification_channel_id,
+    setupComplete: !!row.setup_complete,
+    setupBy: row.setup_by,
+    setupTimestamp: row.setup_timestamp,
+    inactivityWarningDays: row.inactivity_warning_days,
+    inactivityGraceDays: row.inactivity_grace_days,
+    inactivityTypeOverrides: parseJSON(row.inactivity_type_overrides, {})
+  };
+}
+
+function loadConfig(guildId) {
   try {
-    fs.writeFileSync(CONFIG_FILE, JSON.stringify(config, null, 2));
-    console.log('✅ Bot configuration saved successfully');
+    const row = getDb().prepare('SELECT * FROM guild_config WHERE guild_id = ?').get(guildId);
+    if (row) {
+      return { ...rowToConfig(row), guildId };
+    }
+  } catch (error) {
+    console.error('❌ Error loading bot config:', error);
+  }
+
+  return { ...getDefaultConfig(), guildId };
+}
+
+function saveConfig(guildId, config) {
+  try {
+    const merged = { ...getDefaultConfig(), ...config };
+    getDb().prepare(`
+      INSERT INTO guild_config (
+        guild_id, intro_channel_id, profile_channel_id, moderator_role_id,
+        verification_channel_id, setup_complete, setup_by, setup_timestamp,
+        inactivity_warning_days, inactivity_grace_days, inactivity_type_overrides
+      ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+      ON CONFLICT (guild_id) DO UPDATE SET
+        intro_channel_id = excluded.intro_channel_id,
+        profile_channel_id = excluded.profile_channel_id,
+        moderator_role_id = excluded.moderator_role_id,
+        verification_channel_id = excluded.verification_channel_id,
+        setup_complete = excluded.setup_complete,
+        setup_by = excluded.setup_by,
+        setup_timestamp = excluded.setup_timestamp,
+        inactivity_warning_days = excluded.inactivity_warning_days,
+        inactivity_grace_days = excluded.inactivity_grace_days,
+        inactivity_type_overrides = excluded.inactivity_type_overrides
+    `).run(
+      guildId,
+      merged.introChannelId,
+      merged.profileChannelId,
+      merged.moderatorRoleId,
+      merged.verificationChannelId,
+      merged.setupComplete ? 1 : 0,
+      merged.setupBy,
+      merged.setupTimestamp,
+      merged.inactivityWarningDays,
+      merged.inactivityGraceDays,
+      JSON.stringify(merged.inactivityTypeOverrides || {})
+    );
+    console.log(`✅ Bot configuration saved for guild ${guildId}`);
     return true;
   } catch (error) {
     console.error('❌ Error saving bot config:', error);
@@ -35,30 +89,54 @@ function saveConfig(config) {
   }
 }
 
-function updateConfig(updates) {
-  const config = loadConfig();
-  const updatedConfig = { ...config, ...updates };
-  return saveConfig(updatedConfig) ? updatedConfig : null;
+function updateConfig(guildId, updates) {
+  const config = loadConfig(guildId);
+  const updatedConfig = { ...config, ...updates, guildId };
+  return saveConfig(guildId, updatedConfig) ? updatedConfig : null;
 }
 
-function resetConfig() {
-  const defaultConfig = {
-    introChannelId: null,
-    profileChannelId: null,
-    moderatorRoleId: null,
-    verificationChannelId: null,
-    setupComplete: false,
-    setupBy: null,
-    setupTimestamp: null
+function resetConfig(guildId) {
+  return saveConfig(guildId, getDefaultConfig());
+}
+
+function isSetupComplete(guildId) {
+  const config = loadConfig(guildId);
+  return !!(config.setupComplete &&
+         config.introChannelId &&
+         config.profileChannelId);
+}
+
+/**
+ * Moderator role from /setup-bot, falling back to MOD_ROLE_ID for servers set up before it existed.
+ */
+function getModeratorRoleId(guildId) {
+  return loadConfig(guildId).moderatorRoleId || process.env.MOD_ROLE_ID || null;
+}
+
+/**
+ * Days without activity before a project is warned, and days after the warning
+ * before it is archived. A project type override beats the server setting,
+ * which beats the built-in defaults.
+ */
+function getInactivityPolicy(guildId, projectType) {
+  const config = loadConfig(guildId);
+  const override = config.inactivityTypeOverrides[projectType] || {};
+  return {
+    warningDays: override.warningDays || config.inactivityWarningDays || DEFAULT_INACTIVITY_WARNING_DAYS,
+    graceDays: override.graceDays || config.inactivityGraceDays || DEFAULT_INACTIVITY_GRACE_DAYS
   };
-  return saveConfig(defaultConfig);
 }
 
-function isSetupComplete() {
-  const config = loadConfig();
-  return config.setupComplete && 
-         config.introChannelId && 
-         config.profileChannelId;
+function getConfiguredGuildIds() {
+  return getDb().prepare('SELECT guild_id FROM guild_config').all().map(row => row.guild_id);
+}
+
+/**
+ * Guild that pre-multi-guild data files (profiles, projects, sessions) belong to.
+ * Uses GUILD_ID when set, otherwise the first configured guild.
+ */
+function resolveLegacyGuildId() {
+  return process.env.GUILD_ID || getConfiguredGuildIds()[0] || UNASSIGNED_GUILD_KEY;
 }
 
 module.exports = {
@@ -66,5 +144,9 @@ module.exports = {
   saveConfig,
   updateConfig,
   resetConfig,
-  isSetupComplete
+  isSetupComplete,
+  getModeratorRoleId,
+  getInactivityPolicy,
+  getConfiguredGuildIds,
+  resolveLegacyGuildId
 };
@@ -1,17 +1,35 @@
-const { GoogleGenAI } = require('@google/genai');
+const { generateJSON, isAIEnabled } = require('./aiClient');
 
-const genAI = new GoogleGenAI({ apiKey: process.env.GEMINI_API_KEY || '' });
+const INTRO_ANALYSIS_SCHEMA = {
+  type: 'object',
+  properties: {
+    name: { type: 'string' },
+    role: { type: 'string' },
+    institution: { type: 'string' },
+    interests: { type: 'string' },
+    skills: { type: 'string' },
+    experience_level: {
+      type: 'string',
+      enum: ['beginner', 'intermediate', 'advanced']
+    },
+    goal: { type: 'string' },
+    portfolio: { type: 'string' },
+    refined_intro: { type: 'string' },
+    color: { type: 'string' }
+  },
+  required: ['name', 'role', 'institution', 'interests', 'skills', 'experience_level', 'goal', 'portfolio', 'refined_intro', 'color']
+};
 
 async function analyzeIntro(introText) {
-  if (!process.env.GEMINI_API_KEY) {
+  if (!isAIEnabled()) {
     return {
       success: false,
-      error: 'Gemini API key not configured'
+      error: 'AI provider not configured'
     };
   }
 
   try {
-    console.log('🤖 Sending intro to Gemini for AI analysis...');
+    console.log('🤖 Sending intro for AI analysis...');
     
     const prompt = `You are an AI assistant that extracts and structures user introduction information from ANY format.
 
@@ -50,57 +68,20 @@ Respond with JSON containing:
 - refined_intro: Polished summary in THIRD PERSON (2-3 sentences, starting with the person's name)
 - color: "#00FF7F" for beginner, "#FFD700" for intermediate, "#FF0000" for advanced`;
 
-    const response = await genAI.models.generateContent({
-      model: 'gemini-2.0-flash-exp',
-      contents: prompt,
-      generationConfig: {
-        responseMimeType: 'application/json',
-        responseSchema: {
-          type: 'object',
-          properties: {
-            name: { type: 'string' },
-            role: { type: 'string' },
-            institution: { type: 'string' },
-            interests: { type: 'string' },
-            skills: { type: 'string' },
-            experience_level: { 
-              type: 'string',
-              enum: ['beginner', 'intermediate', 'advanced']
-            },
-            goal: { type: 'string' },
-            portfolio: { type: 'string' },
-            refined_intro: { type: 'string' },
-            color: { type: 'string' }
-          },
-          required: ['name', 'role', 'institution', 'interests', 'skills', 'experience_level', 'goal', 'portfolio', 'refined_intro', 'color']
-        }
-      }
+    const analysis = await generateJSON('introAnalysis', {
+      prompt,
+      schema: INTRO_ANALYSIS_SCHEMA
     });
-    
-    let jsonText = response.text;
-    
-    console.log('✅ Gemini analysis received');
-    console.log(`Raw response: ${jsonText}`);
-    
-    jsonText = jsonText.replace(/```json\n?/g, '').replace(/```\n?/g, '').trim();
-    
-    let firstBrace = jsonText.indexOf('{');
-    let lastBrace = jsonText.lastIndexOf('}');
-    if (firstBrace !== -1 && lastBrace !== -1 && lastBrace > firstBrace) {
-      jsonText = jsonText.substring(firstBrace, lastBrace + 1);
-    }
-    
-    console.log(`Cleaned JSON: ${jsonText}`);
-    
-    const analysis = JSON.parse(jsonText);
-    
+
+    console.log('✅ AI analysis received');
+
     return {
       success: true,
       data: analysis
     };
     
   } catch (error) {
-    console.error('❌ Gemini API error:', error.message);
+    console.error('❌ AI analysis error:', error.message);
     return {
       success: false,
       error: error.message
@@ -1,7 +1,5 @@
-const { GoogleGenAI } = require('@google/genai');
 const fs = require('fs');
-
-const genAI = new GoogleGenAI({ apiKey: process.env.GEMINI_API_KEY || '' });
+const { generateText } = require('./aiClient');
 
 async function transcribeAudio(audioFilePath) {
   if (!process.env.GEMINI_API_KEY) {
@@ -19,25 +17,13 @@ async function transcribeAudio(audioFilePath) {
     
     const prompt = `Transcribe this audio recording. Provide a clear, accurate transcription of all spoken words. If there are multiple speakers, try to distinguish between them. If the audio is unclear or inaudible, note that in the transcript.`;
 
-    const response = await genAI.models.generateContent({
-      model: 'gemini-2.0-flash-exp',
-      contents: [
-        {
-          role: 'user',
-          parts: [
-            { text: prompt },
-            {
-              inline_data: {
-                mime_type: 'audio/mp3',
-                data: base64Audio
-              }
-            }
-          ]
-        }
-      ]
+    // Audio input goes to Gemini regardless of AI_PROVIDER; most local
+    // OpenAI-compatible servers can't take audio, that's what Whisper is for.
+    const transcriptText = await generateText('transcription', {
+      provider: 'gemini',
+      prompt,
+      audio: { data: base64Audio, mimeType: 'audio/mp3' }
     });
-
-    const transcriptText = response.text();
     
     console.log('✅ Transcription completed');
     
@@ -55,20 +41,13 @@ async function transcribeAudio(audioFilePath) {
   }
 }
 
-async function transcribeMultipleAudio(audioFiles) {
-  const transcripts = [];
-  
-  for (const file of audioFiles) {
-    const result = await transcribeAudio(file);
-    if (result.success) {
-      transcripts.push(result.transcript);
-    }
-  }
-  
-  return transcripts;
-}
+const geminiProvider = {
+  name: 'gemini',
+  isConfigured: () => !!process.env.GEMINI_API_KEY,
+  transcribe: transcribeAudio
+};
 
 module.exports = {
   transcribeAudio,
-  transcribeMultipleAudio
+  geminiProvider
 };
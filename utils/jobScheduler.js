@@ -0,0 +1,222 @@
+const { getDb, parseJSON } = require('./storage');
+
+/**
+ * Persistent job scheduler. Jobs live in the scheduled_jobs table, so pending
+ * work and recurring clocks survive restarts. Modules register a handler per
+ * job type and schedule jobs with a run time, optional recurrence and payload.
+ *
+ * A failed job is retried with backoff until it runs out of attempts. A job
+ * with a `key` is only scheduled once while it is pending, which is how
+ * recurring jobs keep their clock across restarts.
+ */
+
+const POLL_INTERVAL = 30 * 1000;
+const RETRY_BASE_DELAY = 60 * 1000;
+const MAX_JOBS_PER_POLL = 20;
+const FINISHED_JOB_RETENTION = 30 * 24 * 60 * 60 * 1000;
+
+const jobHandlers = new Map();
+let pollTimer = null;
+let polling = false;
+
+function rowToJob(row) {
+  return {
+    id: row.id,
+    guildId: row.guild_id,
+    type: row.type,
+    key: row.job_key,
+    payload: parseJSON(row.payload, {}),
+    runAt: row.run_at,
+    intervalMs: row.interval_ms,
+    status: row.status,
+    attempts: row.attempts,
+    maxAttempts: row.max_attempts,
+    lastError: row.last_error,
+    createdAt: row.created_at,
+    updatedAt: row.updated_at
+  };
+}
+
+/**
+ * @param {string} type
+ * @param {(client, job) => Promise<void>} handler - Throw to have the job retried
+ * @param {Object} [options]
+ * @param {string} [options.label] - Name shown in /jobs
+ */
+function registerJobHandler(type, handler, { label = type } = {}) {
+  jobHandlers.set(type, { handler, label });
+}
+
+function getJobLabel(type) {
+  return jobHandlers.get(type)?.label || type;
+}
+
+/**
+ * Schedules a job. When `key` is set and a job with that key is still pending,
+ * the existing job is returned unchanged.
+ * @returns {Object} The scheduled job
+ */
+function scheduleJob(type, { runAt = Date.now(), payload = {}, guildId = null, intervalMs = null, key = null, maxAttempts = 3 } = {}) {
+  const now = Date.now();
+  const result = getDb().prepare(`
+    INSERT OR IGNORE INTO scheduled_jobs (guild_id, type, job_key, payload, run_at, interval_ms, max_attempts, created_at, updated_at)
+    VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+  `).run(guildId, type, key, JSON.stringify(payload), runAt, intervalMs, maxAttempts, now, now);
+
+  if (result.changes === 0) {
+    return getJobByKey(key);
+  }
+  return getJob(result.lastInsertRowid);
+}
+
+function getJob(jobId) {
+  const row = getDb().prepare('SELECT * FROM scheduled_jobs WHERE id = ?').get(jobId);
+  return row ? rowToJob(row) : null;
+}
+
+function getJobByKey(key) {
+  const row = getDb()
+    .prepare("SELECT * FROM scheduled_jobs WHERE job_key = ? AND status IN ('pending', 'running')")
+    .get(key);
+  return row ? rowToJob(row) : null;
+}
+
+/**
+ * A server's jobs plus the bot-wide ones (no guild), soonest first.
+ */
+function getJobs(guildId, status = null, limit = 25) {
+  const rows = status
+    ? getDb().prepare(`
+        SELECT * FROM scheduled_jobs WHERE (guild_id = ? OR guild_id IS NULL) AND status = ?
+        ORDER BY run_at LIMIT ?
+      `).all(guildId, status, limit)
+    : getDb().prepare(`
+        SELECT * FROM scheduled_jobs WHERE (guild_id = ? OR guild_id IS NULL)
+        ORDER BY CASE WHEN status IN ('pending', 'running') THEN 0 ELSE 1 END, run_at LIMIT ?
+      `).all(guildId, limit);
+  return rows.map(rowToJob);
+}
+
+/**
+ * Cancels one of a server's pending jobs. Bot-wide jobs cannot be cancelled here.
+ */
+function cancelJob(guildId, jobId) {
+  return getDb()
+    .prepare("UPDATE scheduled_jobs SET status = 'cancelled', updated_at = ? WHERE id = ? AND guild_id = ? AND status = 'pending'")
+    .run(Date.now(), jobId, guildId).changes > 0;
+}
+
+function cancelJobByKey(key) {
+  return getDb()
+    .prepare("UPDATE scheduled_jobs SET status = 'cancelled', updated_at = ? WHERE job_key = ? AND status = 'pending'")
+    .run(Date.now(), key).changes > 0;
+}
+
+function nextOccurrence(job, now) {
+  const next = job.runAt + job.intervalMs;
+  return next > now ? next : now + job.intervalMs;
+}
+
+function finishJob(job, status, runAt, attempts, lastError) {
+  getDb().prepare(`
+    UPDATE scheduled_jobs SET status = ?, run_at = ?, attempts = ?, last_error = ?, updated_at = ? WHERE id = ?
+  `).run(status, runAt, attempts, lastError, Date.now(), job.id);
+}
+
+async function runJob(client, job) {
+  const registered = jobHandlers.get(job.type);
+  if (!registered) {
+    finishJob(job, 'failed', job.runAt, job.attempts, `No handler registered for ${job.type}`);
+    console.error(`❌ No handler registered for job #${job.id} (${job.type})`);
+    return;
+  }
+
+  // Claim the job so a slow run is never picked up twice.
+  const claimed = getDb()
+    .prepare("UPDATE scheduled_jobs SET status = 'running', updated_at = ? WHERE id = ? AND status = 'pending'")
+    .run(Date.now(), job.id).changes > 0;
+  if (!claimed) return;
+
+  const attempts = job.attempts + 1;
+
+  try {
+    await registered.handler(client, job);
+
+    const now = Date.now();
+    if (job.intervalMs) {
+      finishJob(job, 'pending', nextOccurrence(job, now), 0, null);
+    } else {
+      finishJob(job, 'done', job.runAt, attempts, null);
+    }
+  } catch (error) {
+    const now = Date.now();
+    const message = (error && error.message) || String(error);
+    console.error(`❌ Job #${job.id} (${job.type}) failed on attempt ${attempts}:`, message);
+
+    if (attempts < job.maxAttempts) {
+      finishJob(job, 'pending', now + RETRY_BASE_DELAY * 2 ** (attempts - 1), attempts, message);
+    } else if (job.intervalMs) {
+      // Recurring jobs give up on this run only and try again next time.
+      finishJob(job, 'pending', nextOccurrence(job, now), 0, message);
+    } else {
+      finishJob(job, 'failed', job.runAt, attempts, message);
+    }
+  }
+}
+
+async function runDueJobs(client) {
+  if (polling) return;
+  polling = true;
+
+  try {
+    const dueJobs = getDb()
+      .prepare("SELECT * FROM scheduled_jobs WHERE status = 'pending' AND run_at <= ? ORDER BY run_at LIMIT ?")
+      .all(Date.now(), MAX_JOBS_PER_POLL)
+      .map(rowToJob);
+
+    for (const job of dueJobs) {
+      await runJob(client, job);
+    }
+  } catch (error) {
+    console.error('❌ Error running scheduled jobs:', error);
+  } finally {
+    polling = false;
+  }
+}
+
+/**
+ * Starts polling for due jobs. Jobs that were running when the bot stopped
+ * are put back in the queue, and old finished jobs are pruned.
+ */
+function startJobScheduler(client) {
+  const now = Date.now();
+  const db = getDb();
+
+  const interrupted = db
+    .prepare("UPDATE scheduled_jobs SET status = 'pending', updated_at = ? WHERE status = 'running'")
+    .run(now).changes;
+  if (interrupted > 0) {
+    console.log(`🔁 Requeued ${interrupted} job(s) interrupted by a restart`);
+  }
+
+  db.prepare("DELETE FROM scheduled_jobs WHERE status IN ('done', 'cancelled', 'failed') AND updated_at < ?")
+    .run(now - FINISHED_JOB_RETENTION);
+
+  if (pollTimer) clearInterval(pollTimer);
+  pollTimer = setInterval(() => runDueJobs(client), POLL_INTERVAL);
+  runDueJobs(client);
+
+  console.log('⏰ Job scheduler started');
+}
+
+module.exports = {
+  registerJobHandler,
+  getJobLabel,
+  scheduleJob,
+  getJob,
+  getJobs,
+  cancelJob,
+  cancelJobByKey,
+  runDueJobs,
+  startJobScheduler
+};
@@ -0,0 +1,122 @@
+const { EmbedBuilder } = require('discord.js');
+const { formatActionItem } = require('./meetingSummarizer');
+const { getConsentSummary } = require('./recordingConsent');
+
+const TONE_COLORS = {
+  'productive': '#00FF00',
+  'brainstorming': '#FFA500',
+  'blockers': '#FF0000'
+};
+
+const TONE_EMOJIS = {
+  'productive': '🟢',
+  'brainstorming': '🟠',
+  'blockers': '🔴'
+};
+
+function formatList(items) {
+  if (!items || items.length === 0) {
+    return 'None';
+  }
+
+  if (items.length === 1 && items[0].toLowerCase().includes('none')) {
+    return 'None';
+  }
+
+  return items.map((item, index) => `${index + 1}. ${item}`).join('\n');
+}
+
+function formatConsent(consent) {
+  const mentions = userIds => userIds.map(id => `<@${id}>`).join(' ');
+  return [
+    consent.granted.length > 0 ? `✅ **Recorded:** ${mentions(consent.granted)}` : '✅ **Recorded:** nobody',
+    consent.declined.length > 0 ? `🚫 **Declined:** ${mentions(consent.declined)}` : null,
+    consent.noResponse.length > 0 ? `⏳ **No response (not recorded):** ${mentions(consent.noResponse)}` : null
+  ].filter(Boolean).join('\n');
+}
+
+function formatActionItems(summary, tasks) {
+  // Summaries from before task tracking only have the items themselves.
+  if (tasks.length === 0) {
+    return formatList((summary.action_items || []).map(item => formatActionItem(item, { mention: true })));
+  }
+  return formatList(tasks.map(task => {
+    const done = task.status === 'done' ? '✅ ' : '';
+    return `${done}#${task.id} ${formatActionItem({ assignee: task.assigneeId, task: task.task, due: task.due }, { mention: true })}`;
+  }));
+}
+
+/**
+ * The meeting summary embed, used when a meeting is summarized and when it is shown again later.
+ * @param {Object} session - VC session
+ * @param {Object} summary - Summary from summarizeMeeting
+ * @param {Object} [options]
+ * @param {Array<Object>} [options.tasks] - Tasks created from the summary's action items
+ * @param {Object} [options.project] - Project the session belongs to
+ * @param {string} [options.iconURL] - Footer icon
+ */
+function createMeetingSummaryEmbed(session, summary, { tasks = [], project = null, iconURL = null } = {}) {
+  const language = summary.language_detected || 'English';
+  const tone = summary.meeting_tone || 'brainstorming';
+  const duration = session.endTime ? Math.round((session.endTime - session.startTime) / 60000) : 0;
+
+  const embed = new EmbedBuilder()
+    .setColor(TONE_COLORS[tone] || '#4A90E2')
+    .setTitle('🧠 Meeting Summary (Auto-generated by AI Learners Bot)')
+    .setDescription(summary.overview || 'No overview available')
+    .addFields(
+      {
+        name: '📊 Meeting Info',
+        value: `**Duration:** ${duration} minutes\n**Participants:** ${session.participants.length} people\n**Language:** ${language}\n**Tone:** ${TONE_EMOJIS[tone] || '🔵'} ${tone.charAt(0).toUpperCase() + tone.slice(1)}`,
+        inline: false
+      },
+      {
+        name: '💬 Key Topics',
+        value: formatList(summary.discussion_points) || 'None',
+        inline: false
+      },
+      {
+        name: '✅ Decisions Made',
+        value: formatList(summary.decisions) || 'None',
+        inline: false
+      },
+      {
+        name: tasks.length > 0 ? '📝 Action Items (track with /tasks)' : '📝 Action Items',
+        value: (formatActionItems(summary, tasks) || 'None').slice(0, 1024),
+        inline: false
+      },
+      {
+        name: '🚀 Next Steps',
+        value: formatList(summary.next_steps) || 'None',
+        inline: false
+      }
+    )
+    .setFooter({
+      text: `Session ID: ${session.sessionId} • AI Learners India Bot`,
+      iconURL: iconURL || undefined
+    })
+    .setTimestamp(session.endTime || session.startTime);
+
+  const consent = getConsentSummary(session);
+  if (consent) {
+    embed.addFields({
+      name: '🔒 Recording Consent',
+      value: formatConsent(consent).slice(0, 1024),
+      inline: false
+    });
+  }
+
+  if (project) {
+    embed.addFields({
+      name: '🏗️ Project Team',
+      value: `**${project.name}**\n${[project.ownerId, ...project.teammates].map(id => `<@${id}>`).join(' ')}`,
+      inline: false
+    });
+  }
+
+  return embed;
+}
+
+module.exports = {
+  createMeetingSummaryEmbed
+};
@@ -0,0 +1,86 @@
+const { findSessions } = require('./voiceSessionManager');
+const { getGuildProjects, getProject } = require('./projectManager');
+
+/**
+ * Who may look at past meetings: the people who were in them, and for
+ * meetings held in a project's voice channel, that project's team.
+ */
+
+function isProjectMember(project, userId) {
+  return project.ownerId === userId || project.teammates.includes(userId);
+}
+
+/**
+ * Projects (active or archived) the member belongs to.
+ */
+function getMemberProjectIds(guildId, userId) {
+  return getGuildProjects(guildId)
+    .filter(project => isProjectMember(project, userId))
+    .map(project => project.id);
+}
+
+function canViewSession(userId, session) {
+  if (session.participants.includes(userId)) return true;
+  if (!session.projectId) return false;
+
+  const project = getProject(session.guildId, session.projectId);
+  return !!project && isProjectMember(project, userId);
+}
+
+/**
+ * Sessions the member can view, newest first.
+ */
+function findViewableSessions(guildId, userId, filters = {}, limit = 25) {
+  return findSessions(guildId, {
+    ...filters,
+    viewerId: userId,
+    viewerProjectIds: getMemberProjectIds(guildId, userId)
+  }, limit);
+}
+
+function formatSessionDate(timestamp) {
+  return new Date(timestamp).toISOString().replace('T', ' ').slice(0, 16) + ' UTC';
+}
+
+/**
+ * Short label for a session in autocomplete choices.
+ */
+function describeSession(guild, session) {
+  const channel = guild.channels.cache.get(session.channelId);
+  const project = session.projectId ? getProject(session.guildId, session.projectId) : null;
+  const duration = session.endTime ? ` · ${Math.round((session.endTime - session.startTime) / 60000)} min` : '';
+  const where = project ? `🏗️ ${project.name}` : `🔊 ${channel ? channel.name : 'voice channel'}`;
+  return `${formatSessionDate(session.startTime)} · ${where}${duration}`.slice(0, 100);
+}
+
+/**
+ * Autocomplete over the member's meetings. Matches the typed text against the label.
+ */
+async function respondWithSessions(interaction, { summarizedOnly = true } = {}) {
+  const query = interaction.options.getFocused().toLowerCase();
+
+  const choices = findViewableSessions(interaction.guildId, interaction.user.id, { summarizedOnly }, 100)
+    .map(session => ({ name: describeSession(interaction.guild, session), value: session.sessionId }))
+    .filter(choice => choice.name.toLowerCase().includes(query))
+    .slice(0, 25);
+
+  await interaction.respond(choices);
+}
+
+/**
+ * Parses a YYYY-MM-DD option as the start of that day (UTC). Returns NaN when invalid.
+ */
+function parseDateOption(value) {
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(value)) return NaN;
+  return Date.parse(`${value}T00:00:00Z`);
+}
+
+module.exports = {
+  canViewSession,
+  getMemberProjectIds,
+  findViewableSessions,
+  describeSession,
+  formatSessionDate,
+  respondWithSessions,
+  parseDateOption
+};
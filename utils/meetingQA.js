@@ -0,0 +1,170 @@
+const { generateJSON, isAIEnabled } = require('./aiClient');
+const { formatActionItem } = require('./meetingSummarizer');
+const { formatSessionDate } = require('./meetingHistory');
+
+/**
+ * Answers questions about past meetings from their stored transcripts and
+ * summaries. Transcript lines are numbered so the answer can cite them.
+ */
+
+const MAX_TRANSCRIPT_CHARS = 60000;
+const MAX_CITATIONS = 5;
+
+const MEETING_QA_SCHEMA = {
+  type: 'object',
+  properties: {
+    answered: { type: 'boolean' },
+    answer: { type: 'string' },
+    citations: {
+      type: 'array',
+      items: {
+        type: 'object',
+        properties: {
+          line: { type: 'integer' },
+          quote: { type: 'string' }
+        },
+        required: ['line', 'quote']
+      }
+    }
+  },
+  required: ['answered', 'answer', 'citations']
+};
+
+function formatOffset(timestamp, startTime) {
+  const totalSeconds = Math.max(0, Math.floor((timestamp - startTime) / 1000));
+  return `${String(Math.floor(totalSeconds / 60)).padStart(2, '0')}:${String(totalSeconds % 60).padStart(2, '0')}`;
+}
+
+function formatSummary(summary) {
+  if (!summary) return '(not summarized)';
+
+  const speakers = summary.speakers || {};
+  const section = (title, items) => (items && items.length > 0
+    ? `${title}:\n${items.map(item => `- ${formatActionItem(item, { speakers })}`).join('\n')}`
+    : null);
+
+  return [
+    summary.overview ? `Overview: ${summary.overview}` : null,
+    section('Key topics', summary.discussion_points),
+    section('Decisions', summary.decisions),
+    section('Action items', summary.action_items),
+    section('Next steps', summary.next_steps)
+  ].filter(Boolean).join('\n');
+}
+
+/**
+ * Numbers every transcript line across the sessions, oldest session first.
+ * Each session gets an equal share of the prompt budget; longer transcripts are cut off.
+ * @returns {{lines: Array<Object>, sections: Array<string>}}
+ */
+function buildNumberedTranscripts(sessions, speakerNames) {
+  const budget = Math.floor(MAX_TRANSCRIPT_CHARS / Math.max(1, sessions.length));
+  const lines = [];
+  const sections = [];
+
+  for (const session of sessions) {
+    const numbered = [];
+    let used = 0;
+    let truncated = false;
+
+    for (const transcript of session.transcripts) {
+      const speaker = (transcript.userId && speakerNames[transcript.userId]) || 'Unknown speaker';
+      const offset = transcript.timestamp ? formatOffset(transcript.timestamp, session.startTime) : null;
+      const number = lines.length + 1;
+      const text = `L${number} ${offset ? `[${offset}] ` : ''}${speaker}: ${transcript.text}`;
+
+      if (used + text.length > budget) {
+        truncated = true;
+        break;
+      }
+      used += text.length;
+      numbered.push(text);
+      lines.push({ ...transcript, offset, sessionId: session.sessionId, startTime: session.startTime });
+    }
+
+    sections.push(`=== Meeting on ${formatSessionDate(session.startTime)} ===
+Summary:
+${formatSummary(session.lastSummary)}
+
+Transcript ("L<number> [mm:ss] Speaker: text"):
+${numbered.length > 0 ? numbered.join('\n') : '(no transcript)'}${truncated ? '\n(transcript truncated)' : ''}`);
+  }
+
+  return { lines, sections };
+}
+
+/**
+ * Answers a question from one or more stored sessions.
+ * @param {Array<Object>} sessions - Full sessions (with transcripts), oldest first
+ * @param {string} question
+ * @param {Object} speakerNames - Map of userId -> display name
+ * @returns {Promise<{success: boolean, answered?: boolean, answer?: string,
+ *   citations?: Array<{sessionId, userId, speaker, offset, startTime, quote}>, error?: string}>}
+ */
+async function answerMeetingQuestion(sessions, question, speakerNames = {}) {
+  if (!isAIEnabled()) {
+    return {
+      success: false,
+      error: 'AI provider not configured'
+    };
+  }
+
+  const { lines, sections } = buildNumberedTranscripts(sessions, speakerNames);
+
+  try {
+    console.log(`🤖 Answering a question about ${sessions.length} meeting(s)...`);
+
+    const prompt = `You answer questions about past voice channel meetings of the AI Learners India community.
+Use ONLY the meeting summaries and transcripts below. Transcripts come from speech recognition and may contain mistakes.
+
+${sections.join('\n\n')}
+
+Question: ${question}
+
+Instructions:
+- answered: false if the meetings do not contain the answer; then say so briefly in "answer" instead of guessing
+- answer: a concise answer (at most 5 sentences) in the language of the question, naming who said what
+- citations: up to ${MAX_CITATIONS} transcript lines that support the answer, each with "line" set to the number after "L" and "quote" set to the relevant words from that line, copied exactly (shorten with … if long). Empty if only the summary supports the answer
+
+Respond with JSON only.`;
+
+    const result = await generateJSON('meetingQA', {
+      prompt,
+      schema: MEETING_QA_SCHEMA
+    });
+
+    const citations = result.citations
+      .filter(citation => lines[citation.line - 1])
+      .slice(0, MAX_CITATIONS)
+      .map(citation => {
+        const line = lines[citation.line - 1];
+        return {
+          sessionId: line.sessionId,
+          userId: line.userId,
+          speaker: (line.userId && speakerNames[line.userId]) || 'Unknown speaker',
+          offset: line.offset,
+          startTime: line.startTime,
+          quote: (citation.quote.trim() || line.text).slice(0, 300)
+        };
+      });
+
+    console.log(`✅ Meeting question answered (${citations.length} citation(s))`);
+
+    return {
+      success: true,
+      answered: result.answered,
+      answer: result.answer.trim(),
+      citations
+    };
+  } catch (error) {
+    console.error('❌ Error answering meeting question:', error);
+    return {
+      success: false,
+      error: error.message
+    };
+  }
+}
+
+module.exports = {
+  answerMeetingQuestion
+};
@@ -0,0 +1,67 @@
+const { getDb } = require('./storage');
+const { getMemberProjectIds } = require('./meetingHistory');
+
+/**
+ * Full-text search over meeting transcripts and summaries. The meeting_search
+ * FTS5 table is kept in sync by triggers on transcripts and vc_sessions.
+ */
+
+const SNIPPET_TOKENS = 16;
+
+/**
+ * Turns free text into an FTS5 query: every word must match, and the last
+ * one may be a prefix. Returns null when there is nothing to search for.
+ */
+function buildMatchQuery(query) {
+  const terms = (query || '').match(/[\p{L}\p{N}_]+/gu);
+  if (!terms || terms.length === 0) return null;
+
+  return terms
+    .slice(0, 10)
+    .map((term, index, all) => `"${term}"${index === all.length - 1 ? '*' : ''}`)
+    .join(' ');
+}
+
+/**
+ * Searches the meetings the member can view, best matches first.
+ * @returns {Array<{sessionId, source, userId, timestamp, snippet, startTime, channelId, projectId}>|null}
+ *   null when the query has no searchable words
+ */
+function searchMeetings(guildId, userId, query, limit = 10) {
+  const match = buildMatchQuery(query);
+  if (!match) return null;
+
+  const projectIds = getMemberProjectIds(guildId, userId);
+  const projectCondition = projectIds.length > 0
+    ? ` OR vc_sessions.project_id IN (${projectIds.map(() => '?').join(', ')})`
+    : '';
+
+  return getDb()
+    .prepare(`
+      SELECT
+        meeting_search.session_id, meeting_search.source, meeting_search.user_id, meeting_search.timestamp,
+        snippet(meeting_search, 0, '**', '**', '…', ${SNIPPET_TOKENS}) AS snippet,
+        vc_sessions.start_time, vc_sessions.channel_id, vc_sessions.project_id
+      FROM meeting_search
+      JOIN vc_sessions ON vc_sessions.session_id = meeting_search.session_id
+      WHERE meeting_search MATCH ? AND meeting_search.guild_id = ?
+        AND (vc_sessions.session_id IN (SELECT session_id FROM session_participants WHERE user_id = ?)${projectCondition})
+      ORDER BY bm25(meeting_search)
+      LIMIT ?
+    `)
+    .all(match, guildId, userId, ...projectIds, limit)
+    .map(row => ({
+      sessionId: row.session_id,
+      source: row.source,
+      userId: row.user_id,
+      timestamp: row.timestamp,
+      snippet: row.snippet,
+      startTime: row.start_time,
+      channelId: row.channel_id,
+      projectId: row.project_id
+    }));
+}
+
+module.exports = {
+  searchMeetings
+};
@@ -1,21 +1,151 @@
-const { GoogleGenAI } = require('@google/genai');
+const { generateJSON, isAIEnabled } = require('./aiClient');
+
+const MEETING_SUMMARY_SCHEMA = {
+  type: 'object',
+  properties: {
+    overview: { type: 'string' },
+    discussion_points: {
+      type: 'array',
+      items: { type: 'string' }
+    },
+    decisions: {
+      type: 'array',
+      items: { type: 'string' }
+    },
+    action_items: {
+      type: 'array',
+      items: {
+        type: 'object',
+        properties: {
+          assignee: { type: 'string' },
+          task: { type: 'string' },
+          due: { type: 'string' },
+          due_date: { type: 'string' }
+        },
+        required: ['assignee', 'task', 'due', 'due_date']
+      }
+    },
+    next_steps: {
+      type: 'array',
+      items: { type: 'string' }
+    },
+    language_detected: {
+      type: 'string',
+      enum: ['English', 'Hindi', 'Hinglish']
+    },
+    meeting_tone: {
+      type: 'string',
+      enum: ['productive', 'brainstorming', 'blockers']
+    }
+  },
+  required: ['overview', 'discussion_points', 'decisions', 'action_items', 'next_steps', 'language_detected', 'meeting_tone']
+};
+
+/**
+ * Resolves guild display names for the given user IDs.
+ * @returns {Promise<Object>} Map of userId -> display name
+ */
+async function resolveSpeakerNames(guild, userIds) {
+  const names = {};
+  for (const userId of new Set(userIds.filter(Boolean))) {
+    try {
+      const member = await guild.members.fetch(userId);
+      names[userId] = member.displayName;
+    } catch (error) {
+      names[userId] = `Unknown member (${userId})`;
+    }
+  }
+  return names;
+}
+
+function formatOffset(timestamp, startTime) {
+  const totalSeconds = Math.max(0, Math.floor((timestamp - startTime) / 1000));
+  const minutes = Math.floor(totalSeconds / 60);
+  const seconds = totalSeconds % 60;
+  return `${String(minutes).padStart(2, '0')}:${String(seconds).padStart(2, '0')}`;
+}
+
+/**
+ * Builds a chronological transcript with each line attributed to its speaker.
+ */
+function buildSpeakerTranscript(transcripts, speakerNames, startTime) {
+  return transcripts
+    .map((t, index) => (typeof t === 'string' ? { text: t, index } : { ...t, index }))
+    .sort((a, b) => (a.timestamp || 0) - (b.timestamp || 0) || a.index - b.index)
+    .map(t => {
+      const speaker = (t.userId && speakerNames[t.userId]) || 'Unknown speaker';
+      const offset = t.timestamp ? `[${formatOffset(t.timestamp, startTime)}] ` : '';
+      return `${offset}${speaker}: ${t.text}`;
+    })
+    .join('\n');
+}
+
+function normalizeActionItems(items, speakerNames) {
+  return (items || [])
+    .map(item => (typeof item === 'string' ? { assignee: null, task: item, due: null } : item))
+    .filter(item => item && item.task && !/^none$/i.test(item.task.trim()))
+    .map(item => ({
+      assignee: speakerNames[item.assignee] ? item.assignee : null,
+      task: item.task.trim(),
+      due: item.due && item.due.trim() ? item.due.trim() : null,
+      dueDate: /^\d{4}-\d{2}-\d{2}$/.test((item.due_date || '').trim()) ? item.due_date.trim() : null
+    }));
+}
+
+/**
+ * Lists open tasks from earlier meetings for the summary prompt.
+ * @param {Array<Object>} openTasks - Tasks from taskManager
+ * @param {Object} names - Map of userId -> display name
+ */
+function formatOpenTasks(openTasks, names) {
+  return openTasks
+    .map(task => {
+      const assignee = task.assigneeId ? (names[task.assigneeId] || task.assigneeId) : 'Unassigned';
+      const due = task.due ? ` (due: ${task.due})` : '';
+      return `- #${task.id} ${assignee}: ${task.task}${due}`;
+    })
+    .join('\n');
+}
 
-const genAI = new GoogleGenAI({ apiKey: process.env.GEMINI_API_KEY || '' });
+/**
+ * Renders an action item for display. Accepts structured items and the
+ * plain strings stored by summaries created before items were structured.
+ * @param {Object|string} item - Action item
+ * @param {Object} options
+ * @param {boolean} [options.mention] - Use a Discord mention for the assignee instead of their name
+ * @param {Object} [options.speakers] - Map of userId -> display name
+ */
+function formatActionItem(item, { mention = false, speakers = {} } = {}) {
+  if (typeof item === 'string') return item;
+
+  let assignee = 'Unassigned';
+  if (item.assignee) {
+    assignee = mention ? `<@${item.assignee}>` : (speakers[item.assignee] || item.assignee);
+  }
+  const due = item.due ? ` (due: ${item.due})` : '';
+  return `${assignee}: ${item.task}${due}`;
+}
 
-async function summarizeMeeting(transcripts, sessionInfo, languageMode = 'auto') {
-  if (!process.env.GEMINI_API_KEY) {
+/**
+ * @param {Array<Object>} [openTasks] - Open tasks from earlier meetings to follow up on
+ * @param {Object} [taskAssigneeNames] - Map of userId -> display name for their assignees
+ */
+async function summarizeMeeting(transcripts, sessionInfo, languageMode = 'auto', speakerNames = {}, openTasks = [], taskAssigneeNames = {}) {
+  if (!isAIEnabled()) {
     return {
       success: false,
-      error: 'Gemini API key not configured'
+      error: 'AI provider not configured'
     };
   }
 
   try {
-    console.log('🤖 Generating meeting summary with Gemini AI...');
+    console.log('🤖 Generating meeting summary with AI...');
     
-    const combinedTranscript = transcripts
-      .map((t, index) => `[Participant ${index + 1}]: ${t.text || t}`)
-      .join('\n\n');
+    const combinedTranscript = buildSpeakerTranscript(transcripts, speakerNames, sessionInfo.startTime);
+
+    const roster = Object.entries(speakerNames)
+      .map(([userId, name]) => `- ${name} (userId: ${userId})`)
+      .join('\n') || '- Unknown';
     
     const duration = sessionInfo.endTime && sessionInfo.startTime 
       ? Math.round((sessionInfo.endTime - sessionInfo.startTime) / 60000) 
@@ -24,15 +154,22 @@ async function summarizeMeeting(transcripts, sessionInfo, languageMode = 'auto')
     const languageInstruction = languageMode === 'auto' 
       ? 'Detect if the conversation is in English, Hindi, or Hinglish. Generate the summary in the same language/tone as detected.'
       : `Generate the summary in ${languageMode === 'hinglish' ? 'Hinglish (mix of Hindi and English)' : languageMode}.`;
+
+    const meetingDate = new Date(sessionInfo.startTime || Date.now());
+    const openTasksSection = openTasks.length > 0
+      ? `\nOpen tasks from earlier meetings (follow up on these; mention progress or blockers in the overview or next steps, and don't repeat them as new action items unless they were reassigned or rescheduled):\n${formatOpenTasks(openTasks, taskAssigneeNames)}\n`
+      : '';
     
     const prompt = `You are an AI meeting assistant for the AI Learners India community. Analyze this voice channel conversation.
 
-Voice Channel Meeting Transcript:
+Voice Channel Meeting Transcript (chronological, "[mm:ss] Speaker: text"):
 ${combinedTranscript}
 
+Meeting Date: ${meetingDate.toISOString().slice(0, 10)} (${meetingDate.toLocaleDateString('en-US', { weekday: 'long', timeZone: 'UTC' })})
 Meeting Duration: ${duration} minutes
 Participants: ${sessionInfo.participants.length} people
-
+${roster}
+${openTasksSection}
 ${languageInstruction}
 
 Provide a CONCISE Minutes of Meeting (MoM) summary with:
@@ -43,7 +180,7 @@ Provide a CONCISE Minutes of Meeting (MoM) summary with:
 
 3. DECISIONS: Any concrete decisions made (or "None")
 
-4. ACTION ITEMS: Specific tasks with people mentioned if detected (or "None")
+4. ACTION ITEMS: Specific tasks. For each, set "assignee" to the userId of the participant responsible (from the list above, or "" if nobody was named), "task" to the task, "due" to the deadline as said in the meeting (or "" if none), and "due_date" to that deadline as a YYYY-MM-DD date relative to the meeting date (or "" if there is no deadline or it is too vague). Return an empty array if there are none.
 
 5. NEXT STEPS: 1-2 next actions (or "None")
 
@@ -63,57 +200,18 @@ Format as JSON:
   "overview": "string",
   "discussion_points": ["string"],
   "decisions": ["string"],
-  "action_items": ["string"],
+  "action_items": [{ "assignee": "userId or empty", "task": "string", "due": "string or empty", "due_date": "YYYY-MM-DD or empty" }],
   "next_steps": ["string"],
   "language_detected": "English|Hindi|Hinglish",
   "meeting_tone": "productive|brainstorming|blockers"
 }`;
 
-    const response = await genAI.models.generateContent({
-      model: 'gemini-2.0-flash-exp',
-      contents: [
-        {
-          role: 'user',
-          parts: [{ text: prompt }]
-        }
-      ],
-      generationConfig: {
-        responseMimeType: 'application/json',
-        responseSchema: {
-          type: 'object',
-          properties: {
-            overview: { type: 'string' },
-            discussion_points: { 
-              type: 'array',
-              items: { type: 'string' }
-            },
-            decisions: { 
-              type: 'array',
-              items: { type: 'string' }
-            },
-            action_items: { 
-              type: 'array',
-              items: { type: 'string' }
-            },
-            next_steps: { 
-              type: 'array',
-              items: { type: 'string' }
-            },
-            language_detected: {
-              type: 'string',
-              enum: ['English', 'Hindi', 'Hinglish']
-            },
-            meeting_tone: {
-              type: 'string',
-              enum: ['productive', 'brainstorming', 'blockers']
-            }
-          },
-          required: ['overview', 'discussion_points', 'decisions', 'action_items', 'next_steps', 'language_detected', 'meeting_tone']
-        }
-      }
+    const summaryData = await generateJSON('meetingSummary', {
+      prompt,
+      schema: MEETING_SUMMARY_SCHEMA
     });
-
-    const summaryData = JSON.parse(response.text());
+    summaryData.action_items = normalizeActionItems(summaryData.action_items, speakerNames);
+    summaryData.speakers = speakerNames;
     
     console.log(`✅ Meeting summary generated (${summaryData.language_detected}, ${summaryData.meeting_tone})`);
     
@@ -135,5 +233,8 @@ Format as JSON:
 }
 
 module.exports = {
-  summarizeMeeting
+  summarizeMeeting,
+  resolveSpeakerNames,
+  buildSpeakerTranscript,
+  formatActionItem
 };
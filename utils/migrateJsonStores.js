@@ -0,0 +1,224 @@
+/**
+ * One-shot import of the legacy JSON stores into SQLite.
+ * Runs automatically on startup and can be run by hand with `npm run migrate`.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { getDb, transaction, getMeta, setMeta } = require('./storage');
+const { saveConfig, resolveLegacyGuildId } = require('./configManager');
+const { upsertUserProfile } = require('./updateProfile');
+
+const ROOT_DIR = path.join(__dirname, '..');
+const MIGRATION_KEY = 'json_migration_completed_at';
+
+const JSON_FILES = {
+  config: path.join(ROOT_DIR, 'botConfig.json'),
+  profiles: path.join(ROOT_DIR, 'profiles.json'),
+  projects: path.join(ROOT_DIR, 'projectData.json'),
+  sessions: path.join(ROOT_DIR, 'vcSessions.json'),
+  preferences: path.join(ROOT_DIR, 'userPreferences.json')
+};
+
+// A file that can't be read aborts the whole migration, so its data isn't lost as an empty import.
+function readJSON(filePath) {
+  if (!fs.existsSync(filePath)) return null;
+  try {
+    return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  } catch (error) {
+    throw new Error(`Could not parse ${path.basename(filePath)}: ${error.message}`);
+  }
+}
+
+// Older single-server files have no `guilds` wrapper; file them under the legacy guild.
+function byGuild(data, legacyGuildId) {
+  if (!data) return {};
+  return data.guilds || { [legacyGuildId]: data };
+}
+
+function importConfig(data) {
+  if (!data) return 0;
+  const guilds = data.guilds || (data.guildId ? { [data.guildId]: data } : {});
+  const guildIds = Object.keys(guilds);
+  guildIds.forEach(guildId => saveConfig(guildId, guilds[guildId]));
+  return guildIds.length;
+}
+
+function importProfiles(data, legacyGuildId) {
+  let count = 0;
+  for (const [guildId, profiles] of Object.entries(byGuild(data, legacyGuildId))) {
+    for (const [userId, profile] of Object.entries(profiles)) {
+      const { messageId, ...additionalData } = profile;
+      upsertUserProfile(guildId, userId, messageId || null, additionalData);
+      count++;
+    }
+  }
+  return count;
+}
+
+function importProjects(data, legacyGuildId) {
+  const db = getDb();
+  const insertProject = db.prepare(`
+    INSERT OR IGNORE INTO projects (
+      id, guild_id, owner_id, name, description, type, category_id, chat_channel_id, voice_channel_id,
+      created_at, last_activity, status, archived_at, warning_timestamp
+    ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+  `);
+  const insertMember = db.prepare('INSERT OR IGNORE INTO project_members (project_id, user_id, added_at) VALUES (?, ?, ?)');
+  const insertApplication = db.prepare(`
+    INSERT OR IGNORE INTO applications (guild_id, user_id, project_name, description, project_type, teammates, submitted_at)
+    VALUES (?, ?, ?, ?, ?, ?, ?)
+  `);
+
+  let count = 0;
+  for (const [guildId, guildData] of Object.entries(byGuild(data, legacyGuildId))) {
+    for (const project of Object.values(guildData.projects || {})) {
+      insertProject.run(
+        project.id,
+        guildId,
+        project.ownerId,
+        project.name,
+        project.description || null,
+        project.type || 'Other',
+        project.categoryId || null,
+        project.channelIds?.chat || null,
+        project.channelIds?.voice || null,
+        project.createdAt || Date.now(),
+        project.lastActivity || project.createdAt || Date.now(),
+        project.status || 'active',
+        project.archivedAt || null,
+        project.warningTimestamp || null
+      );
+      for (const teammateId of project.teammates || []) {
+        insertMember.run(project.id, teammateId, project.createdAt || Date.now());
+      }
+      count++;
+    }
+
+    for (const [userId, application] of Object.entries(guildData.pendingApplications || {})) {
+      insertApplication.run(
+        guildId,
+        userId,
+        application.projectName,
+        application.description || null,
+        application.projectType || 'Other',
+        JSON.stringify(application.teammates || []),
+        application.submittedAt || Date.now()
+      );
+    }
+  }
+  return count;
+}
+
+function importSessions(data, legacyGuildId) {
+  const db = getDb();
+  const insertSession = db.prepare(`
+    INSERT OR IGNORE INTO vc_sessions (
+      session_id, guild_id, channel_id, initiator_id, project_id, start_time, end_time, status, language_mode, last_summary
+    ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+  `);
+  const insertParticipant = db.prepare('INSERT OR IGNORE INTO session_participants (session_id, user_id) VALUES (?, ?)');
+  const insertRecording = db.prepare('INSERT INTO session_recordings (session_id, user_id, file_path) VALUES (?, ?, ?)');
+  const insertTranscript = db.prepare('INSERT INTO transcripts (session_id, user_id, text, timestamp) VALUES (?, ?, ?, ?)');
+
+  const sessions = data?.guilds
+    ? Object.values(data.guilds).flatMap(guild => Object.values(guild.sessions || {}))
+    : Object.values(data?.sessions || {});
+
+  let count = 0;
+  for (const session of sessions) {
+    const result = insertSession.run(
+      session.sessionId,
+      session.guildId || legacyGuildId,
+      session.channelId,
+      session.initiatorId,
+      session.projectId || null,
+      session.startTime,
+      session.endTime || null,
+      // A session still marked as recording in a file can't be resumed after restart.
+      session.status === 'recording' ? 'ended' : session.status,
+      session.languageMode || 'auto',
+      session.lastSummary ? JSON.stringify(session.lastSummary) : null
+    );
+    if (result.changes === 0) continue;
+
+    (session.participants || []).forEach(userId => insertParticipant.run(session.sessionId, userId));
+    Object.entries(session.recordings || {}).forEach(([userId, files]) => {
+      files.forEach(file => insertRecording.run(session.sessionId, userId, file));
+    });
+    (session.transcripts || []).forEach(t => {
+      insertTranscript.run(session.sessionId, t.userId || null, t.text || String(t), t.timestamp || session.startTime);
+    });
+    count++;
+  }
+  return count;
+}
+
+function importPreferences(data, legacyGuildId) {
+  const insertPreference = getDb().prepare(`
+    INSERT OR IGNORE INTO user_preferences (guild_id, user_id, language_mode) VALUES (?, ?, ?)
+  `);
+
+  let count = 0;
+  for (const [guildId, prefs] of Object.entries(byGuild(data, legacyGuildId))) {
+    for (const [userId, mode] of Object.entries(prefs)) {
+      insertPreference.run(guildId, userId, mode);
+      count++;
+    }
+  }
+  return count;
+}
+
+function migrateJsonStores() {
+  if (getMeta(MIGRATION_KEY)) {
+    return false;
+  }
+
+  const existingFiles = Object.values(JSON_FILES).filter(file => fs.existsSync(file));
+
+  const counts = transaction(() => {
+    const configCount = importConfig(readJSON(JSON_FILES.config));
+    const legacyGuildId = resolveLegacyGuildId();
+
+    const result = {
+      guilds: configCount,
+      profiles: importProfiles(readJSON(JSON_FILES.profiles), legacyGuildId),
+      projects: importProjects(readJSON(JSON_FILES.projects), legacyGuildId),
+      sessions: importSessions(readJSON(JSON_FILES.sessions), legacyGuildId),
+      preferences: importPreferences(readJSON(JSON_FILES.preferences), legacyGuildId)
+    };
+
+    setMeta(MIGRATION_KEY, Date.now().toString());
+    return result;
+  });
+
+  for (const file of existingFiles) {
+    try {
+      fs.renameSync(file, `${file}.migrated`);
+    } catch (error) {
+      console.warn(`⚠️ Could not rename ${path.basename(file)} after migration:`, error.message);
+    }
+  }
+
+  if (existingFiles.length > 0) {
+    console.log(
+      `🗄️ Migrated JSON stores to SQLite: ${counts.guilds} guild configs, ${counts.profiles} profiles, ` +
+      `${counts.projects} projects, ${counts.sessions} VC sessions, ${counts.preferences} preferences`
+    );
+  }
+  return true;
+}
+
+if (require.main === module) {
+  try {
+    const migrated = migrateJsonStores();
+    console.log(migrated ? '✅ JSON migration complete' : 'ℹ️ JSON stores were already migrated');
+  } catch (error) {
+    console.error('❌ JSON migration failed:', error);
+    process.exitCode = 1;
+  }
+}
+
+module.exports = {
+  migrateJsonStores
+};
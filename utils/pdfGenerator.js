@@ -1,6 +1,8 @@
 const PDFDocument = require('pdfkit');
 const fs = require('fs');
 const path = require('path');
+const { formatActionItem } = require('./meetingSummarizer');
+const { getConsentSummary } = require('./recordingConsent');
 
 const MINUTES_DIR = path.join(__dirname, '..', 'meeting-minutes');
 
@@ -68,9 +70,21 @@ function generateMeetingMinutesPDF(summary, sessionInfo) {
       
       addSection(doc, 'Key Discussion Points', summary.discussion_points);
       addSection(doc, 'Decisions Made', summary.decisions);
-      addSection(doc, 'Action Items', summary.action_items);
+      addSection(doc, 'Action Items', (summary.action_items || []).map(item =>
+        formatActionItem(item, { speakers: summary.speakers })
+      ));
       addSection(doc, 'Highlights & Notable Quotes', summary.highlights);
       addSection(doc, 'Next Steps', summary.next_steps);
+
+      const consent = getConsentSummary(sessionInfo);
+      if (consent) {
+        const names = userIds => userIds.map(id => (summary.speakers && summary.speakers[id]) || id).join(', ');
+        addSection(doc, 'Recording Consent', [
+          `Recorded: ${consent.granted.length > 0 ? names(consent.granted) : 'nobody'}`,
+          consent.declined.length > 0 ? `Declined (not recorded): ${names(consent.declined)}` : null,
+          consent.noResponse.length > 0 ? `No response (not recorded): ${names(consent.noResponse)}` : null
+        ].filter(Boolean));
+      }
       
       doc.moveDown(2);
       doc.fontSize(8)
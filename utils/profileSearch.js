@@ -0,0 +1,111 @@
+const { getGuildProfiles, normalizeExperienceLevel } = require('./updateProfile');
+
+const DEFAULT_CANDIDATE_LIMIT = 25;
+
+// Where a keyword hit counts most: skills and interests say what someone can do.
+const FIELD_WEIGHTS = {
+  skills: 3,
+  interests: 3,
+  role: 2,
+  goal: 1,
+  summary: 1,
+  details: 1
+};
+
+const STOP_WORDS = new Set([
+  'a', 'an', 'and', 'the', 'or', 'for', 'with', 'who', 'to', 'of', 'in', 'on', 'someone', 'person',
+  'looking', 'need', 'want', 'good', 'at', 'is', 'are', 'me', 'my', 'our', 'we'
+]);
+
+function tokenize(text) {
+  return (text || '')
+    .toLowerCase()
+    .split(/[^a-z0-9+#.]+/)
+    .map(token => token.replace(/^\.+|\.+$/g, ''))
+    .filter(token => token.length > 1 && !STOP_WORDS.has(token));
+}
+
+function toSearchableProfile(userId, profile) {
+  const intro = profile.introData || {};
+  return {
+    userId,
+    name: intro.name || 'Unknown',
+    role: intro.role || '',
+    institution: intro.institution || '',
+    interests: intro.interests || '',
+    goal: intro.goal || '',
+    details: intro.details || '',
+    skills: profile.skills || '',
+    summary: profile.summary || '',
+    experienceLevel: normalizeExperienceLevel(profile.experienceLevel) || 'Beginner',
+    availability: profile.availability || null,
+    timestamp: profile.timestamp
+  };
+}
+
+/**
+ * Scores how well a profile matches the query. Whole-token hits score the
+ * field weight; prefix hits ("pytorch" for "py") score half.
+ */
+function keywordScore(profile, queryTokens) {
+  let score = 0;
+  for (const [field, weight] of Object.entries(FIELD_WEIGHTS)) {
+    const fieldTokens = tokenize(profile[field]);
+    for (const queryToken of queryTokens) {
+      if (fieldTokens.includes(queryToken)) {
+        score += weight;
+      } else if (fieldTokens.some(token => token.startsWith(queryToken) || queryToken.startsWith(token))) {
+        score += weight / 2;
+      }
+    }
+  }
+  return score;
+}
+
+/**
+ * Finds teammate candidates from the stored profiles of a guild.
+ * @param {string} guildId
+ * @param {Object} options
+ * @param {string} options.query - Role, skill or interest being searched for
+ * @param {string} [options.experienceLevel] - Beginner, Builder or Pro
+ * @param {string} [options.institution] - Case-insensitive substring match
+ * @param {string} [options.availability] - Key of AVAILABILITY_OPTIONS
+ * @param {string} [options.excludeUserId] - Usually the member running the search
+ * @param {number} [options.limit]
+ * @returns {Promise<{candidates: Object[], totalProfiles: number, keywordMatches: number}>}
+ */
+async function findTeammateCandidates(guildId, options) {
+  const profiles = await getGuildProfiles(guildId);
+  const queryTokens = tokenize(options.query);
+  const experienceLevel = normalizeExperienceLevel(options.experienceLevel);
+  const institution = (options.institution || '').toLowerCase().trim();
+
+  const filtered = Object.entries(profiles)
+    .filter(([userId]) => userId !== options.excludeUserId)
+    .map(([userId, profile]) => toSearchableProfile(userId, profile))
+    .filter(profile => !experienceLevel || profile.experienceLevel === experienceLevel)
+    .filter(profile => !institution || profile.institution.toLowerCase().includes(institution))
+    .filter(profile => !options.availability || profile.availability === options.availability);
+
+  const scored = filtered
+    .map(profile => ({ ...profile, keywordScore: keywordScore(profile, queryTokens) }))
+    .sort((a, b) => b.keywordScore - a.keywordScore || b.timestamp - a.timestamp);
+
+  const keywordMatches = scored.filter(profile => profile.keywordScore > 0).length;
+
+  // With no keyword hits, still hand the most recent profiles to the AI ranker:
+  // "UI designer" can match someone whose skills only say "Figma".
+  const candidates = keywordMatches > 0
+    ? scored.filter(profile => profile.keywordScore > 0)
+    : scored;
+
+  return {
+    candidates: candidates.slice(0, options.limit || DEFAULT_CANDIDATE_LIMIT),
+    totalProfiles: filtered.length,
+    keywordMatches
+  };
+}
+
+module.exports = {
+  findTeammateCandidates
+};
@@ -0,0 +1,33 @@
+const { getProjectByChannel, getProjectByCategory, updateLastActivity } = require('./projectManager');
+
+/**
+ * Finds the project a channel belongs to: one of its own channels, a thread
+ * in one of them, or any other channel or thread inside its category.
+ */
+function findChannelProject(channel) {
+  if (!channel || !channel.guildId) return null;
+
+  const candidates = [channel.id, channel.parentId, channel.parent?.parentId].filter(Boolean);
+  for (const channelId of candidates) {
+    const project = getProjectByChannel(channel.guildId, channelId) || getProjectByCategory(channel.guildId, channelId);
+    if (project) return project;
+  }
+  return null;
+}
+
+/**
+ * Counts something that happened in a channel as activity for its project.
+ * @returns {Object|null} The project, if the channel belongs to an active one
+ */
+function recordChannelActivity(channel) {
+  const project = findChannelProject(channel);
+  if (!project || project.status !== 'active') return null;
+
+  updateLastActivity(project.guildId, project.id);
+  return project;
+}
+
+module.exports = {
+  findChannelProject,
+  recordChannelActivity
+};
@@ -1,13 +1,23 @@
-const { EmbedBuilder } = require('discord.js');
-const { getInactiveProjects, archiveProject, updateProject } = require('./projectManager');
+const { EmbedBuilder, ActionRowBuilder, ButtonBuilder, ButtonStyle, AttachmentBuilder } = require('discord.js');
+const { getActiveProjects, getProject, archiveProject, restoreProject, updateProject } = require('./projectManager');
+const { getInactivityPolicy } = require('./configManager');
 const { createInactivityWarningEmbed } = require('./projectEmbeds');
+const { setProjectRoleLocked, fetchProjectChannels } = require('./projectPermissions');
+const { registerJobHandler, scheduleJob } = require('./jobScheduler');
+const { buildProjectExport } = require('./projectExport');
 
-const INACTIVITY_WARNING_DAYS = 15;
-const ARCHIVE_GRACE_PERIOD_DAYS = 3;
+const DAY_MS = 24 * 60 * 60 * 1000;
+const SNOOZE_DAYS = 14;
+const INACTIVITY_CHECK_JOB = 'inactivity_check';
 
 async function checkInactiveProjects(client) {
   try {
-    const inactiveProjects = getInactiveProjects(INACTIVITY_WARNING_DAYS);
+    const now = Date.now();
+    const inactiveProjects = getActiveProjects().filter(project => {
+      if (project.snoozedUntil && project.snoozedUntil > now) return false;
+      const { warningDays } = getInactivityPolicy(project.guildId, project.type);
+      return now - project.lastActivity >= warningDays * DAY_MS;
+    });
     
     if (inactiveProjects.length === 0) {
       console.log('✅ No inactive projects found');
@@ -17,16 +27,17 @@ async function checkInactiveProjects(client) {
     console.log(`⚠️  Found ${inactiveProjects.length} inactive projects`);
 
     for (const project of inactiveProjects) {
-      const daysSinceActivity = Math.floor((Date.now() - project.lastActivity) / (1000 * 60 * 60 * 24));
+      const daysSinceActivity = Math.floor((now - project.lastActivity) / DAY_MS);
+      const { graceDays } = getInactivityPolicy(project.guildId, project.type);
       
       if (project.warningTimestamp) {
-        const daysSinceWarning = Math.floor((Date.now() - project.warningTimestamp) / (1000 * 60 * 60 * 24));
+        const daysSinceWarning = Math.floor((now - project.warningTimestamp) / DAY_MS);
         
-        if (daysSinceWarning >= ARCHIVE_GRACE_PERIOD_DAYS) {
+        if (daysSinceWarning >= graceDays) {
           await archiveProjectSpace(client, project);
         }
       } else {
-        await sendInactivityWarning(client, project, daysSinceActivity);
+        await sendInactivityWarning(client, project, daysSinceActivity, graceDays);
       }
     }
   } catch (error) {
@@ -34,30 +45,56 @@ async function checkInactiveProjects(client) {
   }
 }
 
-async function sendInactivityWarning(client, project, daysInactive) {
+function createInactivityButtons(projectId) {
+  return new ActionRowBuilder().addComponents(
+    new ButtonBuilder()
+      .setCustomId(`inactivity_keep_${projectId}`)
+      .setLabel('Keep active')
+      .setStyle(ButtonStyle.Success)
+      .setEmoji('✅'),
+    new ButtonBuilder()
+      .setCustomId(`inactivity_snooze_${projectId}`)
+      .setLabel(`Snooze ${SNOOZE_DAYS} days`)
+      .setStyle(ButtonStyle.Secondary)
+      .setEmoji('💤'),
+    new ButtonBuilder()
+      .setCustomId(`inactivity_archive_${projectId}`)
+      .setLabel('Archive now')
+      .setStyle(ButtonStyle.Danger)
+      .setEmoji('📦')
+  );
+}
+
+async function sendInactivityWarning(client, project, daysInactive, graceDays) {
   try {
-    const guild = client.guilds.cache.first();
-    if (!guild) return;
+    const guild = client.guilds.cache.get(project.guildId);
+    if (!guild) {
+      console.log(`⚠️  Guild ${project.guildId} not available for project ${project.name}`);
+      return;
+    }
 
     const owner = await guild.members.fetch(project.ownerId);
     const chatChannel = await guild.channels.fetch(project.channelIds.chat);
     
-    const warningEmbed = createInactivityWarningEmbed(project.name, daysInactive);
+    const warningEmbed = createInactivityWarningEmbed(project.name, daysInactive, graceDays, SNOOZE_DAYS);
+    const buttons = createInactivityButtons(project.id);
 
     await chatChannel.send({
       content: `<@${project.ownerId}>`,
-      embeds: [warningEmbed]
+      embeds: [warningEmbed],
+      components: [buttons]
     });
 
     try {
       await owner.send({
-        embeds: [warningEmbed]
+        embeds: [warningEmbed],
+        components: [buttons]
       });
     } catch (err) {
       console.log(`⚠️  Could not DM ${owner.user.tag} about inactivity`);
     }
 
-    updateProject(project.id, {
+    updateProject(project.guildId, project.id, {
       warningTimestamp: Date.now()
     });
 
@@ -67,19 +104,15 @@ async function sendInactivityWarning(client, project, daysInactive) {
   }
 }
 
-async function archiveProjectSpace(client, project) {
+/**
+ * @param {string} [archivedBy] - User who chose "Archive now"; omitted when archived for inactivity
+ */
+async function archiveProjectSpace(client, project, archivedBy = null) {
   try {
-    const guildId = process.env.GUILD_ID;
-    let guild;
-    
-    if (guildId) {
-      guild = client.guilds.cache.get(guildId);
-    } else {
-      guild = client.guilds.cache.first();
-    }
+    const guild = client.guilds.cache.get(project.guildId);
     
     if (!guild) {
-      console.error('❌ No guild found for archiving project');
+      console.error(`❌ Guild ${project.guildId} not found for archiving project`);
       return;
     }
 
@@ -121,44 +154,78 @@ async function archiveProjectSpace(client, project) {
       console.log(`⚠️  Voice channel ${project.channelIds.voice} not found`);
     }
     
+    let categoryPosition = null;
     if (category) {
       try {
-        await category.setParent(archiveCategory.id);
+        // Categories can't be nested, so the archived one is moved right below the archive category.
+        categoryPosition = category.position;
+        await category.setPosition(archiveCategory.position + 1).catch(err => {
+          console.log(`⚠️  Could not move ${project.name} next to the archive category: ${err.message}`);
+        });
         await category.setName(`[ARCHIVED] ${project.name}`);
         
-        const allMembers = [project.ownerId, ...project.teammates];
-        for (const memberId of allMembers) {
-          try {
-            await category.permissionOverwrites.edit(memberId, {
-              SendMessages: false,
+        if (project.roleId) {
+          await setProjectRoleLocked(guild, project, true);
+        } else {
+          const allMembers = [project.ownerId, ...project.teammates];
+          for (const memberId of allMembers) {
+            try {
+              await category.permissionOverwrites.edit(memberId, {
+                SendMessages: false,
+                Connect: false
+              });
+            } catch (err) {
+              console.log(`⚠️  Could not update permissions for user ${memberId}`);
+            }
+          }
+        
+          if (chatChannel) {
+            await chatChannel.permissionOverwrites.edit(guild.id, {
+              SendMessages: false
+            });
+          }
+          if (voiceChannel) {
+            await voiceChannel.permissionOverwrites.edit(guild.id, {
               Connect: false
             });
-          } catch (err) {
-            console.log(`⚠️  Could not update permissions for user ${memberId}`);
           }
-        }
-        
-        if (chatChannel) {
-          await chatChannel.permissionOverwrites.edit(guild.id, {
-            SendMessages: false
-          });
-        }
-        if (voiceChannel) {
-          await voiceChannel.permissionOverwrites.edit(guild.id, {
-            Connect: false
-          });
+
+          // Extra channels created by the project's workspace template.
+          for (const { id, kind } of project.channels) {
+            if (id === project.channelIds.chat || id === project.channelIds.voice) continue;
+            try {
+              const channel = await guild.channels.fetch(id);
+              await channel.permissionOverwrites.edit(guild.id, kind === 'voice'
+                ? { Connect: false }
+                : { SendMessages: false, SendMessagesInThreads: false, CreatePublicThreads: false });
+            } catch (err) {
+              console.log(`⚠️  Could not lock project channel ${id}`);
+            }
+          }
         }
       } catch (err) {
         console.error('❌ Error updating category:', err);
       }
     }
 
-    archiveProject(project.id);
+    archiveProject(project.guildId, project.id, categoryPosition);
+
+    // Built after archiving so the bundle records the archived status and date.
+    const exportResult = await buildProjectExport(guild, getProject(project.guildId, project.id) || project);
+    const exportFiles = () => exportResult.success
+      ? [new AttachmentBuilder(exportResult.buffer, { name: exportResult.fileName })]
+      : [];
     
+    const { warningDays, graceDays } = getInactivityPolicy(project.guildId, project.type);
+    const reason = archivedBy
+      ? `This project was archived by <@${archivedBy}>.`
+      : `This project has been archived due to inactivity.\n\n` +
+        `**Reason:** No activity for over ${warningDays + graceDays} days`;
+
     const archiveEmbed = new EmbedBuilder()
       .setTitle('📦 Project Archived')
-      .setDescription(`This project has been archived due to inactivity.\n\n` +
-        `**Reason:** No activity for over ${INACTIVITY_WARNING_DAYS + ARCHIVE_GRACE_PERIOD_DAYS} days\n\n` +
+      .setDescription(`${reason}\n\n` +
+        (exportResult.success ? `📎 A copy of the project's chat history, members and meeting summaries is attached.\n\n` : '') +
         `To reactivate your project, contact a moderator.`)
       .setColor(0x95A5A6)
       .setFooter({ text: 'AI Learners India Bot' })
@@ -166,7 +233,7 @@ async function archiveProjectSpace(client, project) {
 
     if (chatChannel) {
       try {
-        await chatChannel.send({ embeds: [archiveEmbed] });
+        await chatChannel.send({ embeds: [archiveEmbed], files: exportFiles() });
       } catch (err) {
         console.log('⚠️  Could not send archive message to chat channel');
       }
@@ -175,8 +242,9 @@ async function archiveProjectSpace(client, project) {
     try {
       const owner = await guild.members.fetch(project.ownerId);
       await owner.send({
-        content: `Your project **${project.name}** has been archived due to inactivity.`,
-        embeds: [archiveEmbed]
+        content: `Your project **${project.name}** has been archived${archivedBy ? '' : ' due to inactivity'}.`,
+        embeds: [archiveEmbed],
+        files: exportFiles()
       });
     } catch (err) {
       console.log('⚠️  Could not DM project owner about archival');
@@ -188,21 +256,99 @@ async function archiveProjectSpace(client, project) {
   }
 }
 
-function startCleanupScheduler(client) {
-  const CHECK_INTERVAL = 24 * 60 * 60 * 1000;
-  
-  setInterval(() => {
-    checkInactiveProjects(client);
-  }, CHECK_INTERVAL);
+/**
+ * Reverses archiveProjectSpace: moves the category back, restores the team's
+ * send/connect permissions and reactivates the project.
+ */
+async function restoreProjectSpace(guild, project, moderatorId) {
+  let category = null;
+  try {
+    category = await guild.channels.fetch(project.categoryId);
+  } catch (err) {
+    console.log(`⚠️  Category ${project.categoryId} not found, may have been deleted`);
+  }
+
+  if (category) {
+    if (project.categoryPosition !== null) {
+      await category.setPosition(project.categoryPosition).catch(err => {
+        console.log(`⚠️  Could not move ${project.name} back to its old position: ${err.message}`);
+      });
+    }
+    if (category.name.startsWith('[ARCHIVED]')) {
+      await category.setName(`🚀｜${project.name}`);
+    }
+  }
+
+  if (project.roleId) {
+    await setProjectRoleLocked(guild, project, false);
+  } else {
+    const { chat, voice, extras } = await fetchProjectChannels(guild, project);
+
+    if (category) {
+      await category.permissionOverwrites.edit(project.ownerId, { SendMessages: true, Connect: true });
+      // Archiving added a category overwrite for every teammate; they get access from the team channels.
+      for (const memberId of project.teammates) {
+        if (category.permissionOverwrites.cache.has(memberId)) {
+          await category.permissionOverwrites.delete(memberId);
+        }
+      }
+    }
+    if (chat) {
+      await chat.permissionOverwrites.edit(guild.id, { SendMessages: null });
+    }
+    if (voice) {
+      await voice.permissionOverwrites.edit(guild.id, { Connect: null });
+    }
+    for (const { channel, kind } of extras) {
+      await channel.permissionOverwrites.edit(guild.id, kind === 'voice'
+        ? { Connect: null }
+        : { SendMessages: null, SendMessagesInThreads: null, CreatePublicThreads: null });
+    }
+  }
+
+  restoreProject(project.guildId, project.id);
+
+  const restoreEmbed = new EmbedBuilder()
+    .setTitle('♻️ Project Reactivated')
+    .setDescription(`**${project.name}** has been restored by <@${moderatorId}>.\n\n` +
+      `Welcome back! Keep the project active by chatting, meeting in voice or sharing progress here.`)
+    .setColor(0x57F287)
+    .setFooter({ text: 'AI Learners India Bot' })
+    .setTimestamp();
+
+  try {
+    const chatChannel = await guild.channels.fetch(project.channelIds.chat);
+    await chatChannel.send({
+      content: [project.ownerId, ...project.teammates].map(id => `<@${id}>`).join(' '),
+      embeds: [restoreEmbed]
+    });
+  } catch (err) {
+    console.log('⚠️  Could not send reactivation message to chat channel');
+  }
+
+  console.log(`♻️ Restored project ${project.name}`);
+}
 
-  setTimeout(() => {
-    checkInactiveProjects(client);
-  }, 60000);
+/**
+ * Schedules the daily inactivity check. The job is persisted, so a restart
+ * keeps the existing clock instead of starting a new 24 hours.
+ */
+function startCleanupScheduler() {
+  scheduleJob(INACTIVITY_CHECK_JOB, {
+    runAt: Date.now() + 60000,
+    intervalMs: DAY_MS,
+    key: INACTIVITY_CHECK_JOB
+  });
 
   console.log('🔄 Project cleanup scheduler started');
 }
 
+registerJobHandler(INACTIVITY_CHECK_JOB, checkInactiveProjects, { label: 'Inactive project check' });
+
 module.exports = {
   startCleanupScheduler,
-  checkInactiveProjects
+  checkInactiveProjects,
+  archiveProjectSpace,
+  restoreProjectSpace,
+  SNOOZE_DAYS
 };
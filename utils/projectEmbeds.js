@@ -26,10 +26,12 @@ function createApplicationEmbed() {
     .setTimestamp();
 }
 
-function createVerificationEmbed(applicant, applicationData) {
+function createVerificationEmbed(applicant, applicationData, revisionInfo = null) {
   const embed = new EmbedBuilder()
-    .setTitle('📋 New Project Application')
-    .setDescription(`<@${applicant.id}> has submitted a project application for review.`)
+    .setTitle(revisionInfo ? `📋 Revised Project Application (revision ${revisionInfo.revision})` : '📋 New Project Application')
+    .setDescription(revisionInfo
+      ? `<@${applicant.id}> has revised their project application after moderator feedback.`
+      : `<@${applicant.id}> has submitted a project application for review.`)
     .addFields(
       { name: '🏷️ Project Name', value: applicationData.projectName, inline: false },
       { name: '💡 Description', value: applicationData.description, inline: false },
@@ -48,9 +50,70 @@ function createVerificationEmbed(applicant, applicationData) {
     });
   }
 
+  if (revisionInfo) {
+    if (revisionInfo.feedback) {
+      embed.addFields({ name: '✏️ Previous Feedback', value: revisionInfo.feedback.slice(0, 1024), inline: false });
+    }
+    embed.addFields({
+      name: '🔁 What Changed',
+      value: revisionInfo.changes.length > 0 ? revisionInfo.changes.join('\n').slice(0, 1024) : 'Nothing was changed.',
+      inline: false
+    });
+  }
+
   return embed;
 }
 
+/**
+ * Copy of a review card embed with the AI pre-screening attached.
+ */
+function addScreeningToEmbed(embed, screening) {
+  const lines = [
+    `**Clarity:** ${screening.clarityScore}/10 • **Feasibility:** ${screening.feasibilityScore}/10 • **Suggested type:** ${screening.suggestedType}`,
+    screening.summary
+  ];
+
+  if (screening.duplicates.length > 0) {
+    lines.push(`**Possible duplicates:** ${screening.duplicates.map(project => `${project.name} (<@${project.ownerId}>)`).join(', ')}`);
+  }
+  if (screening.policyFlags.length > 0) {
+    lines.push(`**🚩 Content flags:** ${screening.policyFlags.join('; ')}`);
+  }
+
+  return EmbedBuilder.from(embed).addFields({
+    name: '🤖 AI Pre-screen (advisory only)',
+    value: lines.join('\n').slice(0, 1024),
+    inline: false
+  });
+}
+
+const APPLICATION_STATUS_LABELS = {
+  pending: '⏳ Pending',
+  changes_requested: '✏️ Changes requested',
+  approved: '✅ Approved',
+  rejected: '❌ Rejected'
+};
+
+const APPLICATION_STATUS_COLORS = {
+  changes_requested: 0xFEE75C,
+  approved: 0x57F287,
+  rejected: 0xED4245
+};
+
+/**
+ * Copy of a review card embed stamped with the moderator's decision.
+ */
+function markApplicationEmbed(embed, status, moderatorId, note = null) {
+  const decidedAt = Math.floor(Date.now() / 1000);
+  return EmbedBuilder.from(embed)
+    .setColor(APPLICATION_STATUS_COLORS[status])
+    .addFields({
+      name: APPLICATION_STATUS_LABELS[status],
+      value: `By <@${moderatorId}> • <t:${decidedAt}:f>${note ? `\n${note}` : ''}`.slice(0, 1024),
+      inline: false
+    });
+}
+
 function createWelcomeEmbed(projectName, projectType, owner) {
   return new EmbedBuilder()
     .setTitle(`🎉 Welcome to ${projectName}!`)
@@ -89,14 +152,30 @@ function createShowcaseEmbed(project, creator) {
   return embed;
 }
 
-function createInactivityWarningEmbed(projectName, daysInactive) {
+function createInviteEmbed(project, inviterId, expiresAt) {
+  return new EmbedBuilder()
+    .setTitle(`📨 You're invited to join ${project.name}!`)
+    .setDescription(`<@${inviterId}> invited you to join their project space.\n\n` +
+      `Accept to get access to the project's team chat and voice channel.\n` +
+      `This invite expires <t:${Math.floor(expiresAt / 1000)}:R>.`)
+    .addFields(
+      { name: '🎯 Type', value: project.type || 'Other', inline: true },
+      { name: '💡 Description', value: project.description || 'No description provided', inline: false }
+    )
+    .setColor(getProjectColor(project.type))
+    .setFooter({ text: 'Verified by AI Learners India Bot 🤖' })
+    .setTimestamp();
+}
+
+function createInactivityWarningEmbed(projectName, daysInactive, graceDays, snoozeDays) {
   return new EmbedBuilder()
     .setTitle('⚠️ Project Inactivity Notice')
     .setDescription(`Your project **${projectName}** has been inactive for ${daysInactive} days.\n\n` +
       `Would you like to:\n` +
-      `• Keep it active? - Just send a message in your project channel\n` +
-      `• Archive it? - We'll move it to archived projects\n\n` +
-      `If we don't hear from you in 3 days, the project will be automatically archived.`)
+      `• ✅ **Keep active** - Or just chat, meet in voice or react in your project channels\n` +
+      `• 💤 **Snooze ${snoozeDays} days** - Taking a planned break? We won't check in until then\n` +
+      `• 📦 **Archive now** - We'll move it to archived projects\n\n` +
+      `If we don't hear from you in ${graceDays} days, the project will be automatically archived.`)
     .setColor(0xFF8C00)
     .setFooter({ text: 'AI Learners India Bot' })
     .setTimestamp();
@@ -106,7 +185,11 @@ module.exports = {
   getProjectColor,
   createApplicationEmbed,
   createVerificationEmbed,
+  markApplicationEmbed,
+  addScreeningToEmbed,
+  APPLICATION_STATUS_LABELS,
   createWelcomeEmbed,
   createShowcaseEmbed,
+  createInviteEmbed,
   createInactivityWarningEmbed
 };
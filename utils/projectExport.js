@@ -0,0 +1,214 @@
+const JSZip = require('jszip');
+const { getProjectSessions } = require('./voiceSessionManager');
+const { formatActionItem } = require('./meetingSummarizer');
+
+/**
+ * Bundles a project's history into a zip so the team keeps its work after
+ * the space is archived: metadata and members, the team chat history and
+ * every VC session summary linked to the project, as Markdown plus JSON.
+ */
+
+const MAX_EXPORT_MESSAGES = 5000;
+// Discord's default upload limit; larger bundles can't be attached.
+const MAX_ATTACHMENT_BYTES = 10 * 1024 * 1024;
+
+function formatDate(timestamp) {
+  return timestamp ? new Date(timestamp).toISOString().replace('T', ' ').slice(0, 16) + ' UTC' : 'Unknown';
+}
+
+function slugify(text) {
+  return (text || 'project').toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || 'project';
+}
+
+async function resolveMemberNames(guild, userIds) {
+  const names = {};
+  for (const userId of new Set(userIds.filter(Boolean))) {
+    try {
+      const member = await guild.members.fetch(userId);
+      names[userId] = member.displayName;
+    } catch (error) {
+      names[userId] = userId;
+    }
+  }
+  return names;
+}
+
+/**
+ * Reads the chat channel's history oldest first, up to MAX_EXPORT_MESSAGES.
+ */
+async function fetchChatHistory(guild, channelId) {
+  let channel = null;
+  try {
+    channel = await guild.channels.fetch(channelId);
+  } catch (error) {
+    console.log(`⚠️  Chat channel ${channelId} not found for export`);
+  }
+  if (!channel || !channel.isTextBased()) return { messages: [], truncated: false };
+
+  const messages = [];
+  let before;
+  while (messages.length < MAX_EXPORT_MESSAGES) {
+    const batch = await channel.messages.fetch({ limit: 100, before });
+    if (batch.size === 0) break;
+
+    for (const message of batch.values()) {
+      messages.push({
+        id: message.id,
+        authorId: message.author.id,
+        author: message.member?.displayName || message.author.username,
+        bot: message.author.bot,
+        content: message.content,
+        attachments: [...message.attachments.values()].map(a => ({ name: a.name, url: a.url })),
+        embeds: message.embeds.map(e => e.title).filter(Boolean),
+        createdAt: message.createdTimestamp
+      });
+    }
+    before = batch.last().id;
+    if (batch.size < 100) break;
+  }
+
+  return {
+    messages: messages.slice(0, MAX_EXPORT_MESSAGES).reverse(),
+    truncated: messages.length >= MAX_EXPORT_MESSAGES
+  };
+}
+
+function renderList(items) {
+  return items && items.length > 0 ? items.map(item => `- ${item}`).join('\n') : '- None';
+}
+
+function renderProjectMarkdown(data) {
+  const { project, members, sessions } = data;
+  const lines = [
+    `# ${project.name}`,
+    '',
+    project.description || 'No description provided',
+    '',
+    `- **Type:** ${project.type || 'Other'}`,
+    `- **Status:** ${project.status}`,
+    `- **Created:** ${formatDate(project.createdAt)}`,
+    `- **Last activity:** ${formatDate(project.lastActivity)}`
+  ];
+  if (project.archivedAt) lines.push(`- **Archived:** ${formatDate(project.archivedAt)}`);
+  lines.push(`- **Exported:** ${formatDate(data.exportedAt)}`);
+
+  lines.push('', '## Team', '');
+  lines.push(...members.map(member => `- ${member.name} (${member.role})`));
+
+  lines.push('', '## Meeting Summaries', '');
+  if (sessions.length === 0) {
+    lines.push('No VC sessions were summarized for this project.');
+  }
+  for (const session of sessions) {
+    const duration = session.endTime ? `${Math.round((session.endTime - session.startTime) / 60000)} minutes` : 'Ongoing';
+    lines.push(`### ${formatDate(session.startTime)} (${duration})`, '');
+    lines.push(`**Participants:** ${session.participants.join(', ') || 'Unknown'}`, '');
+    if (!session.summary) {
+      lines.push('_No summary was generated for this session._', '');
+      continue;
+    }
+    lines.push(session.summary.overview || 'No overview available', '');
+    lines.push('**Discussion points**', renderList(session.summary.discussion_points), '');
+    lines.push('**Decisions**', renderList(session.summary.decisions), '');
+    lines.push('**Action items**', renderList(session.summary.action_items), '');
+    lines.push('**Next steps**', renderList(session.summary.next_steps), '');
+  }
+
+  return lines.join('\n') + '\n';
+}
+
+function renderChatMarkdown(data) {
+  const lines = [`# ${data.project.name}: Team Chat`, ''];
+  if (data.chat.truncated) {
+    lines.push(`_Only the most recent ${MAX_EXPORT_MESSAGES} messages are included._`, '');
+  }
+  if (data.chat.messages.length === 0) {
+    lines.push('No messages were found.');
+  }
+  for (const message of data.chat.messages) {
+    let text = message.content || '';
+    if (message.embeds.length > 0) text += `${text ? ' ' : ''}[embed: ${message.embeds.join(', ')}]`;
+    for (const attachment of message.attachments) {
+      text += `${text ? ' ' : ''}[${attachment.name}](${attachment.url})`;
+    }
+    lines.push(`**${message.author}** · ${formatDate(message.createdAt)}  `, text || '_(no text)_', '');
+  }
+  return lines.join('\n') + '\n';
+}
+
+/**
+ * Builds the export bundle for a project.
+ * @returns {Promise<{success: boolean, buffer?: Buffer, fileName?: string, messageCount?: number, sessionCount?: number, error?: string}>}
+ */
+async function buildProjectExport(guild, project) {
+  try {
+    const chat = project.channelIds.chat
+      ? await fetchChatHistory(guild, project.channelIds.chat)
+      : { messages: [], truncated: false };
+    const rawSessions = getProjectSessions(project.guildId, project.id);
+
+    const names = await resolveMemberNames(guild, [
+      project.ownerId,
+      ...project.teammates,
+      ...rawSessions.flatMap(session => session.participants)
+    ]);
+
+    const sessions = rawSessions.map(session => ({
+      sessionId: session.sessionId,
+      startTime: session.startTime,
+      endTime: session.endTime || null,
+      participants: session.participants.map(id => names[id] || id),
+      summary: session.lastSummary && {
+        ...session.lastSummary,
+        action_items: (session.lastSummary.action_items || []).map(item => formatActionItem(item, { speakers: names }))
+      }
+    }));
+
+    const data = {
+      exportedAt: Date.now(),
+      project: {
+        id: project.id,
+        name: project.name,
+        description: project.description,
+        type: project.type,
+        status: project.status,
+        createdAt: project.createdAt,
+        lastActivity: project.lastActivity,
+        archivedAt: project.archivedAt || null
+      },
+      members: [
+        { id: project.ownerId, name: names[project.ownerId], role: 'owner' },
+        ...project.teammates.map(id => ({ id, name: names[id], role: 'teammate' }))
+      ],
+      sessions,
+      chat
+    };
+
+    const folder = slugify(project.name);
+    const zip = new JSZip();
+    zip.file(`${folder}/README.md`, renderProjectMarkdown(data));
+    zip.file(`${folder}/team-chat.md`, renderChatMarkdown(data));
+    zip.file(`${folder}/project.json`, JSON.stringify(data, null, 2));
+
+    const buffer = await zip.generateAsync({ type: 'nodebuffer', compression: 'DEFLATE' });
+    if (buffer.length > MAX_ATTACHMENT_BYTES) {
+      return { success: false, error: 'The export is larger than Discord\'s upload limit' };
+    }
+
+    console.log(`📦 Built export for project ${project.name} (${chat.messages.length} messages, ${sessions.length} sessions)`);
+    return {
+      success: true,
+      buffer,
+      fileName: `${folder}-export.zip`,
+      messageCount: chat.messages.length,
+      sessionCount: sessions.length
+    };
+  } catch (error) {
+    console.error(`❌ Error exporting project ${project.name}:`, error);
+    return { success: false, error: error.message };
+  }
+}
+
+module.exports = {
+  buildProjectExport
+};
@@ -0,0 +1,92 @@
+const { ActionRowBuilder, ButtonBuilder, ButtonStyle } = require('discord.js');
+const { createInvite, resolveInvite, getInvite, expireInvite, getProject, getInviteExpiryJobKey } = require('./projectManager');
+const { createInviteEmbed } = require('./projectEmbeds');
+const { postAuditLine } = require('./projectPermissions');
+const { registerJobHandler, scheduleJob } = require('./jobScheduler');
+
+const DEFAULT_INVITE_EXPIRY_HOURS = 48;
+const INVITE_EXPIRY_JOB = 'invite_expiry';
+
+function getInviteExpiryMs() {
+  const hours = Number(process.env.INVITE_EXPIRY_HOURS) || DEFAULT_INVITE_EXPIRY_HOURS;
+  return hours * 60 * 60 * 1000;
+}
+
+/**
+ * Stores a pending invite and DMs the invitee Accept/Decline buttons.
+ * Channel access is only granted once they accept.
+ * @returns {Promise<{success: boolean, error?: string}>}
+ */
+async function sendProjectInvite(project, inviterId, invitee) {
+  if (invitee.bot) {
+    return { success: false, error: 'bots cannot be invited' };
+  }
+  if (invitee.id === project.ownerId || project.teammates.includes(invitee.id)) {
+    return { success: false, error: 'already on the team' };
+  }
+
+  const expiresAt = Date.now() + getInviteExpiryMs();
+  const invite = createInvite(project.guildId, project.id, inviterId, invitee.id, expiresAt);
+
+  if (!invite) {
+    return { success: false, error: 'already has a pending invite' };
+  }
+
+  const buttons = new ActionRowBuilder().addComponents(
+    new ButtonBuilder()
+      .setCustomId(`invite_accept_${invite.id}`)
+      .setLabel('Accept')
+      .setEmoji('✅')
+      .setStyle(ButtonStyle.Success),
+    new ButtonBuilder()
+      .setCustomId(`invite_decline_${invite.id}`)
+      .setLabel('Decline')
+      .setEmoji('❌')
+      .setStyle(ButtonStyle.Danger)
+  );
+
+  try {
+    await invitee.send({
+      embeds: [createInviteEmbed(project, inviterId, expiresAt)],
+      components: [buttons]
+    });
+  } catch (error) {
+    // An invite they can never see would just block re-inviting until it expires.
+    resolveInvite(invite.id, 'cancelled');
+    console.log(`⚠️  Could not DM invite to ${invitee.tag}`);
+    return { success: false, error: 'has DMs closed' };
+  }
+
+  scheduleJob(INVITE_EXPIRY_JOB, {
+    runAt: expiresAt,
+    guildId: project.guildId,
+    payload: { inviteId: invite.id },
+    key: getInviteExpiryJobKey(invite.id)
+  });
+
+  console.log(`📨 Invited ${invitee.tag} to project ${project.name}`);
+  return { success: true };
+}
+
+/**
+ * Marks an invite that ran out as expired and lets the team know. Invites
+ * answered or cancelled in time have their job cancelled.
+ */
+async function handleInviteExpiry(client, job) {
+  expireInvite(job.payload.inviteId);
+  const invite = getInvite(job.payload.inviteId);
+  if (!invite || invite.status !== 'expired') return;
+
+  const project = getProject(invite.guildId, invite.projectId);
+  const guild = client.guilds.cache.get(invite.guildId);
+  if (!project || project.status !== 'active' || !guild) return;
+
+  await postAuditLine(guild, project, `⌛ The invite for <@${invite.inviteeId}> from <@${invite.inviterId}> expired.`);
+  console.log(`⌛ Invite ${invite.id} to project ${project.name} expired`);
+}
+
+registerJobHandler(INVITE_EXPIRY_JOB, handleInviteExpiry, { label: 'Invite expiry' });
+
+module.exports = {
+  sendProjectInvite
+};
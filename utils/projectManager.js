@@ -1,140 +1,603 @@
-const fs = require('fs');
-const path = require('path');
+const { getDb, transaction, parseJSON } = require('./storage');
+const { cancelJobByKey } = require('./jobScheduler');
 
-const PROJECT_FILE = path.join(__dirname, '..', 'projectData.json');
+// Maps project object keys accepted by updateProject() onto their columns.
+const PROJECT_COLUMNS = {
+  ownerId: 'owner_id',
+  name: 'name',
+  description: 'description',
+  type: 'type',
+  categoryId: 'category_id',
+  categoryPosition: 'category_position',
+  roleId: 'role_id',
+  createdAt: 'created_at',
+  lastActivity: 'last_activity',
+  status: 'status',
+  archivedAt: 'archived_at',
+  warningTimestamp: 'warning_timestamp',
+  snoozedUntil: 'snoozed_until'
+};
+
+function rowToProject(row) {
+  const teammates = getDb()
+    .prepare('SELECT user_id FROM project_members WHERE project_id = ? ORDER BY added_at')
+    .all(row.id)
+    .map(member => member.user_id);
+
+  return {
+    id: row.id,
+    guildId: row.guild_id,
+    ownerId: row.owner_id,
+    name: row.name,
+    description: row.description,
+    type: row.type,
+    teammates,
+    categoryId: row.category_id,
+    categoryPosition: row.category_position,
+    roleId: row.role_id,
+    channelIds: {
+      chat: row.chat_channel_id,
+      voice: row.voice_channel_id
+    },
+    channels: getDb()
+      .prepare('SELECT channel_id, kind FROM project_channels WHERE project_id = ? ORDER BY position')
+      .all(row.id)
+      .map(channel => ({ id: channel.channel_id, kind: channel.kind })),
+    createdAt: row.created_at,
+    lastActivity: row.last_activity,
+    status: row.status,
+    archivedAt: row.archived_at,
+    warningTimestamp: row.warning_timestamp,
+    snoozedUntil: row.snoozed_until,
+    pendingInvites: getPendingInvites(row.id)
+  };
+}
+
+function rowToInvite(row) {
+  return {
+    id: row.id,
+    projectId: row.project_id,
+    guildId: row.guild_id,
+    inviterId: row.inviter_id,
+    inviteeId: row.invitee_id,
+    // The expiry job marks invites expired; until it has run they read as expired anyway.
+    status: row.status === 'pending' && row.expires_at <= Date.now() ? 'expired' : row.status,
+    createdAt: row.created_at,
+    expiresAt: row.expires_at,
+    respondedAt: row.responded_at
+  };
+}
+
+function rowToApplication(row) {
+  return {
+    id: row.id,
+    guildId: row.guild_id,
+    projectName: row.project_name,
+    description: row.description,
+    projectType: row.project_type,
+    teammates: parseJSON(row.teammates, []),
+    userId: row.user_id,
+    submittedAt: row.submitted_at,
+    status: row.status,
+    decidedBy: row.decided_by,
+    decidedAt: row.decided_at,
+    projectId: row.project_id,
+    reviewChannelId: row.review_channel_id,
+    reviewMessageId: row.review_message_id,
+    decisionReason: row.decision_reason,
+    revision: getDb()
+      .prepare('SELECT COUNT(*) AS count FROM application_revisions WHERE application_id = ?')
+      .get(row.id).count + 1
+  };
+}
 
-function loadProjectData() {
-  try {
-    if (!fs.existsSync(PROJECT_FILE)) {
-      const initialData = { projects: {}, pendingApplications: {} };
-      fs.writeFileSync(PROJECT_FILE, JSON.stringify(initialData, null, 2));
-      return initialData;
+function rowToRevision(row) {
+  return {
+    revision: row.revision,
+    projectName: row.project_name,
+    description: row.description,
+    projectType: row.project_type,
+    teammates: parseJSON(row.teammates, []),
+    submittedAt: row.submitted_at,
+    feedback: row.feedback,
+    feedbackBy: row.feedback_by,
+    feedbackAt: row.feedback_at
+  };
+}
+
+function createProject(guildId, userId, projectInfo) {
+  const projectId = Date.now().toString();
+  const now = Date.now();
+
+  transaction(() => {
+    getDb().prepare(`
+      INSERT INTO projects (id, guild_id, owner_id, name, description, type, created_at, last_activity, status)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, 'active')
+    `).run(projectId, guildId, userId, projectInfo.name, projectInfo.description, projectInfo.type, now, now);
+
+    for (const teammateId of projectInfo.teammates || []) {
+      insertMember(projectId, teammateId);
     }
-    const data = fs.readFileSync(PROJECT_FILE, 'utf8');
-    return JSON.parse(data);
-  } catch (error) {
-    console.error('Error loading project data:', error);
-    return { projects: {}, pendingApplications: {} };
+  });
+
+  return projectId;
+}
+
+function insertMember(projectId, userId) {
+  return getDb()
+    .prepare('INSERT OR IGNORE INTO project_members (project_id, user_id, added_at) VALUES (?, ?, ?)')
+    .run(projectId, userId, Date.now()).changes > 0;
+}
+
+function getProject(guildId, projectId) {
+  const row = getDb().prepare('SELECT * FROM projects WHERE guild_id = ? AND id = ?').get(guildId, projectId);
+  return row ? rowToProject(row) : null;
+}
+
+/**
+ * Looks a project up by ID alone, for buttons used in DMs.
+ */
+function getProjectById(projectId) {
+  const row = getDb().prepare('SELECT * FROM projects WHERE id = ?').get(projectId);
+  return row ? rowToProject(row) : null;
+}
+
+function getGuildProjects(guildId) {
+  return getDb()
+    .prepare('SELECT * FROM projects WHERE guild_id = ? ORDER BY created_at')
+    .all(guildId)
+    .map(rowToProject);
+}
+
+function getOwnedProjects(guildId, userId) {
+  return getDb()
+    .prepare("SELECT * FROM projects WHERE guild_id = ? AND owner_id = ? AND status = 'active' ORDER BY created_at")
+    .all(guildId, userId)
+    .map(rowToProject);
+}
+
+function getProjectByChannel(guildId, channelId) {
+  const row = getDb()
+    .prepare(`
+      SELECT * FROM projects WHERE guild_id = ? AND (
+        chat_channel_id = ? OR voice_channel_id = ?
+        OR id IN (SELECT project_id FROM project_channels WHERE channel_id = ?)
+      )
+    `)
+    .get(guildId, channelId, channelId, channelId);
+  return row ? rowToProject(row) : null;
+}
+
+function getProjectByCategory(guildId, categoryId) {
+  const row = getDb()
+    .prepare('SELECT * FROM projects WHERE guild_id = ? AND category_id = ?')
+    .get(guildId, categoryId);
+  return row ? rowToProject(row) : null;
+}
+
+/**
+ * Records every channel a workspace template created, in template order.
+ * @param {Array<{id: string, kind: string}>} channels
+ */
+function setProjectChannels(projectId, channels) {
+  transaction(() => {
+    getDb().prepare('DELETE FROM project_channels WHERE project_id = ?').run(projectId);
+    const insert = getDb().prepare('INSERT INTO project_channels (channel_id, project_id, kind, position) VALUES (?, ?, ?, ?)');
+    channels.forEach((channel, index) => insert.run(channel.id, projectId, channel.kind, index));
+  });
+}
+
+function updateProject(guildId, projectId, updates) {
+  const assignments = [];
+  const values = [];
+
+  for (const [key, value] of Object.entries(updates)) {
+    if (key === 'channelIds') {
+      assignments.push('chat_channel_id = ?', 'voice_channel_id = ?');
+      values.push(value.chat, value.voice);
+    } else if (PROJECT_COLUMNS[key]) {
+      assignments.push(`${PROJECT_COLUMNS[key]} = ?`);
+      values.push(value);
+    }
+  }
+
+  if (assignments.length === 0) {
+    return !!getProject(guildId, projectId);
   }
+
+  const result = getDb()
+    .prepare(`UPDATE projects SET ${assignments.join(', ')} WHERE guild_id = ? AND id = ?`)
+    .run(...values, guildId, projectId);
+  return result.changes > 0;
 }
 
-function saveProjectData(data) {
-  try {
-    fs.writeFileSync(PROJECT_FILE, JSON.stringify(data, null, 2));
-    return true;
-  } catch (error) {
-    console.error('Error saving project data:', error);
+function addTeammate(guildId, projectId, userId) {
+  const project = getProject(guildId, projectId);
+  if (!project || project.ownerId === userId) {
     return false;
   }
+  return insertMember(projectId, userId);
 }
 
-function createProject(userId, projectInfo) {
-  const data = loadProjectData();
-  const projectId = Date.now().toString();
-  
-  data.projects[projectId] = {
-    id: projectId,
-    ownerId: userId,
-    name: projectInfo.name,
-    description: projectInfo.description,
-    type: projectInfo.type,
-    teammates: projectInfo.teammates || [],
-    categoryId: null,
-    channelIds: {
-      chat: null,
-      voice: null
-    },
-    createdAt: Date.now(),
-    lastActivity: Date.now(),
-    status: 'active'
-  };
-  
-  saveProjectData(data);
-  return projectId;
+function removeTeammate(guildId, projectId, userId) {
+  if (!getProject(guildId, projectId)) {
+    return false;
+  }
+  return getDb()
+    .prepare('DELETE FROM project_members WHERE project_id = ? AND user_id = ?')
+    .run(projectId, userId).changes > 0;
 }
 
-function getProject(projectId) {
-  const data = loadProjectData();
-  return data.projects[projectId] || null;
+/**
+ * Makes a teammate the owner; the previous owner stays on as a teammate.
+ */
+function transferOwnership(guildId, projectId, newOwnerId) {
+  const project = getProject(guildId, projectId);
+  if (!project || !project.teammates.includes(newOwnerId)) {
+    return false;
+  }
+
+  transaction(() => {
+    getDb().prepare('DELETE FROM project_members WHERE project_id = ? AND user_id = ?').run(projectId, newOwnerId);
+    insertMember(projectId, project.ownerId);
+    getDb().prepare('UPDATE projects SET owner_id = ? WHERE id = ?').run(newOwnerId, projectId);
+  });
+  return true;
 }
 
-function getUserProject(userId) {
-  const data = loadProjectData();
-  return Object.values(data.projects).find(p => p.ownerId === userId && p.status === 'active');
+function getMemberProjects(guildId, userId) {
+  return getDb()
+    .prepare(`
+      SELECT projects.* FROM projects
+      JOIN project_members ON project_members.project_id = projects.id
+      WHERE projects.guild_id = ? AND project_members.user_id = ? AND projects.status = 'active'
+      ORDER BY projects.created_at
+    `)
+    .all(guildId, userId)
+    .map(rowToProject);
 }
 
-function updateProject(projectId, updates) {
-  const data = loadProjectData();
-  if (data.projects[projectId]) {
-    data.projects[projectId] = { ...data.projects[projectId], ...updates };
-    saveProjectData(data);
-    return true;
+/**
+ * Marks a pending invite past its expiry as expired. Returns false if it was
+ * answered in time or already closed.
+ */
+function expireInvite(inviteId) {
+  return getDb()
+    .prepare("UPDATE project_invites SET status = 'expired' WHERE id = ? AND status = 'pending' AND expires_at <= ?")
+    .run(inviteId, Date.now()).changes > 0;
+}
+
+/**
+ * Stores a pending invite. Returns null when the user already has one for this project.
+ */
+function createInvite(guildId, projectId, inviterId, inviteeId, expiresAt) {
+  if (!getProject(guildId, projectId)) {
+    return null;
   }
-  return false;
+
+  // A stale pending invite would otherwise block the new one on the unique index.
+  getDb()
+    .prepare("UPDATE project_invites SET status = 'expired' WHERE project_id = ? AND invitee_id = ? AND status = 'pending' AND expires_at <= ?")
+    .run(projectId, inviteeId, Date.now());
+  const result = getDb().prepare(`
+    INSERT OR IGNORE INTO project_invites (project_id, guild_id, inviter_id, invitee_id, status, created_at, expires_at)
+    VALUES (?, ?, ?, ?, 'pending', ?, ?)
+  `).run(projectId, guildId, inviterId, inviteeId, Date.now(), expiresAt);
+
+  return result.changes > 0 ? getInvite(result.lastInsertRowid) : null;
 }
 
-function addTeammate(projectId, userId) {
-  const data = loadProjectData();
-  const project = data.projects[projectId];
-  
-  if (project && !project.teammates.includes(userId)) {
-    project.teammates.push(userId);
-    saveProjectData(data);
-    return true;
+function getInvite(inviteId) {
+  const row = getDb().prepare('SELECT * FROM project_invites WHERE id = ?').get(inviteId);
+  return row ? rowToInvite(row) : null;
+}
+
+function getPendingInvites(projectId) {
+  return getDb()
+    .prepare("SELECT * FROM project_invites WHERE project_id = ? AND status = 'pending' AND expires_at > ? ORDER BY created_at")
+    .all(projectId, Date.now())
+    .map(rowToInvite);
+}
+
+/**
+ * Moves a pending invite to accepted, declined or cancelled.
+ * Returns false if it was no longer pending.
+ */
+function resolveInvite(inviteId, status) {
+  const now = Date.now();
+  const resolved = getDb()
+    .prepare("UPDATE project_invites SET status = ?, responded_at = ? WHERE id = ? AND status = 'pending' AND expires_at > ?")
+    .run(status, now, inviteId, now).changes > 0;
+
+  if (resolved) {
+    cancelJobByKey(getInviteExpiryJobKey(inviteId));
   }
-  return false;
+  return resolved;
 }
 
-function updateLastActivity(projectId) {
-  return updateProject(projectId, { lastActivity: Date.now() });
+/**
+ * Cancels an accepted invite whose teammate could not be given access, so
+ * the team can send a new one.
+ */
+function cancelAcceptedInvite(inviteId) {
+  return getDb()
+    .prepare("UPDATE project_invites SET status = 'cancelled' WHERE id = ? AND status = 'accepted'")
+    .run(inviteId).changes > 0;
 }
 
-function getInactiveProjects(daysInactive = 15) {
-  const data = loadProjectData();
-  const cutoffTime = Date.now() - (daysInactive * 24 * 60 * 60 * 1000);
-  
-  return Object.values(data.projects).filter(p => 
-    p.status === 'active' && p.lastActivity < cutoffTime
-  );
+function getInviteExpiryJobKey(inviteId) {
+  return `invite_expiry:${inviteId}`;
 }
 
-function archiveProject(projectId) {
-  return updateProject(projectId, { status: 'archived', archivedAt: Date.now() });
+// Any activity also clears a pending inactivity warning, so the next quiet spell starts a fresh one.
+function updateLastActivity(guildId, projectId) {
+  return updateProject(guildId, projectId, { lastActivity: Date.now(), warningTimestamp: null });
 }
 
-function savePendingApplication(userId, applicationData) {
-  const data = loadProjectData();
-  data.pendingApplications[userId] = {
-    ...applicationData,
+/**
+ * Active projects across all guilds; inactivity thresholds are applied per
+ * guild and project type by the cleanup scheduler.
+ */
+function getActiveProjects() {
+  return getDb()
+    .prepare("SELECT * FROM projects WHERE status = 'active'")
+    .all()
+    .map(rowToProject);
+}
+
+function snoozeProject(guildId, projectId, until) {
+  return updateProject(guildId, projectId, { snoozedUntil: until, warningTimestamp: null });
+}
+
+/**
+ * @param {number} [categoryPosition] - Where the category sat before archiving, so a restore can put it back
+ */
+function archiveProject(guildId, projectId, categoryPosition = null) {
+  return updateProject(guildId, projectId, { status: 'archived', archivedAt: Date.now(), categoryPosition });
+}
+
+/**
+ * Reactivates an archived project with a fresh inactivity clock.
+ */
+function restoreProject(guildId, projectId) {
+  return getDb().prepare(`
+    UPDATE projects SET status = 'active', archived_at = NULL, last_activity = ?, warning_timestamp = NULL, snoozed_until = NULL,
+      category_position = NULL
+    WHERE guild_id = ? AND id = ? AND status = 'archived'
+  `).run(Date.now(), guildId, projectId).changes > 0;
+}
+
+function getArchivedProjects(guildId) {
+  return getDb()
+    .prepare("SELECT * FROM projects WHERE guild_id = ? AND status = 'archived' ORDER BY archived_at DESC")
+    .all(guildId)
+    .map(rowToProject);
+}
+
+/**
+ * Stores a pending application, replacing the user's previous pending one.
+ * @returns {Object} The stored application
+ */
+function savePendingApplication(guildId, userId, applicationData) {
+  getDb().prepare(`
+    INSERT INTO applications (guild_id, user_id, project_name, description, project_type, teammates, submitted_at, status)
+    VALUES (?, ?, ?, ?, ?, ?, ?, 'pending')
+    ON CONFLICT (guild_id, user_id) WHERE status = 'pending' DO UPDATE SET
+      project_name = excluded.project_name,
+      description = excluded.description,
+      project_type = excluded.project_type,
+      teammates = excluded.teammates,
+      submitted_at = excluded.submitted_at
+  `).run(
+    guildId,
     userId,
-    submittedAt: Date.now()
-  };
-  saveProjectData(data);
+    applicationData.projectName,
+    applicationData.description,
+    applicationData.projectType,
+    JSON.stringify(applicationData.teammates || []),
+    Date.now()
+  );
+  return getPendingApplication(guildId, userId);
 }
 
-function getPendingApplication(userId) {
-  const data = loadProjectData();
-  return data.pendingApplications[userId] || null;
+function getPendingApplication(guildId, userId) {
+  const row = getDb()
+    .prepare("SELECT * FROM applications WHERE guild_id = ? AND user_id = ? AND status = 'pending'")
+    .get(guildId, userId);
+  return row ? rowToApplication(row) : null;
+}
+
+function getApplication(guildId, applicationId) {
+  const row = getDb().prepare('SELECT * FROM applications WHERE guild_id = ? AND id = ?').get(guildId, applicationId);
+  return row ? rowToApplication(row) : null;
+}
+
+/**
+ * Looks an application up by ID alone, for buttons and modals used in DMs.
+ */
+function getApplicationById(applicationId) {
+  const row = getDb().prepare('SELECT * FROM applications WHERE id = ?').get(applicationId);
+  return row ? rowToApplication(row) : null;
+}
+
+/**
+ * The user's application that is still in review or waiting on their changes.
+ */
+function getOpenApplication(guildId, userId) {
+  const row = getDb()
+    .prepare("SELECT * FROM applications WHERE guild_id = ? AND user_id = ? AND status IN ('pending', 'changes_requested') ORDER BY submitted_at DESC LIMIT 1")
+    .get(guildId, userId);
+  return row ? rowToApplication(row) : null;
+}
+
+function getApplications(guildId, status = null, limit = 25) {
+  const rows = status
+    ? getDb()
+      .prepare('SELECT * FROM applications WHERE guild_id = ? AND status = ? ORDER BY submitted_at DESC LIMIT ?')
+      .all(guildId, status, limit)
+    : getDb()
+      .prepare('SELECT * FROM applications WHERE guild_id = ? ORDER BY submitted_at DESC LIMIT ?')
+      .all(guildId, limit);
+  return rows.map(rowToApplication);
+}
+
+/**
+ * Removes a pending application that never got a review card, so the
+ * applicant can submit again.
+ */
+function discardUnpostedApplication(guildId, applicationId) {
+  getDb()
+    .prepare("DELETE FROM applications WHERE guild_id = ? AND id = ? AND status = 'pending' AND review_message_id IS NULL")
+    .run(guildId, applicationId);
+}
+
+function setApplicationReviewMessage(guildId, applicationId, channelId, messageId) {
+  getDb()
+    .prepare('UPDATE applications SET review_channel_id = ?, review_message_id = ? WHERE guild_id = ? AND id = ?')
+    .run(channelId, messageId, guildId, applicationId);
+}
+
+/**
+ * Records a moderator's decision. Returns false if the application was already decided.
+ */
+function decideApplication(guildId, applicationId, status, moderatorId, projectId = null, reason = null) {
+  return getDb().prepare(`
+    UPDATE applications SET status = ?, decided_by = ?, decided_at = ?, project_id = ?, decision_reason = ?
+    WHERE guild_id = ? AND id = ? AND status = 'pending'
+  `).run(status, moderatorId, Date.now(), projectId, reason, guildId, applicationId).changes > 0;
+}
+
+/**
+ * Sends a pending application back to the applicant. The reviewed version is
+ * kept in the revision history together with the moderator's feedback.
+ */
+function requestApplicationChanges(guildId, applicationId, moderatorId, reason) {
+  const application = getApplication(guildId, applicationId);
+  if (!application || application.status !== 'pending') {
+    return false;
+  }
+
+  const now = Date.now();
+  transaction(() => {
+    getDb().prepare(`
+      INSERT INTO application_revisions (
+        application_id, revision, project_name, description, project_type, teammates, submitted_at,
+        feedback, feedback_by, feedback_at
+      ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+    `).run(
+      applicationId,
+      application.revision,
+      application.projectName,
+      application.description,
+      application.projectType,
+      JSON.stringify(application.teammates),
+      application.submittedAt,
+      reason,
+      moderatorId,
+      now
+    );
+    getDb().prepare(`
+      UPDATE applications SET status = 'changes_requested', decided_by = ?, decided_at = ?, decision_reason = ?
+      WHERE id = ?
+    `).run(moderatorId, now, reason, applicationId);
+  });
+  return true;
+}
+
+/**
+ * Resubmits an application the moderators asked changes for.
+ * @returns {Object|null} The updated application, or null if it wasn't awaiting changes
+ */
+function reviseApplication(applicationId, applicationData) {
+  const result = getDb().prepare(`
+    UPDATE applications SET
+      project_name = ?, description = ?, project_type = ?, teammates = ?, submitted_at = ?,
+      status = 'pending', decided_by = NULL, decided_at = NULL, decision_reason = NULL,
+      review_channel_id = NULL, review_message_id = NULL
+    WHERE id = ? AND status = 'changes_requested'
+  `).run(
+    applicationData.projectName,
+    applicationData.description,
+    applicationData.projectType,
+    JSON.stringify(applicationData.teammates || []),
+    Date.now(),
+    applicationId
+  );
+  return result.changes > 0 ? getApplicationById(applicationId) : null;
+}
+
+/**
+ * Undoes reviseApplication when the revised card never got posted, so the
+ * applicant can submit their changes again.
+ * @param {Object} previous - The application as it was before the revision
+ */
+function undoApplicationRevision(previous) {
+  getDb().prepare(`
+    UPDATE applications SET
+      project_name = ?, description = ?, project_type = ?, teammates = ?, submitted_at = ?,
+      status = 'changes_requested', decided_by = ?, decided_at = ?, decision_reason = ?,
+      review_channel_id = ?, review_message_id = ?
+    WHERE id = ? AND status = 'pending' AND review_message_id IS NULL
+  `).run(
+    previous.projectName,
+    previous.description,
+    previous.projectType,
+    JSON.stringify(previous.teammates || []),
+    previous.submittedAt,
+    previous.decidedBy,
+    previous.decidedAt,
+    previous.decisionReason,
+    previous.reviewChannelId,
+    previous.reviewMessageId,
+    previous.id
+  );
 }
 
-function deletePendingApplication(userId) {
-  const data = loadProjectData();
-  delete data.pendingApplications[userId];
-  saveProjectData(data);
+function getApplicationRevisions(applicationId) {
+  return getDb()
+    .prepare('SELECT * FROM application_revisions WHERE application_id = ? ORDER BY revision')
+    .all(applicationId)
+    .map(rowToRevision);
 }
 
 module.exports = {
-  loadProjectData,
-  saveProjectData,
   createProject,
   getProject,
-  getUserProject,
+  getGuildProjects,
+  getOwnedProjects,
+  getProjectById,
+  getProjectByChannel,
+  getProjectByCategory,
+  setProjectChannels,
   updateProject,
   addTeammate,
+  removeTeammate,
+  transferOwnership,
+  getMemberProjects,
+  createInvite,
+  getInvite,
+  getPendingInvites,
+  resolveInvite,
+  expireInvite,
+  cancelAcceptedInvite,
+  getInviteExpiryJobKey,
   updateLastActivity,
-  getInactiveProjects,
+  getActiveProjects,
+  snoozeProject,
   archiveProject,
+  restoreProject,
+  getArchivedProjects,
   savePendingApplication,
   getPendingApplication,
-  deletePendingApplication
+  getApplication,
+  getApplicationById,
+  getOpenApplication,
+  getApplications,
+  discardUnpostedApplication,
+  setApplicationReviewMessage,
+  decideApplication,
+  requestApplicationChanges,
+  reviseApplication,
+  undoApplicationRevision,
+  getApplicationRevisions
 };
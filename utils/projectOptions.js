@@ -0,0 +1,96 @@
+/**
+ * Shared `project` option for project commands. Members can own several
+ * projects and be on several more, so commands take an autocompleted project
+ * ID and fall back to the project whose channel the command was run in.
+ */
+
+const { getOwnedProjects, getMemberProjects, getProject, getProjectByChannel } = require('./projectManager');
+
+const DEFAULT_MAX_OWNED_PROJECTS = 3;
+
+function getMaxOwnedProjects() {
+  return Number(process.env.MAX_OWNED_PROJECTS) || DEFAULT_MAX_OWNED_PROJECTS;
+}
+
+function addProjectOption(option, description = 'Which project (defaults to the project channel you are in)') {
+  return option
+    .setName('project')
+    .setDescription(description)
+    .setRequired(false)
+    .setAutocomplete(true);
+}
+
+function getAccessibleProjects(guildId, userId, ownedOnly) {
+  const owned = getOwnedProjects(guildId, userId);
+  return ownedOnly ? owned : [...owned, ...getMemberProjects(guildId, userId)];
+}
+
+/**
+ * @param {Object} [options]
+ * @param {boolean} [options.ownedOnly] - Only offer projects the user owns
+ * @param {string} [options.userId] - Whose projects to offer (defaults to the user running the command)
+ */
+async function autocompleteProjects(interaction, { ownedOnly = false, userId = interaction.user.id } = {}) {
+  const query = interaction.options.getFocused().toLowerCase();
+
+  const choices = getAccessibleProjects(interaction.guildId, userId, ownedOnly)
+    .filter(project => project.name.toLowerCase().includes(query))
+    .slice(0, 25)
+    .map(project => ({
+      name: project.ownerId === userId ? `👑 ${project.name}` : `👥 ${project.name}`,
+      value: project.id
+    }));
+
+  await interaction.respond(choices);
+}
+
+/**
+ * Works out which project a command applies to: the `project` option, else
+ * the project channel it was run in, else the user's only project.
+ * @returns {{project?: Object, error?: string}}
+ */
+function resolveProject(interaction, { ownedOnly = false, userId = interaction.user.id } = {}) {
+  const projects = getAccessibleProjects(interaction.guildId, userId, ownedOnly);
+  const projectId = interaction.options.getString('project');
+
+  if (projectId) {
+    const project = projects.find(p => p.id === projectId);
+    if (project) return { project };
+
+    const exists = getProject(interaction.guildId, projectId);
+    return {
+      error: exists && ownedOnly
+        ? `❌ Only the owner of **${exists.name}** can do that.`
+        : '❌ Project not found, or you are not on it.'
+    };
+  }
+
+  const channelProject = getProjectByChannel(interaction.guildId, interaction.channelId);
+  if (channelProject) {
+    const project = projects.find(p => p.id === channelProject.id);
+    if (project) return { project };
+  }
+
+  if (projects.length === 1) {
+    return { project: projects[0] };
+  }
+
+  if (projects.length === 0) {
+    return {
+      error: ownedOnly
+        ? '❌ You don\'t own an active project. Apply for one using the Apply button!'
+        : '❌ You\'re not on any active project. Apply for one using the Apply button!'
+    };
+  }
+
+  return {
+    error: `⚠️ You're on ${projects.length} projects. Pick one with the \`project\` option or run this in its team chat.`
+  };
+}
+
+module.exports = {
+  addProjectOption,
+  autocompleteProjects,
+  resolveProject,
+  getMaxOwnedProjects
+};
@@ -0,0 +1,222 @@
+const { PermissionFlagsBits } = require('discord.js');
+const { getModeratorRoleId } = require('./configManager');
+
+/**
+ * Access to project spaces.
+ *
+ * Each project has a role that holds the team's permissions on the project
+ * category and its channels, so joining or leaving a team only adds or removes
+ * the role. Projects created before project roles keep per-user overwrites on
+ * their channels until /project-migrate-roles converts them. Channels that
+ * were deleted by hand are skipped.
+ */
+
+const PROJECT_ROLE_PERMISSIONS = {
+  ViewChannel: true,
+  SendMessages: true,
+  SendMessagesInThreads: true,
+  ReadMessageHistory: true,
+  Connect: true,
+  Speak: true
+};
+
+// Archived projects stay readable for their team.
+const ARCHIVED_ROLE_PERMISSIONS = {
+  ViewChannel: true,
+  SendMessages: false,
+  SendMessagesInThreads: false,
+  ReadMessageHistory: true,
+  Connect: false,
+  Speak: false
+};
+
+const TEAMMATE_PERMISSIONS = {
+  text: { ViewChannel: true, SendMessages: true, ReadMessageHistory: true },
+  announcement: { ViewChannel: true, SendMessages: true, ReadMessageHistory: true },
+  forum: { ViewChannel: true, SendMessages: true, SendMessagesInThreads: true, ReadMessageHistory: true },
+  voice: { ViewChannel: true, Connect: true, Speak: true }
+};
+
+async function fetchProjectChannels(guild, project) {
+  const fetch = async (channelId) => {
+    if (!channelId) return null;
+    try {
+      return await guild.channels.fetch(channelId);
+    } catch (error) {
+      console.log(`⚠️  Project channel ${channelId} not found`);
+      return null;
+    }
+  };
+
+  // Projects created before workspace templates only have the chat and voice channel.
+  const extras = [];
+  for (const { id, kind } of project.channels || []) {
+    if (id === project.channelIds.chat || id === project.channelIds.voice) continue;
+    const channel = await fetch(id);
+    if (channel) extras.push({ channel, kind });
+  }
+
+  return {
+    category: await fetch(project.categoryId),
+    chat: await fetch(project.channelIds.chat),
+    voice: await fetch(project.channelIds.voice),
+    extras
+  };
+}
+
+function allChannels({ category, chat, voice, extras }) {
+  return [category, chat, voice, ...extras.map(extra => extra.channel)].filter(Boolean);
+}
+
+async function grantTeammateAccess(guild, project, userId) {
+  if (project.roleId) {
+    const member = await guild.members.fetch(userId);
+    await member.roles.add(project.roleId);
+    return;
+  }
+
+  const { chat, voice, extras } = await fetchProjectChannels(guild, project);
+
+  if (chat) {
+    await chat.permissionOverwrites.create(userId, TEAMMATE_PERMISSIONS.text);
+  }
+
+  if (voice) {
+    await voice.permissionOverwrites.create(userId, TEAMMATE_PERMISSIONS.voice);
+  }
+
+  for (const { channel, kind } of extras) {
+    await channel.permissionOverwrites.create(userId, TEAMMATE_PERMISSIONS[kind] || TEAMMATE_PERMISSIONS.text);
+  }
+}
+
+async function grantOwnerAccess(guild, project, userId) {
+  if (project.roleId) {
+    await grantTeammateAccess(guild, project, userId);
+    return;
+  }
+
+  const { category } = await fetchProjectChannels(guild, project);
+
+  if (category) {
+    await category.permissionOverwrites.create(userId, {
+      ViewChannel: true,
+      SendMessages: true,
+      Connect: true,
+      Speak: true
+    });
+  }
+
+  // The team channels stopped syncing with the category once teammates were added.
+  await grantTeammateAccess(guild, project, userId);
+}
+
+async function revokeAccess(guild, project, userId) {
+  const channels = allChannels(await fetchProjectChannels(guild, project));
+
+  // Leftover per-user overwrites from before the project had a role.
+  for (const channel of channels) {
+    if (channel.permissionOverwrites.cache.has(userId)) {
+      await channel.permissionOverwrites.delete(userId);
+    }
+  }
+
+  if (project.roleId) {
+    try {
+      const member = await guild.members.fetch(userId);
+      await member.roles.remove(project.roleId);
+    } catch (error) {
+      console.log(`⚠️  Could not remove project role from user ${userId}`);
+    }
+  }
+}
+
+async function revokeOwnerAccess(guild, project, userId) {
+  const { category } = await fetchProjectChannels(guild, project);
+
+  if (category && category.permissionOverwrites.cache.has(userId)) {
+    await category.permissionOverwrites.delete(userId);
+  }
+}
+
+/**
+ * Switches the project role between full access and read-only (archived).
+ */
+async function setProjectRoleLocked(guild, project, locked) {
+  const channels = allChannels(await fetchProjectChannels(guild, project));
+  const permissions = locked ? ARCHIVED_ROLE_PERMISSIONS : PROJECT_ROLE_PERMISSIONS;
+
+  for (const channel of channels) {
+    await channel.permissionOverwrites.edit(project.roleId, permissions);
+  }
+}
+
+/**
+ * Moves a pre-role project onto its new role: grants the role to the team,
+ * gives the role the team's permissions and drops the per-user overwrites.
+ * @returns {Promise<string[]>} IDs of members who could not be given the role
+ */
+async function convertOverwritesToRole(guild, project, roleId) {
+  const channels = allChannels(await fetchProjectChannels(guild, project));
+  const memberIds = [project.ownerId, ...project.teammates];
+  const permissions = project.status === 'archived' ? ARCHIVED_ROLE_PERMISSIONS : PROJECT_ROLE_PERMISSIONS;
+
+  const skipped = [];
+  for (const memberId of memberIds) {
+    try {
+      const member = await guild.members.fetch(memberId);
+      await member.roles.add(roleId);
+    } catch (error) {
+      skipped.push(memberId);
+    }
+  }
+
+  for (const channel of channels) {
+    await channel.permissionOverwrites.edit(roleId, permissions);
+    for (const memberId of memberIds) {
+      if (channel.permissionOverwrites.cache.has(memberId)) {
+        await channel.permissionOverwrites.delete(memberId);
+      }
+    }
+  }
+
+  return skipped;
+}
+
+/**
+ * Posts a membership change to the team chat so the team can see who did what.
+ */
+async function postAuditLine(guild, project, message) {
+  try {
+    const { chat } = await fetchProjectChannels(guild, project);
+    if (chat) {
+      await chat.send({ content: `📋 ${message}`, allowedMentions: { parse: [] } });
+    }
+  } catch (error) {
+    console.error('❌ Failed to post audit line:', error.message);
+  }
+}
+
+/**
+ * Moderators hold the role chosen in /setup-bot, or Manage Channels.
+ */
+function isModerator(member) {
+  if (!member) return false;
+  if (member.permissions.has(PermissionFlagsBits.ManageChannels)) return true;
+
+  const modRoleId = getModeratorRoleId(member.guild.id);
+  return !!modRoleId && member.roles.cache.has(modRoleId);
+}
+
+module.exports = {
+  PROJECT_ROLE_PERMISSIONS,
+  isModerator,
+  fetchProjectChannels,
+  grantTeammateAccess,
+  grantOwnerAccess,
+  revokeAccess,
+  revokeOwnerAccess,
+  setProjectRoleLocked,
+  convertOverwritesToRole,
+  postAuditLine
+};
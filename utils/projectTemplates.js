@@ -0,0 +1,335 @@
+const { ChannelType, PermissionFlagsBits } = require('discord.js');
+const { getDb, parseJSON } = require('./storage');
+const { getProjectColor } = require('./projectEmbeds');
+const { PROJECT_ROLE_PERMISSIONS } = require('./projectPermissions');
+
+/**
+ * Workspace templates decide which channels, starter messages and role an
+ * approved project gets. Admins override the built-in template per project
+ * type with /project-template.
+ *
+ * Template shape:
+ *   {
+ *     channels: [{ name, type: 'text'|'voice'|'forum'|'announcement', topic?, pinnedMessage? }],
+ *     role: { name, color?, mentionable? } | null
+ *   }
+ * Names, topics and messages may use {project}, {owner} and {type}. Every
+ * project gets a role; `role` only customizes it and falls back to the default.
+ */
+
+const PROJECT_TYPES = ['AI Research', 'Automation', 'Startup', 'Study Group', 'Other'];
+
+const CHANNEL_TYPES = {
+  text: ChannelType.GuildText,
+  voice: ChannelType.GuildVoice,
+  forum: ChannelType.GuildForum,
+  announcement: ChannelType.GuildAnnouncement
+};
+
+const MAX_TEMPLATE_CHANNELS = 10;
+
+const DEFAULT_ROLE = { name: '{project} Team', mentionable: true };
+
+const DEFAULT_TEMPLATES = {
+  'AI Research': {
+    channels: [
+      { name: 'team-chat', type: 'text', topic: 'Day-to-day discussion for {project}' },
+      {
+        name: 'papers',
+        type: 'forum',
+        topic: 'One post per paper, dataset or experiment',
+        pinnedMessage: '📚 Start a post for each paper or experiment you want the team to discuss. Link the source and summarize the key idea.'
+      },
+      { name: 'team-vc', type: 'voice' }
+    ],
+    role: DEFAULT_ROLE
+  },
+  Automation: {
+    channels: [
+      { name: 'team-chat', type: 'text', topic: 'Day-to-day discussion for {project}' },
+      {
+        name: 'workflows',
+        type: 'text',
+        topic: 'Workflow designs, integrations and run logs',
+        pinnedMessage: '⚙️ Document each workflow here: trigger, steps, tools used and who maintains it.'
+      },
+      { name: 'team-vc', type: 'voice' }
+    ],
+    role: DEFAULT_ROLE
+  },
+  Startup: {
+    channels: [
+      {
+        name: 'announcements',
+        type: 'announcement',
+        topic: 'Milestones and launch updates for {project}',
+        pinnedMessage: '📣 Post milestones, launches and decisions here so the whole team stays in sync.'
+      },
+      { name: 'team-chat', type: 'text', topic: 'Day-to-day discussion for {project}' },
+      {
+        name: 'roadmap',
+        type: 'text',
+        topic: 'Goals, milestones and priorities',
+        pinnedMessage: '🗺️ Keep the current roadmap pinned here. Start with your problem statement, target users and first milestone.'
+      },
+      { name: 'team-vc', type: 'voice' }
+    ],
+    role: DEFAULT_ROLE
+  },
+  'Study Group': {
+    channels: [
+      { name: 'team-chat', type: 'text', topic: 'Day-to-day discussion for {project}' },
+      {
+        name: 'resources',
+        type: 'text',
+        topic: 'Courses, notes and links',
+        pinnedMessage: '📖 Share courses, notes and useful links here. Pin the study plan once you agree on one.'
+      },
+      { name: 'study-room', type: 'voice' }
+    ],
+    role: DEFAULT_ROLE
+  },
+  Other: {
+    channels: [
+      { name: 'team-chat', type: 'text', topic: 'Day-to-day discussion for {project}' },
+      { name: 'team-vc', type: 'voice' }
+    ],
+    role: DEFAULT_ROLE
+  }
+};
+
+function normalizeProjectType(projectType) {
+  return PROJECT_TYPES.find(type => type.toLowerCase() === (projectType || '').toLowerCase()) || 'Other';
+}
+
+function getProjectTypeSlug(projectType) {
+  return projectType.toLowerCase().replace(/\s+/g, '-');
+}
+
+function getProjectTypeFromSlug(slug) {
+  return PROJECT_TYPES.find(type => getProjectTypeSlug(type) === slug) || null;
+}
+
+/**
+ * Checks a template against the shape above. Returns a list of problems.
+ */
+function validateTemplate(template) {
+  const errors = [];
+
+  if (!template || typeof template !== 'object' || Array.isArray(template)) {
+    return ['Template must be a JSON object'];
+  }
+
+  if (!Array.isArray(template.channels) || template.channels.length === 0) {
+    errors.push('`channels` must be a non-empty list');
+  } else {
+    if (template.channels.length > MAX_TEMPLATE_CHANNELS) {
+      errors.push(`A template can create at most ${MAX_TEMPLATE_CHANNELS} channels`);
+    }
+
+    template.channels.forEach((channel, index) => {
+      const label = `channels[${index}]`;
+      if (!channel || typeof channel !== 'object') {
+        errors.push(`${label} must be an object`);
+        return;
+      }
+      if (typeof channel.name !== 'string' || !channel.name.trim() || channel.name.length > 100) {
+        errors.push(`${label}.name must be 1-100 characters`);
+      }
+      if (!Object.prototype.hasOwnProperty.call(CHANNEL_TYPES, channel.type)) {
+        errors.push(`${label}.type must be one of ${Object.keys(CHANNEL_TYPES).join(', ')}`);
+      }
+      if (channel.topic !== undefined && (typeof channel.topic !== 'string' || channel.topic.length > 1024)) {
+        errors.push(`${label}.topic must be text up to 1024 characters`);
+      }
+      if (channel.pinnedMessage !== undefined && (typeof channel.pinnedMessage !== 'string' || channel.pinnedMessage.length > 2000)) {
+        errors.push(`${label}.pinnedMessage must be text up to 2000 characters`);
+      }
+    });
+
+    // Team chat, activity tracking and summaries need a text channel to post in.
+    if (!template.channels.some(channel => channel && (channel.type === 'text' || channel.type === 'announcement'))) {
+      errors.push('A template needs at least one text or announcement channel');
+    }
+  }
+
+  if (template.role !== undefined && template.role !== null) {
+    if (typeof template.role !== 'object' || typeof template.role.name !== 'string' || !template.role.name.trim()) {
+      errors.push('`role.name` is required when a role is set');
+    } else if (template.role.name.length > 100) {
+      errors.push('`role.name` must be at most 100 characters');
+    }
+    if (template.role?.color !== undefined && !/^#[0-9a-f]{6}$/i.test(template.role.color)) {
+      errors.push('`role.color` must be a hex color like #5865F2');
+    }
+  }
+
+  return errors;
+}
+
+/**
+ * The workspace template for a project type: the guild's override, or the built-in default.
+ */
+function getTemplate(guildId, projectType) {
+  const type = normalizeProjectType(projectType);
+  const row = getDb()
+    .prepare('SELECT * FROM project_templates WHERE guild_id = ? AND project_type = ?')
+    .get(guildId, type);
+
+  const custom = row ? parseJSON(row.template) : null;
+  if (custom && validateTemplate(custom).length === 0) {
+    return { template: custom, custom: true, updatedBy: row.updated_by, updatedAt: row.updated_at };
+  }
+  return { template: DEFAULT_TEMPLATES[type], custom: false };
+}
+
+function saveTemplate(guildId, projectType, template, userId) {
+  getDb().prepare(`
+    INSERT INTO project_templates (guild_id, project_type, template, updated_by, updated_at) VALUES (?, ?, ?, ?, ?)
+    ON CONFLICT (guild_id, project_type) DO UPDATE SET
+      template = excluded.template,
+      updated_by = excluded.updated_by,
+      updated_at = excluded.updated_at
+  `).run(guildId, normalizeProjectType(projectType), JSON.stringify(template), userId, Date.now());
+}
+
+function resetTemplate(guildId, projectType) {
+  return getDb()
+    .prepare('DELETE FROM project_templates WHERE guild_id = ? AND project_type = ?')
+    .run(guildId, normalizeProjectType(projectType)).changes > 0;
+}
+
+function fillPlaceholders(text, values) {
+  return text.replace(/\{(project|owner|type)\}/g, (match, key) => values[key]);
+}
+
+/**
+ * Creates a channel of the template's type. Forum and announcement channels
+ * need a Community server, so they fall back to a text channel elsewhere.
+ */
+async function createTemplateChannel(guild, channelTemplate, category, values) {
+  const options = {
+    name: fillPlaceholders(channelTemplate.name, values),
+    type: CHANNEL_TYPES[channelTemplate.type],
+    parent: category.id
+  };
+  if (channelTemplate.topic && channelTemplate.type !== 'voice') {
+    options.topic = fillPlaceholders(channelTemplate.topic, values);
+  }
+
+  try {
+    return { channel: await guild.channels.create(options), kind: channelTemplate.type };
+  } catch (error) {
+    if (channelTemplate.type !== 'forum' && channelTemplate.type !== 'announcement') throw error;
+    console.log(`⚠️  Could not create ${channelTemplate.type} channel ${options.name}, using a text channel instead`);
+    return {
+      channel: await guild.channels.create({ ...options, type: ChannelType.GuildText }),
+      kind: 'text'
+    };
+  }
+}
+
+async function postStarterMessage(channel, kind, message) {
+  try {
+    if (kind === 'forum') {
+      const post = await channel.threads.create({
+        name: '📌 Start here',
+        message: { content: message }
+      });
+      await post.pin();
+    } else if (channel.isTextBased()) {
+      const sent = await channel.send(message);
+      await sent.pin();
+    }
+  } catch (error) {
+    console.log(`⚠️  Could not post starter message in ${channel.name}`);
+  }
+}
+
+/**
+ * Creates the role that holds a project team's access, styled by the template.
+ */
+async function createProjectRole(guild, { projectName, projectType, ownerName }) {
+  const { template } = getTemplate(guild.id, projectType);
+  const roleTemplate = template.role || DEFAULT_ROLE;
+  const values = { project: projectName, owner: ownerName, type: normalizeProjectType(projectType) };
+
+  return guild.roles.create({
+    name: fillPlaceholders(roleTemplate.name, values).slice(0, 100),
+    color: roleTemplate.color || getProjectColor(values.type),
+    mentionable: roleTemplate.mentionable !== false,
+    reason: `Project role for ${projectName}`
+  });
+}
+
+/**
+ * Builds a project's role, category and channels from its type's template.
+ * The team's access lives on the role; channels inherit it from the category.
+ * @returns {Promise<{category, role, channels: Array<{channel, kind}>, chatChannel, voiceChannel}>}
+ */
+async function buildProjectWorkspace(guild, { projectName, projectType, ownerId, modRoleId }) {
+  const { template } = getTemplate(guild.id, projectType);
+  const owner = await guild.members.fetch(ownerId);
+  const values = { project: projectName, owner: owner.displayName, type: normalizeProjectType(projectType) };
+
+  const role = await createProjectRole(guild, { projectName, projectType, ownerName: owner.displayName });
+  await owner.roles.add(role);
+
+  const permissionOverwrites = [
+    {
+      id: guild.id,
+      deny: [PermissionFlagsBits.ViewChannel]
+    },
+    {
+      id: role.id,
+      allow: Object.keys(PROJECT_ROLE_PERMISSIONS).map(permission => PermissionFlagsBits[permission])
+    },
+    {
+      id: guild.client.user.id,
+      allow: [PermissionFlagsBits.ViewChannel, PermissionFlagsBits.SendMessages, PermissionFlagsBits.ManageChannels]
+    }
+  ];
+  if (modRoleId) {
+    permissionOverwrites.push({
+      id: modRoleId,
+      allow: [PermissionFlagsBits.ViewChannel, PermissionFlagsBits.SendMessages]
+    });
+  }
+
+  const category = await guild.channels.create({
+    name: `🚀｜${projectName}`,
+    type: ChannelType.GuildCategory,
+    permissionOverwrites
+  });
+
+  const channels = [];
+  for (const channelTemplate of template.channels) {
+    const created = await createTemplateChannel(guild, channelTemplate, category, values);
+    channels.push(created);
+    if (channelTemplate.pinnedMessage) {
+      await postStarterMessage(created.channel, created.kind, fillPlaceholders(channelTemplate.pinnedMessage, values));
+    }
+  }
+
+  return {
+    category,
+    role,
+    channels,
+    chatChannel: (channels.find(c => c.kind === 'text') || channels.find(c => c.kind === 'announcement')).channel,
+    voiceChannel: channels.find(c => c.kind === 'voice')?.channel || null
+  };
+}
+
+module.exports = {
+  PROJECT_TYPES,
+  DEFAULT_TEMPLATES,
+  normalizeProjectType,
+  getProjectTypeSlug,
+  getProjectTypeFromSlug,
+  validateTemplate,
+  getTemplate,
+  saveTemplate,
+  resetTemplate,
+  createProjectRole,
+  buildProjectWorkspace
+};
@@ -0,0 +1,79 @@
+const { ActionRowBuilder, ButtonBuilder, ButtonStyle } = require('discord.js');
+const { getRecordingPreference, setSessionConsent } = require('./voiceSessionManager');
+
+/**
+ * Members are only recorded after they agree to it, either on the prompt
+ * posted when a recording starts or through a saved /recording-consent preference.
+ */
+
+/**
+ * The member's consent for the session, applying their saved preference
+ * the first time they are seen.
+ * @returns {string|null} 'granted', 'declined', or null while undecided
+ */
+function resolveConsent(session, userId) {
+  if (session.consent[userId]) return session.consent[userId];
+
+  const preference = getRecordingPreference(session.guildId, userId);
+  if (preference === 'ask') return null;
+
+  const status = preference === 'always' ? 'granted' : 'declined';
+  setSessionConsent(session.channelId, userId, status);
+  return status;
+}
+
+function canRecord(session, userId) {
+  return resolveConsent(session, userId) === 'granted';
+}
+
+/**
+ * Starting a recording counts as consent for the member who asked for it,
+ * unless they chose never to be recorded.
+ */
+function applyInitialConsent(session, userIds, initiatorId) {
+  userIds.forEach(userId => resolveConsent(session, userId));
+
+  if (!session.consent[initiatorId]) {
+    setSessionConsent(session.channelId, initiatorId, 'granted');
+  }
+}
+
+function createConsentButtons(sessionId) {
+  return new ActionRowBuilder().addComponents(
+    new ButtonBuilder()
+      .setCustomId(`recording_consent_yes_${sessionId}`)
+      .setLabel('Record me')
+      .setStyle(ButtonStyle.Success)
+      .setEmoji('✅'),
+    new ButtonBuilder()
+      .setCustomId(`recording_consent_no_${sessionId}`)
+      .setLabel('Don\'t record me')
+      .setStyle(ButtonStyle.Secondary)
+      .setEmoji('🚫')
+  );
+}
+
+/**
+ * Splits the session's participants and responders by consent.
+ * Sessions recorded before consent was tracked have no entries and return null.
+ * @returns {{granted: Array<string>, declined: Array<string>, noResponse: Array<string>}|null}
+ */
+function getConsentSummary(session) {
+  const consent = session.consent || {};
+  if (Object.keys(consent).length === 0) return null;
+
+  const userIds = [...new Set([...session.participants, ...Object.keys(consent)])];
+  return {
+    granted: userIds.filter(userId => consent[userId] === 'granted'),
+    declined: userIds.filter(userId => consent[userId] === 'declined'),
+    noResponse: userIds.filter(userId => !consent[userId])
+  };
+}
+
+module.exports = {
+  resolveConsent,
+  canRecord,
+  applyInitialConsent,
+  createConsentButtons,
+  getConsentSummary
+};
@@ -0,0 +1,387 @@
+const Database = require('better-sqlite3');
+const path = require('path');
+
+const DATABASE_FILE = process.env.DATABASE_PATH || path.join(__dirname, '..', 'botData.db');
+
+// Schema migrations, applied in order. PRAGMA user_version records how many have run.
+const MIGRATIONS = [
+  `
+  CREATE TABLE meta (
+    key TEXT PRIMARY KEY,
+    value TEXT
+  );
+
+  CREATE TABLE guild_config (
+    guild_id TEXT PRIMARY KEY,
+    intro_channel_id TEXT,
+    profile_channel_id TEXT,
+    moderator_role_id TEXT,
+    verification_channel_id TEXT,
+    setup_complete INTEGER NOT NULL DEFAULT 0,
+    setup_by TEXT,
+    setup_timestamp INTEGER
+  );
+
+  CREATE TABLE profiles (
+    guild_id TEXT NOT NULL,
+    user_id TEXT NOT NULL,
+    message_id TEXT,
+    timestamp INTEGER NOT NULL,
+    intro_data TEXT,
+    summary TEXT,
+    experience_level TEXT,
+    skills TEXT,
+    PRIMARY KEY (guild_id, user_id)
+  );
+
+  CREATE TABLE projects (
+    id TEXT PRIMARY KEY,
+    guild_id TEXT NOT NULL,
+    owner_id TEXT NOT NULL,
+    name TEXT NOT NULL,
+    description TEXT,
+    type TEXT,
+    category_id TEXT,
+    chat_channel_id TEXT,
+    voice_channel_id TEXT,
+    created_at INTEGER NOT NULL,
+    last_activity INTEGER NOT NULL,
+    status TEXT NOT NULL DEFAULT 'active',
+    archived_at INTEGER,
+    warning_timestamp INTEGER
+  );
+  CREATE INDEX idx_projects_guild_status ON projects (guild_id, status);
+
+  CREATE TABLE project_members (
+    project_id TEXT NOT NULL REFERENCES projects (id) ON DELETE CASCADE,
+    user_id TEXT NOT NULL,
+    added_at INTEGER NOT NULL,
+    PRIMARY KEY (project_id, user_id)
+  );
+
+  CREATE TABLE applications (
+    guild_id TEXT NOT NULL,
+    user_id TEXT NOT NULL,
+    project_name TEXT NOT NULL,
+    description TEXT,
+    project_type TEXT,
+    teammates TEXT NOT NULL DEFAULT '[]',
+    submitted_at INTEGER NOT NULL,
+    PRIMARY KEY (guild_id, user_id)
+  );
+
+  CREATE TABLE vc_sessions (
+    session_id TEXT PRIMARY KEY,
+    guild_id TEXT NOT NULL,
+    channel_id TEXT NOT NULL,
+    initiator_id TEXT NOT NULL,
+    project_id TEXT,
+    start_time INTEGER NOT NULL,
+    end_time INTEGER,
+    status TEXT NOT NULL,
+    language_mode TEXT NOT NULL DEFAULT 'auto',
+    last_summary TEXT
+  );
+  CREATE INDEX idx_vc_sessions_guild_start ON vc_sessions (guild_id, start_time);
+
+  CREATE TABLE session_participants (
+    session_id TEXT NOT NULL REFERENCES vc_sessions (session_id) ON DELETE CASCADE,
+    user_id TEXT NOT NULL,
+    PRIMARY KEY (session_id, user_id)
+  );
+
+  CREATE TABLE session_recordings (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    session_id TEXT NOT NULL REFERENCES vc_sessions (session_id) ON DELETE CASCADE,
+    user_id TEXT NOT NULL,
+    file_path TEXT NOT NULL
+  );
+
+  CREATE TABLE transcripts (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    session_id TEXT NOT NULL REFERENCES vc_sessions (session_id) ON DELETE CASCADE,
+    user_id TEXT,
+    text TEXT NOT NULL,
+    timestamp INTEGER NOT NULL
+  );
+  CREATE INDEX idx_transcripts_session ON transcripts (session_id, timestamp);
+
+  CREATE TABLE user_preferences (
+    guild_id TEXT NOT NULL,
+    user_id TEXT NOT NULL,
+    language_mode TEXT NOT NULL DEFAULT 'auto',
+    PRIMARY KEY (guild_id, user_id)
+  );
+  `,
+  `
+  ALTER TABLE profiles ADD COLUMN availability TEXT;
+  `,
+  `
+  CREATE TABLE project_invites (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    project_id TEXT NOT NULL REFERENCES projects (id) ON DELETE CASCADE,
+    guild_id TEXT NOT NULL,
+    inviter_id TEXT NOT NULL,
+    invitee_id TEXT NOT NULL,
+    status TEXT NOT NULL DEFAULT 'pending',
+    created_at INTEGER NOT NULL,
+    expires_at INTEGER NOT NULL,
+    responded_at INTEGER
+  );
+  CREATE UNIQUE INDEX idx_project_invites_pending ON project_invites (project_id, invitee_id) WHERE status = 'pending';
+  `,
+  `
+  CREATE TABLE applications_new (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    guild_id TEXT NOT NULL,
+    user_id TEXT NOT NULL,
+    project_name TEXT NOT NULL,
+    description TEXT,
+    project_type TEXT,
+    teammates TEXT NOT NULL DEFAULT '[]',
+    submitted_at INTEGER NOT NULL,
+    status TEXT NOT NULL DEFAULT 'pending',
+    decided_by TEXT,
+    decided_at INTEGER,
+    project_id TEXT,
+    review_channel_id TEXT,
+    review_message_id TEXT
+  );
+  INSERT INTO applications_new (guild_id, user_id, project_name, description, project_type, teammates, submitted_at)
+    SELECT guild_id, user_id, project_name, description, project_type, teammates, submitted_at FROM applications;
+  DROP TABLE applications;
+  ALTER TABLE applications_new RENAME TO applications;
+  CREATE UNIQUE INDEX idx_applications_pending ON applications (guild_id, user_id) WHERE status = 'pending';
+  CREATE INDEX idx_applications_guild_status ON applications (guild_id, status, submitted_at);
+  `,
+  `
+  ALTER TABLE applications ADD COLUMN decision_reason TEXT;
+
+  CREATE TABLE application_revisions (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    application_id INTEGER NOT NULL REFERENCES applications (id) ON DELETE CASCADE,
+    revision INTEGER NOT NULL,
+    project_name TEXT NOT NULL,
+    description TEXT,
+    project_type TEXT,
+    teammates TEXT NOT NULL DEFAULT '[]',
+    submitted_at INTEGER NOT NULL,
+    feedback TEXT,
+    feedback_by TEXT,
+    feedback_at INTEGER
+  );
+  CREATE INDEX idx_application_revisions_application ON application_revisions (application_id, revision);
+  `,
+  `
+  ALTER TABLE projects ADD COLUMN role_id TEXT;
+
+  CREATE TABLE project_templates (
+    guild_id TEXT NOT NULL,
+    project_type TEXT NOT NULL,
+    template TEXT NOT NULL,
+    updated_by TEXT,
+    updated_at INTEGER NOT NULL,
+    PRIMARY KEY (guild_id, project_type)
+  );
+
+  CREATE TABLE project_channels (
+    channel_id TEXT PRIMARY KEY,
+    project_id TEXT NOT NULL REFERENCES projects (id) ON DELETE CASCADE,
+    kind TEXT NOT NULL,
+    position INTEGER NOT NULL
+  );
+  CREATE INDEX idx_project_channels_project ON project_channels (project_id, position);
+  `,
+  `
+  ALTER TABLE guild_config ADD COLUMN inactivity_warning_days INTEGER;
+  ALTER TABLE guild_config ADD COLUMN inactivity_grace_days INTEGER;
+  ALTER TABLE guild_config ADD COLUMN inactivity_type_overrides TEXT;
+  ALTER TABLE projects ADD COLUMN snoozed_until INTEGER;
+  `,
+  `
+  CREATE TABLE scheduled_jobs (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    guild_id TEXT,
+    type TEXT NOT NULL,
+    job_key TEXT,
+    payload TEXT NOT NULL DEFAULT '{}',
+    run_at INTEGER NOT NULL,
+    interval_ms INTEGER,
+    status TEXT NOT NULL DEFAULT 'pending',
+    attempts INTEGER NOT NULL DEFAULT 0,
+    max_attempts INTEGER NOT NULL DEFAULT 3,
+    last_error TEXT,
+    created_at INTEGER NOT NULL,
+    updated_at INTEGER NOT NULL
+  );
+  CREATE INDEX idx_scheduled_jobs_due ON scheduled_jobs (status, run_at);
+  CREATE UNIQUE INDEX idx_scheduled_jobs_key ON scheduled_jobs (job_key) WHERE status IN ('pending', 'running');
+  `,
+  `
+  CREATE TABLE tasks (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    guild_id TEXT NOT NULL,
+    session_id TEXT REFERENCES vc_sessions (session_id) ON DELETE SET NULL,
+    project_id TEXT REFERENCES projects (id) ON DELETE SET NULL,
+    channel_id TEXT,
+    task TEXT NOT NULL,
+    assignee_id TEXT,
+    due TEXT,
+    due_at INTEGER,
+    status TEXT NOT NULL DEFAULT 'open',
+    created_at INTEGER NOT NULL,
+    completed_at INTEGER,
+    completed_by TEXT
+  );
+  CREATE INDEX idx_tasks_guild_status ON tasks (guild_id, status);
+  CREATE INDEX idx_tasks_project ON tasks (project_id, status);
+  `,
+  `
+  CREATE VIRTUAL TABLE meeting_search USING fts5(
+    text,
+    session_id UNINDEXED,
+    guild_id UNINDEXED,
+    source UNINDEXED,
+    user_id UNINDEXED,
+    timestamp UNINDEXED,
+    tokenize = 'unicode61 remove_diacritics 2'
+  );
+
+  INSERT INTO meeting_search (text, session_id, guild_id, source, user_id, timestamp)
+  SELECT transcripts.text, transcripts.session_id, vc_sessions.guild_id, 'transcript', transcripts.user_id, transcripts.timestamp
+  FROM transcripts JOIN vc_sessions ON vc_sessions.session_id = transcripts.session_id;
+
+  INSERT INTO meeting_search (text, session_id, guild_id, source, user_id, timestamp)
+  SELECT json_extract(S.last_summary, '$.overview'), S.session_id, S.guild_id, 'overview', NULL, S.end_time
+  FROM vc_sessions AS S WHERE json_extract(S.last_summary, '$.overview') IS NOT NULL;
+  INSERT INTO meeting_search (text, session_id, guild_id, source, user_id, timestamp)
+  SELECT item.value, S.session_id, S.guild_id, 'discussion', NULL, S.end_time
+  FROM vc_sessions AS S, json_each(S.last_summary, '$.discussion_points') AS item;
+  INSERT INTO meeting_search (text, session_id, guild_id, source, user_id, timestamp)
+  SELECT item.value, S.session_id, S.guild_id, 'decision', NULL, S.end_time
+  FROM vc_sessions AS S, json_each(S.last_summary, '$.decisions') AS item;
+  INSERT INTO meeting_search (text, session_id, guild_id, source, user_id, timestamp)
+  SELECT CASE item.type WHEN 'text' THEN item.value ELSE json_extract(item.value, '$.task') END,
+    S.session_id, S.guild_id, 'action_item',
+    CASE item.type WHEN 'object' THEN json_extract(item.value, '$.assignee') END, S.end_time
+  FROM vc_sessions AS S, json_each(S.last_summary, '$.action_items') AS item;
+  INSERT INTO meeting_search (text, session_id, guild_id, source, user_id, timestamp)
+  SELECT item.value, S.session_id, S.guild_id, 'next_step', NULL, S.end_time
+  FROM vc_sessions AS S, json_each(S.last_summary, '$.next_steps') AS item;
+
+  CREATE TRIGGER transcripts_search_insert AFTER INSERT ON transcripts BEGIN
+    INSERT INTO meeting_search (text, session_id, guild_id, source, user_id, timestamp)
+    SELECT NEW.text, NEW.session_id, guild_id, 'transcript', NEW.user_id, NEW.timestamp
+    FROM vc_sessions WHERE session_id = NEW.session_id;
+  END;
+
+  CREATE TRIGGER vc_sessions_search_delete AFTER DELETE ON vc_sessions BEGIN
+    DELETE FROM meeting_search WHERE session_id = OLD.session_id;
+  END;
+
+  CREATE TRIGGER vc_sessions_search_summary AFTER UPDATE OF last_summary ON vc_sessions BEGIN
+    DELETE FROM meeting_search WHERE session_id = NEW.session_id AND source != 'transcript';
+    INSERT INTO meeting_search (text, session_id, guild_id, source, user_id, timestamp)
+    SELECT json_extract(NEW.last_summary, '$.overview'), NEW.session_id, NEW.guild_id, 'overview', NULL, NEW.end_time
+    WHERE json_extract(NEW.last_summary, '$.overview') IS NOT NULL;
+    INSERT INTO meeting_search (text, session_id, guild_id, source, user_id, timestamp)
+    SELECT item.value, NEW.session_id, NEW.guild_id, 'discussion', NULL, NEW.end_time
+    FROM json_each(NEW.last_summary, '$.discussion_points') AS item;
+    INSERT INTO meeting_search (text, session_id, guild_id, source, user_id, timestamp)
+    SELECT item.value, NEW.session_id, NEW.guild_id, 'decision', NULL, NEW.end_time
+    FROM json_each(NEW.last_summary, '$.decisions') AS item;
+    INSERT INTO meeting_search (text, session_id, guild_id, source, user_id, timestamp)
+    SELECT CASE item.type WHEN 'text' THEN item.value ELSE json_extract(item.value, '$.task') END,
+      NEW.session_id, NEW.guild_id, 'action_item',
+      CASE item.type WHEN 'object' THEN json_extract(item.value, '$.assignee') END, NEW.end_time
+    FROM json_each(NEW.last_summary, '$.action_items') AS item;
+    INSERT INTO meeting_search (text, session_id, guild_id, source, user_id, timestamp)
+    SELECT item.value, NEW.session_id, NEW.guild_id, 'next_step', NULL, NEW.end_time
+    FROM json_each(NEW.last_summary, '$.next_steps') AS item;
+  END;
+  `,
+  `
+  ALTER TABLE user_preferences ADD COLUMN recording_consent TEXT;
+
+  CREATE TABLE session_consent (
+    session_id TEXT NOT NULL REFERENCES vc_sessions (session_id) ON DELETE CASCADE,
+    user_id TEXT NOT NULL,
+    status TEXT NOT NULL,
+    decided_at INTEGER NOT NULL,
+    PRIMARY KEY (session_id, user_id)
+  );
+  `,
+  `
+  ALTER TABLE projects ADD COLUMN category_position INTEGER;
+  `
+];
+
+let db = null;
+
+function getDb() {
+  if (!db) {
+    db = new Database(DATABASE_FILE);
+    db.pragma('journal_mode = WAL');
+    db.pragma('foreign_keys = ON');
+    db.pragma('busy_timeout = 5000');
+    runMigrations(db);
+    console.log(`🗄️ Storage ready (${DATABASE_FILE})`);
+  }
+  return db;
+}
+
+function runMigrations(database) {
+  const currentVersion = database.pragma('user_version', { simple: true });
+
+  for (let version = currentVersion; version < MIGRATIONS.length; version++) {
+    database.transaction(() => {
+      database.exec(MIGRATIONS[version]);
+      database.pragma(`user_version = ${version + 1}`);
+    })();
+    console.log(`🗄️ Applied storage migration ${version + 1}`);
+  }
+}
+
+/**
+ * Run fn inside a single SQLite transaction; rolled back if it throws.
+ */
+function transaction(fn) {
+  return getDb().transaction(fn)();
+}
+
+function getMeta(key) {
+  const row = getDb().prepare('SELECT value FROM meta WHERE key = ?').get(key);
+  return row ? row.value : null;
+}
+
+function setMeta(key, value) {
+  getDb()
+    .prepare('INSERT INTO meta (key, value) VALUES (?, ?) ON CONFLICT (key) DO UPDATE SET value = excluded.value')
+    .run(key, value);
+}
+
+function parseJSON(value, fallback = null) {
+  if (value === null || value === undefined) return fallback;
+  try {
+    return JSON.parse(value);
+  } catch (error) {
+    return fallback;
+  }
+}
+
+function closeStorage() {
+  if (db) {
+    db.close();
+    db = null;
+  }
+}
+
+module.exports = {
+  getDb,
+  transaction,
+  getMeta,
+  setMeta,
+  parseJSON,
+  closeStorage,
+  DATABASE_FILE
+};
@@ -0,0 +1,163 @@
+const { getDb, transaction } = require('./storage');
+
+/**
+ * Tasks are the action items from meeting summaries, linked to the VC session
+ * they came from and to its project when the session had one.
+ */
+
+function rowToTask(row) {
+  return {
+    id: row.id,
+    guildId: row.guild_id,
+    sessionId: row.session_id,
+    projectId: row.project_id,
+    channelId: row.channel_id,
+    task: row.task,
+    assigneeId: row.assignee_id,
+    due: row.due,
+    dueAt: row.due_at,
+    status: row.status,
+    createdAt: row.created_at,
+    completedAt: row.completed_at,
+    completedBy: row.completed_by
+  };
+}
+
+/**
+ * A YYYY-MM-DD due date as the end of that day (UTC), or null.
+ */
+function parseDueDate(dueDate) {
+  if (!dueDate || !/^\d{4}-\d{2}-\d{2}$/.test(dueDate)) return null;
+  const dueAt = Date.parse(`${dueDate}T23:59:59Z`);
+  return Number.isNaN(dueAt) ? null : dueAt;
+}
+
+/**
+ * Stores a summary's action items as open tasks.
+ * @returns {Array<Object>} The created tasks, in the same order
+ */
+function createTasksFromSummary(session, actionItems) {
+  const now = Date.now();
+  const insert = getDb().prepare(`
+    INSERT INTO tasks (guild_id, session_id, project_id, channel_id, task, assignee_id, due, due_at, status, created_at)
+    VALUES (?, ?, ?, ?, ?, ?, ?, ?, 'open', ?)
+  `);
+
+  const ids = transaction(() => (actionItems || [])
+    .filter(item => item && typeof item === 'object' && item.task)
+    .map(item => insert.run(
+      session.guildId,
+      session.sessionId,
+      session.projectId || null,
+      session.channelId,
+      item.task,
+      item.assignee || null,
+      item.due || null,
+      parseDueDate(item.dueDate),
+      now
+    ).lastInsertRowid));
+
+  return ids.map(getTaskById);
+}
+
+function getTaskById(taskId) {
+  const row = getDb().prepare('SELECT * FROM tasks WHERE id = ?').get(taskId);
+  return row ? rowToTask(row) : null;
+}
+
+function getTask(guildId, taskId) {
+  const row = getDb().prepare('SELECT * FROM tasks WHERE guild_id = ? AND id = ?').get(guildId, taskId);
+  return row ? rowToTask(row) : null;
+}
+
+/**
+ * @param {Object} [filters]
+ * @param {string} [filters.assigneeId] - Only this member's tasks
+ * @param {boolean} [filters.unassigned] - Only tasks nobody has taken
+ * @param {string} [filters.status] - 'open' or 'done'; both when omitted
+ * @param {string} [filters.viewerId] - Only tasks assigned to this member, from meetings they
+ *   joined or from projects they belong to
+ * @param {Array<string>} [filters.viewerProjectIds] - Projects the viewer belongs to
+ */
+function getTasks(guildId, { assigneeId = null, unassigned = false, status = null, viewerId = null, viewerProjectIds = [] } = {}, limit = 25) {
+  const conditions = ['guild_id = ?'];
+  const values = [guildId];
+
+  if (viewerId) {
+    const projectCondition = viewerProjectIds.length > 0
+      ? ` OR project_id IN (${viewerProjectIds.map(() => '?').join(', ')})`
+      : '';
+    conditions.push(`(assignee_id = ? OR session_id IN (SELECT session_id FROM session_participants WHERE user_id = ?)${projectCondition})`);
+    values.push(viewerId, viewerId, ...viewerProjectIds);
+  }
+
+  if (assigneeId) {
+    conditions.push('assignee_id = ?');
+    values.push(assigneeId);
+  } else if (unassigned) {
+    conditions.push('assignee_id IS NULL');
+  }
+  if (status) {
+    conditions.push('status = ?');
+    values.push(status);
+  }
+
+  return getDb()
+    .prepare(`
+      SELECT * FROM tasks WHERE ${conditions.join(' AND ')}
+      ORDER BY status = 'done', due_at IS NULL, due_at, created_at DESC LIMIT ?
+    `)
+    .all(...values, limit)
+    .map(rowToTask);
+}
+
+function getSessionTasks(sessionId) {
+  return getDb()
+    .prepare('SELECT * FROM tasks WHERE session_id = ? ORDER BY id')
+    .all(sessionId)
+    .map(rowToTask);
+}
+
+/**
+ * Open tasks the next meeting should follow up on: the project's when the
+ * session belongs to one, otherwise those from earlier meetings in the same voice channel.
+ */
+function getOpenTasksForSession(session, limit = 20) {
+  const rows = session.projectId
+    ? getDb()
+      .prepare("SELECT * FROM tasks WHERE guild_id = ? AND project_id = ? AND status = 'open' ORDER BY created_at LIMIT ?")
+      .all(session.guildId, session.projectId, limit)
+    : getDb()
+      .prepare(`
+        SELECT * FROM tasks WHERE guild_id = ? AND project_id IS NULL AND channel_id = ? AND status = 'open'
+        ORDER BY created_at LIMIT ?
+      `)
+      .all(session.guildId, session.channelId, limit);
+  return rows.map(rowToTask);
+}
+
+/**
+ * Returns false if the task was not open.
+ */
+function completeTask(guildId, taskId, userId) {
+  return getDb()
+    .prepare("UPDATE tasks SET status = 'done', completed_at = ?, completed_by = ? WHERE guild_id = ? AND id = ? AND status = 'open'")
+    .run(Date.now(), userId, guildId, taskId).changes > 0;
+}
+
+function assignTask(guildId, taskId, assigneeId) {
+  return getDb()
+    .prepare("UPDATE tasks SET assignee_id = ? WHERE guild_id = ? AND id = ? AND status = 'open'")
+    .run(assigneeId, guildId, taskId).changes > 0;
+}
+
+module.exports = {
+  createTasksFromSummary,
+  getTask,
+  getTaskById,
+  getTasks,
+  getSessionTasks,
+  getOpenTasksForSession,
+  completeTask,
+  assignTask
+};
@@ -0,0 +1,92 @@
+const { EmbedBuilder, ActionRowBuilder, ButtonBuilder, ButtonStyle } = require('discord.js');
+const { getTaskById } = require('./taskManager');
+const { getProject } = require('./projectManager');
+const { registerJobHandler, scheduleJob, cancelJobByKey } = require('./jobScheduler');
+
+const TASK_REMINDER_JOB = 'task_reminder';
+const DAY_MS = 24 * 60 * 60 * 1000;
+// Tasks without a due date get a nudge this many days after the meeting.
+const UNDATED_REMINDER_DAYS = 3;
+
+function getReminderKey(taskId) {
+  return `${TASK_REMINDER_JOB}:${taskId}`;
+}
+
+/**
+ * Schedules the assignee's reminder: a day before the due date, or a few days
+ * after the meeting when there is none. Replaces any earlier reminder.
+ */
+function scheduleTaskReminder(task) {
+  cancelJobByKey(getReminderKey(task.id));
+  if (!task.assigneeId || task.status !== 'open') return null;
+
+  const now = Date.now();
+  const runAt = task.dueAt
+    ? Math.max(task.dueAt - DAY_MS, now + 60 * 60 * 1000)
+    : now + UNDATED_REMINDER_DAYS * DAY_MS;
+
+  return scheduleJob(TASK_REMINDER_JOB, {
+    runAt,
+    guildId: task.guildId,
+    payload: { taskId: task.id, assigneeId: task.assigneeId },
+    key: getReminderKey(task.id)
+  });
+}
+
+function cancelTaskReminder(taskId) {
+  return cancelJobByKey(getReminderKey(taskId));
+}
+
+function createTaskDoneButton(taskId) {
+  return new ActionRowBuilder().addComponents(
+    new ButtonBuilder()
+      .setCustomId(`task_done_${taskId}`)
+      .setLabel('Mark done')
+      .setStyle(ButtonStyle.Success)
+      .setEmoji('✅')
+  );
+}
+
+async function sendTaskReminder(client, job) {
+  const task = getTaskById(job.payload.taskId);
+  // Reassigned or finished since the reminder was scheduled.
+  if (!task || task.status !== 'open' || task.assigneeId !== job.payload.assigneeId) return;
+
+  const guild = client.guilds.cache.get(task.guildId);
+  const project = task.projectId ? getProject(task.guildId, task.projectId) : null;
+
+  const embed = new EmbedBuilder()
+    .setTitle('📝 Task Reminder')
+    .setDescription(`**#${task.id}** ${task.task}`)
+    .addFields(
+      {
+        name: '📅 Due',
+        value: task.dueAt ? `<t:${Math.floor(task.dueAt / 1000)}:R>${task.due ? ` (${task.due})` : ''}` : (task.due || 'No due date'),
+        inline: true
+      },
+      {
+        name: '📍 From',
+        value: project ? `Project **${project.name}**` : `A meeting in **${guild ? guild.name : 'your server'}**`,
+        inline: true
+      }
+    )
+    .setColor(0x4A90E2)
+    .setFooter({ text: 'Use /tasks list to see all your tasks • AI Learners India Bot' })
+    .setTimestamp(task.createdAt);
+
+  const user = await client.users.fetch(task.assigneeId);
+  try {
+    await user.send({ embeds: [embed], components: [createTaskDoneButton(task.id)] });
+    console.log(`📝 Sent reminder for task #${task.id} to ${user.tag}`);
+  } catch (error) {
+    // Closed DMs won't open on a retry.
+    console.log(`⚠️  Could not DM task reminder to ${user.tag}`);
+  }
+}
+
+registerJobHandler(TASK_REMINDER_JOB, sendTaskReminder, { label: 'Task reminder' });
+
+module.exports = {
+  scheduleTaskReminder,
+  cancelTaskReminder
+};
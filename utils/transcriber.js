@@ -0,0 +1,56 @@
+/**
+ * Transcription provider selection.
+ *
+ * TRANSCRIPTION_PROVIDER chooses the backend:
+ *   - "gemini"  Google Gemini audio understanding (needs GEMINI_API_KEY)
+ *   - "whisper" local whisper.cpp binary or Whisper-compatible HTTP endpoint
+ *   - "auto"    (default) Gemini when a key is set, otherwise Whisper when configured
+ *
+ * Every provider exposes { name, isConfigured(), transcribe(audioFilePath) } and
+ * transcribe() resolves to { success, transcript } or { success: false, error }.
+ */
+
+const { geminiProvider } = require('./geminiTranscribe');
+const { whisperProvider } = require('./whisperTranscribe');
+
+const PROVIDERS = {
+  gemini: geminiProvider,
+  whisper: whisperProvider
+};
+
+function getTranscriptionProvider() {
+  const selected = (process.env.TRANSCRIPTION_PROVIDER || 'auto').toLowerCase();
+
+  if (PROVIDERS[selected]) {
+    return PROVIDERS[selected];
+  }
+
+  if (selected !== 'auto') {
+    console.warn(`⚠️ Unknown TRANSCRIPTION_PROVIDER "${selected}", falling back to auto`);
+  }
+
+  return [geminiProvider, whisperProvider].find(provider => provider.isConfigured()) || geminiProvider;
+}
+
+async function transcribeAudio(audioFilePath) {
+  return getTranscriptionProvider().transcribe(audioFilePath);
+}
+
+async function transcribeMultipleAudio(audioFiles) {
+  const transcripts = [];
+
+  for (const file of audioFiles) {
+    const result = await transcribeAudio(file);
+    if (result.success) {
+      transcripts.push(result.transcript);
+    }
+  }
+
+  return transcripts;
+}
+
+module.exports = {
+  getTranscriptionProvider,
+  transcribeAudio,
+  transcribeMultipleAudio
+};
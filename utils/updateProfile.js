@@ -1,44 +1,98 @@
-const fs = require('fs').promises;
-const path = require('path');
+const { getDb, parseJSON } = require('./storage');
 
-const PROFILES_FILE = path.join(__dirname, '..', 'profiles.json');
+const AVAILABILITY_OPTIONS = {
+  open: '🟢 Looking for a team',
+  'part-time': '🟡 Limited availability',
+  busy: '🔴 Not available'
+};
+
+// /update_intro analysis uses beginner/intermediate/advanced; the intro modal uses Beginner/Builder/Pro.
+const EXPERIENCE_LEVEL_ALIASES = {
+  beginner: 'Beginner',
+  intermediate: 'Builder',
+  builder: 'Builder',
+  advanced: 'Pro',
+  expert: 'Pro',
+  pro: 'Pro'
+};
 
-async function loadProfiles() {
-  try {
-    const data = await fs.readFile(PROFILES_FILE, 'utf8');
-    return JSON.parse(data);
-  } catch (error) {
-    return {};
-  }
+function normalizeExperienceLevel(level) {
+  if (!level) return null;
+  return EXPERIENCE_LEVEL_ALIASES[level.toLowerCase()] || null;
 }
 
-async function saveProfiles(profiles) {
-  await fs.writeFile(PROFILES_FILE, JSON.stringify(profiles, null, 2));
+function rowToProfile(row) {
+  const profile = {
+    messageId: row.message_id,
+    timestamp: row.timestamp
+  };
+
+  if (row.intro_data) profile.introData = parseJSON(row.intro_data, {});
+  if (row.summary) profile.summary = row.summary;
+  if (row.experience_level) profile.experienceLevel = row.experience_level;
+  if (row.skills) profile.skills = row.skills;
+  if (row.availability) profile.availability = row.availability;
+
+  return profile;
 }
 
-async function getUserProfile(userId) {
-  const profiles = await loadProfiles();
-  return profiles[userId] || null;
+async function getGuildProfiles(guildId) {
+  const rows = getDb().prepare('SELECT * FROM profiles WHERE guild_id = ?').all(guildId);
+  return Object.fromEntries(rows.map(row => [row.user_id, rowToProfile(row)]));
 }
 
-async function saveUserProfile(userId, messageId, additionalData = {}) {
-  const profiles = await loadProfiles();
-  profiles[userId] = { 
-    messageId, 
-    timestamp: Date.now(),
-    ...additionalData
-  };
-  await saveProfiles(profiles);
+async function getUserProfile(guildId, userId) {
+  const row = getDb().prepare('SELECT * FROM profiles WHERE guild_id = ? AND user_id = ?').get(guildId, userId);
+  return row ? rowToProfile(row) : null;
+}
+
+// Availability is set separately with /set-availability, so re-posting an intro keeps it.
+// Synchronous so it can run inside storage transactions.
+function upsertUserProfile(guildId, userId, messageId, additionalData = {}) {
+  getDb().prepare(`
+    INSERT INTO profiles (guild_id, user_id, message_id, timestamp, intro_data, summary, experience_level, skills)
+    VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+    ON CONFLICT (guild_id, user_id) DO UPDATE SET
+      message_id = excluded.message_id,
+      timestamp = excluded.timestamp,
+      intro_data = excluded.intro_data,
+      summary = excluded.summary,
+      experience_level = excluded.experience_level,
+      skills = excluded.skills
+  `).run(
+    guildId,
+    userId,
+    messageId,
+    additionalData.timestamp || Date.now(),
+    additionalData.introData ? JSON.stringify(additionalData.introData) : null,
+    additionalData.summary || null,
+    normalizeExperienceLevel(additionalData.experienceLevel) || additionalData.experienceLevel || null,
+    additionalData.skills || null
+  );
+}
+
+async function saveUserProfile(guildId, userId, messageId, additionalData = {}) {
+  upsertUserProfile(guildId, userId, messageId, additionalData);
+}
+
+async function setAvailability(guildId, userId, availability) {
+  const result = getDb()
+    .prepare('UPDATE profiles SET availability = ? WHERE guild_id = ? AND user_id = ?')
+    .run(availability, guildId, userId);
+  return result.changes > 0;
 }
 
-async function deleteUserProfile(userId) {
-  const profiles = await loadProfiles();
-  delete profiles[userId];
-  await saveProfiles(profiles);
+async function deleteUserProfile(guildId, userId) {
+  getDb().prepare('DELETE FROM profiles WHERE guild_id = ? AND user_id = ?').run(guildId, userId);
 }
 
 module.exports = {
+  getGuildProfiles,
   getUserProfile,
   saveUserProfile,
-  deleteUserProfile
+  upsertUserProfile,
+  setAvailability,
+  deleteUserProfile,
+  normalizeExperienceLevel,
+  AVAILABILITY_OPTIONS
 };
@@ -0,0 +1,318 @@
+const fs = require('fs');
+const { joinVoiceChannel, getVoiceConnection, VoiceConnectionStatus, entersState } = require('@discordjs/voice');
+const {
+  createSession,
+  getActiveSession,
+  addParticipant,
+  addRecording,
+  addTranscript,
+  setSessionRecorder,
+  waitForRecordings,
+  endSession,
+  getGuildActiveSessions,
+  getQueuePosition,
+  getRecordingQueue,
+  dequeueRecording
+} = require('./voiceSessionManager');
+const { getProjectByChannel } = require('./projectManager');
+const { startLiveRecorder } = require('./audioRecorder');
+const { transcribeAudio } = require('./transcriber');
+const { canRecord, applyInitialConsent, createConsentButtons } = require('./recordingConsent');
+const { isModerator } = require('./projectPermissions');
+
+/**
+ * Starts and stops VC recordings. The bot has one voice connection per guild,
+ * so when a recording ends the next queued voice channel is started.
+ */
+
+const MAX_CONNECT_RETRIES = 2;
+
+// Guilds whose voice connection is being set up for a new recording.
+const connectingGuilds = new Set();
+
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+async function connectToChannel(voiceChannel) {
+  let connection;
+
+  for (let attempt = 0; ; attempt++) {
+    try {
+      const existingConnection = getVoiceConnection(voiceChannel.guild.id);
+      if (existingConnection) {
+        existingConnection.destroy();
+        console.log('🔄 Destroyed existing connection before creating new one');
+        await sleep(1000);
+      }
+
+      console.log(`🔌 Connection attempt ${attempt + 1}/${MAX_CONNECT_RETRIES + 1}...`);
+
+      connection = joinVoiceChannel({
+        channelId: voiceChannel.id,
+        guildId: voiceChannel.guild.id,
+        adapterCreator: voiceChannel.guild.voiceAdapterCreator,
+        selfDeaf: false,
+        selfMute: false
+      });
+
+      const timeout = attempt === 0 ? 20000 : 25000;
+
+      await Promise.race([
+        entersState(connection, VoiceConnectionStatus.Ready, timeout),
+        new Promise((_, reject) =>
+          setTimeout(() => reject(new Error(`Voice connection timeout after ${timeout}ms`)), timeout)
+        )
+      ]);
+
+      console.log('✅ Voice connection established successfully');
+
+      connection.on('stateChange', (oldState, newState) => {
+        console.log(`🔊 Voice connection state: ${oldState.status} → ${newState.status}`);
+      });
+
+      return connection;
+    } catch (error) {
+      console.error(`⚠️ Connection attempt ${attempt + 1}/${MAX_CONNECT_RETRIES + 1} failed:`, error.message);
+      console.error('Full error details:', error);
+
+      if (connection) {
+        try {
+          connection.destroy();
+        } catch (destroyError) {
+          console.error('Error destroying failed connection:', destroyError);
+        }
+      }
+
+      if (attempt >= MAX_CONNECT_RETRIES) {
+        console.error('❌ All connection attempts exhausted. Full error:', error);
+        throw error;
+      }
+
+      const delay = attempt === 0 ? 3000 : 5000;
+      console.log(`🔄 Retrying in ${delay / 1000} seconds with longer timeout...`);
+      await sleep(delay);
+    }
+  }
+}
+
+/**
+ * Joins the voice channel and records everyone in it until finishRecording().
+ * @param {VoiceChannel} voiceChannel
+ * @param {string} initiatorId - Member who asked for the recording
+ * @returns {Promise<{success: boolean, session?: Object, error?: string}>}
+ */
+async function startRecording(voiceChannel, initiatorId) {
+  const guildId = voiceChannel.guild.id;
+  const channelId = voiceChannel.id;
+
+  const linkedProject = getProjectByChannel(guildId, channelId);
+  const projectId = linkedProject && linkedProject.channelIds.voice === channelId
+    ? linkedProject.id
+    : null;
+
+  console.log(`🎙️ Joining voice channel: ${voiceChannel.name}`);
+
+  let connection;
+  connectingGuilds.add(guildId);
+  try {
+    connection = await connectToChannel(voiceChannel);
+  } catch (error) {
+    return {
+      success: false,
+      error: error.message
+    };
+  } finally {
+    connectingGuilds.delete(guildId);
+  }
+
+  const session = createSession(guildId, channelId, initiatorId, projectId);
+
+  const members = voiceChannel.members.filter(m => !m.user.bot);
+  members.forEach(member => addParticipant(channelId, member.id));
+  applyInitialConsent(session, members.map(member => member.id), initiatorId);
+
+  const recorder = startLiveRecorder(connection, {
+    guildId,
+    shouldRecord: (userId) => {
+      const user = voiceChannel.client.users.cache.get(userId);
+      if (user && user.bot) return false;
+      return canRecord(session, userId);
+    },
+    onSegment: async ({ userId, filePath, startedAt }) => {
+      // Consent may have been withdrawn while the member was speaking.
+      if (!canRecord(session, userId)) {
+        fs.rmSync(filePath, { force: true });
+        console.log(`🔒 Dropped segment from ${userId}: no recording consent`);
+        return;
+      }
+
+      addParticipant(channelId, userId);
+      addRecording(channelId, userId, filePath);
+
+      const transcriptResult = await transcribeAudio(filePath);
+      if (transcriptResult.success) {
+        console.log(`✅ Transcribed segment for user ${userId}`);
+        addTranscript(channelId, userId, transcriptResult.transcript, startedAt);
+      } else {
+        console.error(`❌ Transcription failed for user ${userId}:`, transcriptResult.error);
+      }
+    }
+  });
+  setSessionRecorder(channelId, recorder);
+
+  connection.on(VoiceConnectionStatus.Destroyed, async () => {
+    const activeSession = getActiveSession(channelId);
+    if (activeSession && activeSession.sessionId === session.sessionId && activeSession.status === 'recording') {
+      await finishRecording(voiceChannel.guild, channelId);
+      console.log('🛑 Session cleaned up after connection destroyed');
+    }
+  });
+
+  return {
+    success: true,
+    session
+  };
+}
+
+/**
+ * Ends the recording in a voice channel once every segment is transcribed,
+ * leaves the channel and moves on to the next queued one.
+ * @returns {Promise<Object|null>} The ended session, or null if the channel was not recording
+ */
+async function finishRecording(guild, channelId) {
+  const session = getActiveSession(channelId);
+  if (!session || session.status !== 'recording') return null;
+
+  // Keeps the Destroyed handler from ending the session a second time.
+  session.status = 'stopping';
+
+  await waitForRecordings(channelId);
+  const endedSession = endSession(channelId);
+
+  const connection = getVoiceConnection(guild.id);
+  if (connection && connection.joinConfig.channelId === channelId) {
+    connection.destroy();
+    console.log('🛑 Voice connection destroyed');
+  }
+
+  startNextQueued(guild).catch(error => {
+    console.error('❌ Error starting queued recording:', error);
+  });
+
+  return endedSession;
+}
+
+async function notifyRequester(guild, request, content) {
+  const textChannel = guild.channels.cache.get(request.textChannelId);
+  if (!textChannel) return;
+
+  try {
+    await textChannel.send({ content });
+  } catch (error) {
+    console.error('❌ Could not post queued recording update:', error.message);
+  }
+}
+
+/**
+ * Starts the next queued voice channel that still has members in it.
+ * Notices are not awaited so no other recording can claim the connection in between.
+ */
+async function startNextQueued(guild) {
+  for (let request = dequeueRecording(guild.id); request; request = dequeueRecording(guild.id)) {
+    const voiceChannel = guild.channels.cache.get(request.channelId);
+    const humans = voiceChannel ? voiceChannel.members.filter(m => !m.user.bot) : null;
+
+    if (!humans || humans.size === 0) {
+      notifyRequester(guild, request,
+        `⏭️ <@${request.userId}> Skipped the queued recording for <#${request.channelId}>: nobody is in the channel anymore.`);
+      continue;
+    }
+
+    const result = await startRecording(voiceChannel, request.userId);
+    if (!result.success) {
+      notifyRequester(guild, request,
+        `⚠️ <@${request.userId}> Couldn't start the queued recording for **${voiceChannel.name}**: \`${result.error}\``);
+      continue;
+    }
+
+    const textChannel = guild.channels.cache.get(request.textChannelId);
+    if (textChannel) {
+      await textChannel.send(createRecordingNotice(result.session, voiceChannel, { queued: true }))
+        .catch(error => console.error('❌ Could not post queued recording update:', error.message));
+    }
+    return;
+  }
+}
+
+/**
+ * The public "listening" message with the consent prompt.
+ * @param {Object} [options]
+ * @param {boolean} [options.queued] - The recording started from the queue
+ */
+function createRecordingNotice(session, voiceChannel, { queued = false } = {}) {
+  const participantTags = voiceChannel.members
+    .filter(m => !m.user.bot)
+    .map(m => `<@${m.id}>`)
+    .join(', ');
+
+  return {
+    content: `🎙️ **Listening to your VC discussion…**\n\n` +
+             `Voice Channel: **${voiceChannel.name}**\n` +
+             `Initiated by: <@${session.initiatorId}>${queued ? ' (queued)' : ''}\n` +
+             `Participants: ${participantTags}\n\n` +
+             `🔒 **Only members who agree are recorded.** Choose below; use \`/recording-consent\` to remember your choice for future meetings.\n\n` +
+             `_Recording in progress... Use \`/summarize-vc\` when finished._`,
+    components: [createConsentButtons(session.sessionId)]
+  };
+}
+
+/**
+ * True while the guild's voice connection is recording or being set up, so
+ * new requests have to wait in the queue.
+ */
+function isVoiceConnectionBusy(guildId) {
+  return connectingGuilds.has(guildId) || getGuildActiveSessions(guildId).length > 0;
+}
+
+/**
+ * The voice channel a /summarize-vc or /stop-summary call is about: the
+ * `channel` option, else the caller's voice channel when it is recording or
+ * queued, else the guild's only recording.
+ * @returns {string|null} Voice channel ID
+ */
+function resolveTargetChannel(interaction) {
+  const option = interaction.options.getChannel('channel');
+  if (option) return option.id;
+
+  const current = interaction.member.voice?.channelId;
+  if (current && (getActiveSession(current) || getQueuePosition(interaction.guildId, current))) return current;
+
+  const activeSessions = getGuildActiveSessions(interaction.guildId);
+  if (activeSessions.length === 1) return activeSessions[0].channelId;
+
+  return current || null;
+}
+
+/**
+ * Whether the member may stop, summarize or dequeue the recording of a voice
+ * channel: the member who asked for it, anyone in the channel, or a moderator.
+ * True when nothing is recording or queued there, so callers can say so instead.
+ */
+function canManageRecording(member, channelId) {
+  if (member.voice?.channelId === channelId || isModerator(member)) return true;
+
+  const session = getActiveSession(channelId);
+  const request = getRecordingQueue(member.guild.id).find(item => item.channelId === channelId);
+  const ownerId = session ? session.initiatorId : request?.userId;
+  return !ownerId || ownerId === member.id;
+}
+
+module.exports = {
+  startRecording,
+  finishRecording,
+  createRecordingNotice,
+  isVoiceConnectionBusy,
+  resolveTargetChannel,
+  canManageRecording
+};
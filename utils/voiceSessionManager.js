@@ -1,76 +1,101 @@
-const fs = require('fs');
-const path = require('path');
+const { getDb, transaction, parseJSON } = require('./storage');
 
-const SESSION_FILE = path.join(__dirname, '..', 'vcSessions.json');
-const PREFERENCES_FILE = path.join(__dirname, '..', 'userPreferences.json');
+// Recording sessions by voice channel ID. A guild has one voice connection,
+// so other channels wait in recordingQueues (guild ID -> requests) until it is free.
 const activeSessions = new Map();
-const languagePreferences = new Map();
+const recordingQueues = new Map();
 
-function loadSessions() {
-  try {
-    if (fs.existsSync(SESSION_FILE)) {
-      const data = fs.readFileSync(SESSION_FILE, 'utf8');
-      return JSON.parse(data);
-    }
-  } catch (error) {
-    console.error('❌ Error loading VC sessions:', error);
-  }
-  return { sessions: {} };
-}
+function rowToSession(row) {
+  const db = getDb();
 
-function saveSessions(data) {
-  try {
-    fs.writeFileSync(SESSION_FILE, JSON.stringify(data, null, 2));
-  } catch (error) {
-    console.error('❌ Error saving VC sessions:', error);
-  }
-}
+  const participants = db
+    .prepare('SELECT user_id FROM session_participants WHERE session_id = ? ORDER BY rowid')
+    .all(row.session_id)
+    .map(p => p.user_id);
 
-function loadPreferences() {
-  try {
-    if (fs.existsSync(PREFERENCES_FILE)) {
-      const data = fs.readFileSync(PREFERENCES_FILE, 'utf8');
-      const prefs = JSON.parse(data);
-      Object.entries(prefs).forEach(([userId, pref]) => {
-        languagePreferences.set(userId, pref);
-      });
-    }
-  } catch (error) {
-    console.error('❌ Error loading preferences:', error);
-  }
-}
+  const recordings = {};
+  db.prepare('SELECT user_id, file_path FROM session_recordings WHERE session_id = ? ORDER BY id')
+    .all(row.session_id)
+    .forEach(r => {
+      recordings[r.user_id] = recordings[r.user_id] || [];
+      recordings[r.user_id].push(r.file_path);
+    });
 
-function savePreferences() {
-  try {
-    const prefs = {};
-    languagePreferences.forEach((value, key) => {
-      prefs[key] = value;
+  const transcripts = db
+    .prepare('SELECT user_id, text, timestamp FROM transcripts WHERE session_id = ? ORDER BY timestamp, id')
+    .all(row.session_id)
+    .map(t => ({ userId: t.user_id, text: t.text, timestamp: t.timestamp }));
+
+  const consent = {};
+  db.prepare('SELECT user_id, status FROM session_consent WHERE session_id = ?')
+    .all(row.session_id)
+    .forEach(c => {
+      consent[c.user_id] = c.status;
     });
-    fs.writeFileSync(PREFERENCES_FILE, JSON.stringify(prefs, null, 2));
-  } catch (error) {
-    console.error('❌ Error saving preferences:', error);
-  }
-}
 
-loadPreferences();
+  const session = {
+    sessionId: row.session_id,
+    guildId: row.guild_id,
+    channelId: row.channel_id,
+    initiatorId: row.initiator_id,
+    projectId: row.project_id,
+    participants,
+    startTime: row.start_time,
+    recordings,
+    transcripts,
+    consent,
+    status: row.status,
+    lastSummary: parseJSON(row.last_summary),
+    languageMode: row.language_mode
+  };
+
+  if (row.end_time) session.endTime = row.end_time;
+  return session;
+}
 
 function setLanguagePreference(guildId, userId, mode) {
-  languagePreferences.set(userId, mode);
-  savePreferences();
-  console.log(`📝 Language preference set for ${userId}: ${mode}`);
+  getDb().prepare(`
+    INSERT INTO user_preferences (guild_id, user_id, language_mode) VALUES (?, ?, ?)
+    ON CONFLICT (guild_id, user_id) DO UPDATE SET language_mode = excluded.language_mode
+  `).run(guildId, userId, mode);
+  console.log(`📝 Language preference set for ${userId} in guild ${guildId}: ${mode}`);
 }
 
-function getLanguagePreference(userId) {
-  return languagePreferences.get(userId) || 'auto';
+function getLanguagePreference(guildId, userId) {
+  const row = getDb()
+    .prepare('SELECT language_mode FROM user_preferences WHERE guild_id = ? AND user_id = ?')
+    .get(guildId, userId);
+  return row ? row.language_mode : 'auto';
 }
 
-const recordingPromises = new Map();
+/**
+ * @param {string|null} preference - 'always', 'never', or null to be asked in every meeting
+ */
+function setRecordingPreference(guildId, userId, preference) {
+  getDb().prepare(`
+    INSERT INTO user_preferences (guild_id, user_id, recording_consent) VALUES (?, ?, ?)
+    ON CONFLICT (guild_id, user_id) DO UPDATE SET recording_consent = excluded.recording_consent
+  `).run(guildId, userId, preference);
+  console.log(`🔒 Recording preference set for ${userId} in guild ${guildId}: ${preference || 'ask'}`);
+}
+
+/**
+ * @returns {string} 'always', 'never' or 'ask'
+ */
+function getRecordingPreference(guildId, userId) {
+  const row = getDb()
+    .prepare('SELECT recording_consent FROM user_preferences WHERE guild_id = ? AND user_id = ?')
+    .get(guildId, userId);
+  return (row && row.recording_consent) || 'ask';
+}
+
+const sessionRecorders = new Map();
 
 function createSession(guildId, channelId, userId, projectId = null) {
   const sessionId = `${guildId}-${Date.now()}`;
-  
-  const languageMode = getLanguagePreference(userId);
-  
+
+  const languageMode = getLanguagePreference(guildId, userId);
+
   const session = {
     sessionId,
     guildId,
@@ -81,135 +106,340 @@ function createSession(guildId, channelId, userId, projectId = null) {
     startTime: Date.now(),
     recordings: {},
     transcripts: [],
+    consent: {},
     status: 'recording',
     lastSummary: null,
     languageMode
   };
-  
-  activeSessions.set(guildId, session);
-  recordingPromises.set(guildId, []);
-  
-  const data = loadSessions();
-  data.sessions[sessionId] = session;
-  saveSessions(data);
-  
+
+  activeSessions.set(channelId, session);
+
+  transaction(() => {
+    getDb().prepare(`
+      INSERT INTO vc_sessions (session_id, guild_id, channel_id, initiator_id, project_id, start_time, status, language_mode)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+    `).run(sessionId, guildId, channelId, userId, projectId, session.startTime, session.status, languageMode);
+    getDb()
+      .prepare('INSERT OR IGNORE INTO session_participants (session_id, user_id) VALUES (?, ?)')
+      .run(sessionId, userId);
+  });
+
   console.log(`🎙️ Created VC session: ${sessionId} (language: ${languageMode})`);
   return session;
 }
 
-function addRecordingPromise(guildId, promise) {
-  const promises = recordingPromises.get(guildId) || [];
-  promises.push(promise);
-  recordingPromises.set(guildId, promises);
+function setSessionRecorder(channelId, recorder) {
+  sessionRecorders.set(channelId, recorder);
 }
 
-async function waitForRecordings(guildId) {
-  const promises = recordingPromises.get(guildId) || [];
-  console.log(`⏳ Waiting for ${promises.length} recording/transcription processes to complete...`);
-  
+/**
+ * Stops the live recorder for a voice channel and waits until every captured
+ * segment has been converted and transcribed.
+ */
+async function waitForRecordings(channelId) {
+  const recorder = sessionRecorders.get(channelId);
+  if (!recorder) return;
+
+  sessionRecorders.delete(channelId);
+  console.log(`⏳ Waiting for in-progress recording/transcription segments to complete...`);
+
   try {
-    await Promise.allSettled(promises);
-    console.log(`✅ All recording/transcription processes completed for guild ${guildId}`);
-    recordingPromises.delete(guildId);
+    await recorder.stop();
+    console.log(`✅ All recording/transcription processes completed for channel ${channelId}`);
   } catch (error) {
     console.error(`❌ Error waiting for recordings:`, error);
   }
 }
 
-function getActiveSession(guildId) {
-  return activeSessions.get(guildId);
+/**
+ * Ends the member's in-progress segment, e.g. after they stop consenting.
+ * The segment still reaches onSegment, which drops it.
+ */
+function stopRecordingUser(channelId, userId) {
+  const recorder = sessionRecorders.get(channelId);
+  if (recorder) recorder.stopUser(userId);
+}
+
+function getActiveSession(channelId) {
+  return activeSessions.get(channelId);
 }
 
-function addParticipant(guildId, userId) {
-  const session = activeSessions.get(guildId);
+function getActiveSessionById(sessionId) {
+  return [...activeSessions.values()].find(session => session.sessionId === sessionId) || null;
+}
+
+/**
+ * Sessions currently recording in the guild.
+ */
+function getGuildActiveSessions(guildId) {
+  return [...activeSessions.values()].filter(session => session.guildId === guildId);
+}
+
+function addParticipant(channelId, userId) {
+  const session = activeSessions.get(channelId);
   if (session && !session.participants.includes(userId)) {
     session.participants.push(userId);
-    
-    const data = loadSessions();
-    data.sessions[session.sessionId] = session;
-    saveSessions(data);
-    
+
+    getDb()
+      .prepare('INSERT OR IGNORE INTO session_participants (session_id, user_id) VALUES (?, ?)')
+      .run(session.sessionId, userId);
+
     console.log(`➕ Added participant ${userId} to session ${session.sessionId}`);
   }
 }
 
-function addRecording(guildId, userId, audioFilePath) {
-  const session = activeSessions.get(guildId);
+function addRecording(channelId, userId, audioFilePath) {
+  const session = activeSessions.get(channelId);
   if (session) {
     if (!session.recordings[userId]) {
       session.recordings[userId] = [];
     }
     session.recordings[userId].push(audioFilePath);
-    
-    const data = loadSessions();
-    data.sessions[session.sessionId] = session;
-    saveSessions(data);
+
+    getDb()
+      .prepare('INSERT INTO session_recordings (session_id, user_id, file_path) VALUES (?, ?, ?)')
+      .run(session.sessionId, userId, audioFilePath);
   }
 }
 
-function addTranscript(guildId, userId, transcript, timestamp) {
-  const session = activeSessions.get(guildId);
+function addTranscript(channelId, userId, transcript, timestamp) {
+  const session = activeSessions.get(channelId);
   if (session) {
-    session.transcripts.push({
+    const entry = {
       userId,
       text: transcript,
       timestamp: timestamp || Date.now()
-    });
-    
-    const data = loadSessions();
-    data.sessions[session.sessionId] = session;
-    saveSessions(data);
+    };
+    session.transcripts.push(entry);
+
+    getDb()
+      .prepare('INSERT INTO transcripts (session_id, user_id, text, timestamp) VALUES (?, ?, ?, ?)')
+      .run(session.sessionId, entry.userId, entry.text, entry.timestamp);
   }
 }
 
-function endSession(guildId) {
-  const session = activeSessions.get(guildId);
+/**
+ * Records whether a member agreed to be recorded in a live session.
+ * @param {string} status - 'granted' or 'declined'
+ */
+function setSessionConsent(channelId, userId, status) {
+  const session = activeSessions.get(channelId);
+  if (!session) return null;
+
+  session.consent[userId] = status;
+  getDb().prepare(`
+    INSERT INTO session_consent (session_id, user_id, status, decided_at) VALUES (?, ?, ?, ?)
+    ON CONFLICT (session_id, user_id) DO UPDATE SET status = excluded.status, decided_at = excluded.decided_at
+  `).run(session.sessionId, userId, status, Date.now());
+
+  console.log(`🔒 Recording consent ${status} by ${userId} in session ${session.sessionId}`);
+  return session;
+}
+
+function endSession(channelId) {
+  const session = activeSessions.get(channelId);
   if (session) {
     session.status = 'ended';
     session.endTime = Date.now();
-    
-    const data = loadSessions();
-    data.sessions[session.sessionId] = session;
-    saveSessions(data);
-    
-    activeSessions.delete(guildId);
+
+    getDb()
+      .prepare('UPDATE vc_sessions SET status = ?, end_time = ? WHERE session_id = ?')
+      .run(session.status, session.endTime, session.sessionId);
+
+    activeSessions.delete(channelId);
     console.log(`🛑 Ended VC session: ${session.sessionId}`);
     return session;
   }
   return null;
 }
 
-function saveSummaryToSession(sessionId, summary) {
-  const data = loadSessions();
-  if (data.sessions[sessionId]) {
-    data.sessions[sessionId].lastSummary = summary;
-    saveSessions(data);
+/**
+ * Ends sessions left 'recording' by a restart. Their voice connections and
+ * recording queues only lived in memory, so they can't be resumed.
+ * The end time is taken from the last transcript, or the start when nothing was said.
+ * @returns {number} Number of sessions ended
+ */
+function endInterruptedSessions() {
+  const { changes } = getDb().prepare(`
+    UPDATE vc_sessions SET status = 'ended', end_time = COALESCE(
+      (SELECT MAX(timestamp) FROM transcripts WHERE transcripts.session_id = vc_sessions.session_id),
+      start_time
+    )
+    WHERE status = 'recording'
+  `).run();
+
+  if (changes > 0) {
+    console.log(`🛑 Ended ${changes} VC session(s) interrupted by a restart`);
+  }
+  return changes;
+}
+
+/**
+ * Queues a voice channel to be recorded once the guild's current recording ends.
+ * @param {Object} request - { channelId, userId, textChannelId }
+ * @returns {number} Position in the queue (1 = next)
+ */
+function enqueueRecording(guildId, request) {
+  const queue = recordingQueues.get(guildId) || [];
+  const existing = queue.findIndex(item => item.channelId === request.channelId);
+  if (existing !== -1) return existing + 1;
+
+  queue.push({ ...request, requestedAt: Date.now() });
+  recordingQueues.set(guildId, queue);
+  console.log(`⏳ Queued recording for channel ${request.channelId} (position ${queue.length})`);
+  return queue.length;
+}
+
+/**
+ * Position of a voice channel in the guild's queue, or 0 when it is not queued.
+ */
+function getQueuePosition(guildId, channelId) {
+  return (recordingQueues.get(guildId) || []).findIndex(item => item.channelId === channelId) + 1;
+}
+
+function getRecordingQueue(guildId) {
+  return [...(recordingQueues.get(guildId) || [])];
+}
+
+function dequeueRecording(guildId) {
+  const queue = recordingQueues.get(guildId) || [];
+  const next = queue.shift() || null;
+  if (queue.length === 0) recordingQueues.delete(guildId);
+  return next;
+}
+
+/**
+ * Returns false if the channel was not queued.
+ */
+function removeQueuedRecording(guildId, channelId) {
+  const queue = recordingQueues.get(guildId) || [];
+  const index = queue.findIndex(item => item.channelId === channelId);
+  if (index === -1) return false;
+
+  queue.splice(index, 1);
+  if (queue.length === 0) recordingQueues.delete(guildId);
+  return true;
+}
+
+function saveSummaryToSession(guildId, sessionId, summary) {
+  const result = getDb()
+    .prepare('UPDATE vc_sessions SET last_summary = ? WHERE guild_id = ? AND session_id = ?')
+    .run(JSON.stringify(summary), guildId, sessionId);
+
+  if (result.changes > 0) {
     console.log(`💾 Summary saved for session ${sessionId}`);
     return true;
   }
   return false;
 }
 
-function getLastSession(guildId) {
-  const data = loadSessions();
-  const sessions = Object.values(data.sessions)
-    .filter(s => s.guildId === guildId)
-    .sort((a, b) => b.startTime - a.startTime);
-  
-  return sessions[0] || null;
+/**
+ * Every VC session linked to a project, oldest first.
+ */
+function getProjectSessions(guildId, projectId) {
+  return getDb()
+    .prepare('SELECT * FROM vc_sessions WHERE guild_id = ? AND project_id = ? ORDER BY start_time')
+    .all(guildId, projectId)
+    .map(rowToSession);
+}
+
+function getSession(guildId, sessionId) {
+  const row = getDb()
+    .prepare('SELECT * FROM vc_sessions WHERE guild_id = ? AND session_id = ?')
+    .get(guildId, sessionId);
+  return row ? rowToSession(row) : null;
+}
+
+/**
+ * Lists sessions newest first without loading transcripts.
+ * @param {Object} filters
+ * @param {string} [filters.viewerId] - Only sessions this member joined or whose project they belong to
+ * @param {Array<string>} [filters.viewerProjectIds] - Projects the viewer belongs to
+ * @param {string} [filters.projectId]
+ * @param {string} [filters.channelId]
+ * @param {string} [filters.participantId]
+ * @param {number} [filters.from] - Started at or after (ms)
+ * @param {number} [filters.to] - Started before (ms)
+ * @param {boolean} [filters.summarizedOnly]
+ */
+function findSessions(guildId, filters = {}, limit = 25) {
+  const conditions = ['guild_id = ?'];
+  const values = [guildId];
+  const participantCondition = 'session_id IN (SELECT session_id FROM session_participants WHERE user_id = ?)';
+
+  if (filters.viewerId) {
+    const projectIds = filters.viewerProjectIds || [];
+    conditions.push(`(${participantCondition}${projectIds.length > 0 ? ` OR project_id IN (${projectIds.map(() => '?').join(', ')})` : ''})`);
+    values.push(filters.viewerId, ...projectIds);
+  }
+  if (filters.projectId) {
+    conditions.push('project_id = ?');
+    values.push(filters.projectId);
+  }
+  if (filters.channelId) {
+    conditions.push('channel_id = ?');
+    values.push(filters.channelId);
+  }
+  if (filters.participantId) {
+    conditions.push(participantCondition);
+    values.push(filters.participantId);
+  }
+  if (filters.from) {
+    conditions.push('start_time >= ?');
+    values.push(filters.from);
+  }
+  if (filters.to) {
+    conditions.push('start_time < ?');
+    values.push(filters.to);
+  }
+  if (filters.summarizedOnly) {
+    conditions.push('last_summary IS NOT NULL');
+  }
+
+  const participants = getDb().prepare('SELECT user_id FROM session_participants WHERE session_id = ? ORDER BY rowid');
+
+  return getDb()
+    .prepare(`SELECT * FROM vc_sessions WHERE ${conditions.join(' AND ')} ORDER BY start_time DESC LIMIT ?`)
+    .all(...values, limit)
+    .map(row => ({
+      sessionId: row.session_id,
+      guildId: row.guild_id,
+      channelId: row.channel_id,
+      initiatorId: row.initiator_id,
+      projectId: row.project_id,
+      participants: participants.all(row.session_id).map(p => p.user_id),
+      startTime: row.start_time,
+      endTime: row.end_time,
+      status: row.status,
+      hasSummary: row.last_summary !== null
+    }));
 }
 
 module.exports = {
   createSession,
   getActiveSession,
+  getActiveSessionById,
+  getGuildActiveSessions,
   addParticipant,
   addRecording,
   addTranscript,
+  setSessionConsent,
   endSession,
+  endInterruptedSessions,
   saveSummaryToSession,
-  getLastSession,
-  addRecordingPromise,
+  getSession,
+  findSessions,
+  getProjectSessions,
+  setSessionRecorder,
   waitForRecordings,
+  stopRecordingUser,
+  enqueueRecording,
+  getQueuePosition,
+  getRecordingQueue,
+  dequeueRecording,
+  removeQueuedRecording,
   setLanguagePreference,
-  getLanguagePreference
+  getLanguagePreference,
+  setRecordingPreference,
+  getRecordingPreference
 };
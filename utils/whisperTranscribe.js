@@ -0,0 +1,109 @@
+const fs = require('fs');
+const path = require('path');
+const { execFile } = require('child_process');
+const { convertToWav16k } = require('./audioRecorder');
+
+const WHISPER_TIMEOUT_MS = 5 * 60 * 1000;
+
+/**
+ * Transcribes with a local whisper.cpp-style binary:
+ *   WHISPER_BINARY -m WHISPER_MODEL -f <16 kHz wav> -nt -np [-l WHISPER_LANGUAGE]
+ * The transcript is read from stdout.
+ */
+async function transcribeWithBinary(audioFilePath) {
+  const wavFile = await convertToWav16k(audioFilePath);
+
+  const args = ['-m', process.env.WHISPER_MODEL, '-f', wavFile, '-nt', '-np'];
+  if (process.env.WHISPER_LANGUAGE) {
+    args.push('-l', process.env.WHISPER_LANGUAGE);
+  }
+
+  try {
+    return await new Promise((resolve, reject) => {
+      execFile(process.env.WHISPER_BINARY, args, { timeout: WHISPER_TIMEOUT_MS, maxBuffer: 10 * 1024 * 1024 }, (error, stdout) => {
+        if (error) {
+          reject(error);
+          return;
+        }
+        resolve(stdout.trim());
+      });
+    });
+  } finally {
+    fs.unlink(wavFile, () => {});
+  }
+}
+
+/**
+ * Transcribes through an HTTP endpoint that accepts a multipart `file` upload and
+ * returns `{ text }` — a whisper.cpp server `/inference` route or an
+ * OpenAI-compatible `/v1/audio/transcriptions` route.
+ */
+async function transcribeWithHttp(audioFilePath) {
+  const form = new FormData();
+  form.append('file', new Blob([fs.readFileSync(audioFilePath)]), path.basename(audioFilePath));
+  form.append('model', process.env.WHISPER_HTTP_MODEL || 'whisper-1');
+  form.append('response_format', 'json');
+  if (process.env.WHISPER_LANGUAGE) {
+    form.append('language', process.env.WHISPER_LANGUAGE);
+  }
+
+  const headers = {};
+  if (process.env.WHISPER_API_KEY) {
+    headers.Authorization = `Bearer ${process.env.WHISPER_API_KEY}`;
+  }
+
+  const response = await fetch(process.env.WHISPER_URL, {
+    method: 'POST',
+    headers,
+    body: form,
+    signal: AbortSignal.timeout(WHISPER_TIMEOUT_MS)
+  });
+
+  if (!response.ok) {
+    throw new Error(`Whisper endpoint responded ${response.status} ${response.statusText}`);
+  }
+
+  const data = await response.json();
+  return (data.text || '').trim();
+}
+
+async function transcribeAudio(audioFilePath) {
+  if (!whisperProvider.isConfigured()) {
+    return {
+      success: false,
+      error: 'Local Whisper not configured (set WHISPER_URL, or WHISPER_BINARY and WHISPER_MODEL)'
+    };
+  }
+
+  try {
+    console.log(`🎙️ Transcribing audio file locally: ${audioFilePath}`);
+
+    const transcript = process.env.WHISPER_URL
+      ? await transcribeWithHttp(audioFilePath)
+      : await transcribeWithBinary(audioFilePath);
+
+    console.log('✅ Local transcription completed');
+
+    return {
+      success: true,
+      transcript
+    };
+  } catch (error) {
+    console.error('❌ Local transcription error:', error.message);
+    return {
+      success: false,
+      error: error.message
+    };
+  }
+}
+
+const whisperProvider = {
+  name: 'whisper',
+  isConfigured: () => !!(process.env.WHISPER_URL || (process.env.WHISPER_BINARY && process.env.WHISPER_MODEL)),
+  transcribe: transcribeAudio
+};
+
+module.exports = {
+  transcribeAudio,
+  whisperProvider
+};